@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * palette-cut CLI
+ * Generates ribbons without a browser: samples frames with a local ffmpeg,
+ * reduces them with the shared core, and writes image and data files.
+ */
+
+import { spawn } from 'node:child_process';
+import { readdir, stat, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    DEFAULT_OPTIONS,
+    EXPORT_DEFAULTS,
+    EXPORT_FORMATS,
+    DATA_FORMATS,
+    LAYOUTS,
+    LAYOUT_DEFAULTS,
+    REDUCERS,
+    MIN_FRAMES,
+    MAX_FRAMES,
+    DETECTION_WIDTH,
+    DETECTION_HEIGHT,
+    normalizeOptions,
+    resolveFrameCount,
+    resolveRange,
+    sampleTimes,
+    detectionTimes,
+    resolveCrop,
+    buildSlices,
+    buildScene,
+    sceneToSvg,
+    sceneToPdf,
+    sceneToPng,
+    sceneToTiff,
+    rasterizeBands,
+    rawFrameFormat,
+    cropFilter,
+    grabFrame,
+    extractFrames,
+    extractUntilEnd,
+    framesAtTimes,
+    UNKNOWN_DURATION_FPS,
+    UNKNOWN_DURATION_DETECTION_WINDOW,
+    formatTimecode,
+    parseTimecode,
+    describeColorSpace,
+    needsToneMapping,
+    exportPaletteData,
+    exportFileName
+} from '../src/core/index.js';
+
+const USAGE = `Usage: palette-cut [options] <input...>
+
+Inputs are video files, directories (searched recursively for videos) or glob
+patterns such as "media/**/*.mkv" (quote them so the shell leaves them alone).
+
+Options:
+  -o, --out <dir>            Output directory (default: next to each input)
+  -f, --format <list>        Comma-separated outputs: ${[...EXPORT_FORMATS, ...DATA_FORMATS].map(({ id }) => id).join(', ')}
+                             (default: png,json)
+  -n, --frames <count>       Frames to sample, ${MIN_FRAMES}-${MAX_FRAMES} (default: ${DEFAULT_OPTIONS.frameCount})
+  -r, --reducer <id>         Frame color: ${REDUCERS.map(({ id }) => id).join(', ')} (default: ${DEFAULT_OPTIONS.reducer})
+  -s, --size <WxH>           Image size in pixels (default: ${EXPORT_DEFAULTS.width}x${EXPORT_DEFAULTS.height})
+  -l, --layout <id>          ${LAYOUTS.map(({ id }) => id).join(', ')} (default: ${LAYOUT_DEFAULTS.layout})
+      --shots                One slice per detected shot instead of per frame
+      --no-crop              Keep letterbox bars instead of detecting and cropping them
+      --stream <index>       Video stream to sample, counting video streams from 0 (default: 0)
+      --start <time>         Sample from this point, in seconds or [h:]mm:ss (default: the beginning)
+      --end <time>           Sample up to this point (default: the end)
+      --swatches             Add palette swatches under the ribbon
+      --title                Print the file name above the ribbon
+      --ffmpeg <path>        ffmpeg binary (default: $FFMPEG_PATH or ffmpeg)
+      --ffprobe <path>       ffprobe binary (default: $FFPROBE_PATH or ffprobe)
+  -h, --help                 Show this help
+
+PNG and TIFF are drawn without a font engine, so titles and swatch labels only
+appear in SVG and PDF.`;
+
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.m4v', '.mov', '.mkv', '.webm', '.avi', '.wmv', '.mpg', '.mpeg', '.ts', '.m2ts', '.mts', '.flv']);
+
+class UsageError extends Error {}
+
+// ---------------------------------------------------------------------------
+// Inputs
+// ---------------------------------------------------------------------------
+
+const isVideo = (file) => VIDEO_EXTENSIONS.has(path.extname(file).toLowerCase());
+const hasGlob = (pattern) => /[*?[]/.test(pattern);
+
+/**
+ * Converts a glob to a RegExp over '/'-separated paths: `**` spans directories, `*` and `?` don't.
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (ch === '*') {
+            source += '[^/]*';
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '[') {
+            const end = glob.indexOf(']', i);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += glob.slice(i, end + 1);
+                i = end;
+            }
+        } else {
+            source += ch.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+async function listFiles(dir) {
+    const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+    return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name));
+}
+
+/**
+ * Resolves the positional arguments to a sorted, de-duplicated list of video files.
+ */
+async function expandInputs(patterns) {
+    const files = new Set();
+
+    for (const pattern of patterns) {
+        if (hasGlob(pattern)) {
+            const normalized = pattern.split(path.sep).join('/');
+            const segments = normalized.split('/');
+            const firstGlob = segments.findIndex(hasGlob);
+            const base = segments.slice(0, firstGlob).join('/') || '.';
+            const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+            for (const file of await listFiles(base)) {
+                const relative = path.relative(base, file).split(path.sep).join('/');
+                if (matcher.test(relative)) files.add(file);
+            }
+            continue;
+        }
+
+        const info = await stat(pattern).catch(() => null);
+        if (!info) throw new UsageError(`No such file or directory: ${pattern}`);
+        if (info.isDirectory()) {
+            (await listFiles(pattern)).filter(isVideo).forEach((file) => files.add(file));
+        } else {
+            files.add(pattern);
+        }
+    }
+
+    return [...files].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// ---------------------------------------------------------------------------
+// ffmpeg
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs a command and resolves with its stdout as a Buffer; rejects with its stderr on failure.
+ */
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', (chunk) => stdout.push(chunk));
+        child.stderr.on('data', (chunk) => stderr.push(chunk));
+        child.on('error', (err) => {
+            reject(err.code === 'ENOENT' ? new UsageError(`${command} not found; install ffmpeg or pass --ffmpeg/--ffprobe`) : err);
+        });
+        child.on('close', (code) => {
+            if (code === 0) resolve(Buffer.concat(stdout));
+            else reject(new Error(`${path.basename(command)} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+        });
+    });
+}
+
+async function probe(tools, file, videoStream) {
+    const output = await run(tools.ffprobe, [
+        '-v', 'error',
+        '-select_streams', `v:${videoStream}`,
+        '-show_entries', 'stream=width,height,duration,color_range,color_space,color_primaries,color_transfer:format=duration',
+        '-of', 'json',
+        file
+    ]);
+    const info = JSON.parse(output.toString());
+    const stream = info.streams?.[0];
+    if (!stream) throw new Error(`No video stream ${videoStream}`);
+
+    // 0 when neither the container nor the stream says; sampleFile then decodes to the end
+    const duration = parseFloat(info.format?.duration) || parseFloat(stream.duration) || 0;
+
+    // Same shape as parseColorInfo; ffprobe calls the matrix color_space
+    const known = (value) => (value && value !== 'unknown' ? value : null);
+    const color = {
+        range: known(stream.color_range),
+        matrix: known(stream.color_space),
+        primaries: known(stream.color_primaries),
+        transfer: known(stream.color_transfer)
+    };
+
+    return { duration, videoWidth: stream.width, videoHeight: stream.height, color };
+}
+
+/**
+ * Samples a video the way the browser app does and returns the same shape as sampleVideo:
+ * { frames, duration, range, sampleSize, crop, videoWidth, videoHeight, colorSpace }.
+ * onProgress(status) receives a short progress note, e.g. "42%".
+ */
+async function sampleFile(tools, file, settings, onProgress) {
+    const { sampleSize, videoStream } = settings;
+    const probed = await probe(tools, file, videoStream);
+    const { videoWidth, videoHeight, color } = probed;
+    const source = { videoStream, output: rawFrameFormat(color) };
+    const exec = (args) => run(tools.ffmpeg, ['-v', 'error', ...args, 'pipe:1']);
+
+    // A range with an end only needs to reach it, even if the length is unknown
+    let duration = probed.duration || (isFinite(settings.range?.end) ? settings.range.end : 0);
+    const durationKnown = duration > 0;
+
+    const crop = await resolveCrop(settings.crop, async () => {
+        const frames = [];
+        for (const time of detectionTimes(durationKnown ? duration : UNKNOWN_DURATION_DETECTION_WINDOW)) {
+            const pixels = await grabFrame(exec, file, time, { width: DETECTION_WIDTH, height: DETECTION_HEIGHT }, source);
+            if (pixels) frames.push({ pixels, width: DETECTION_WIDTH, height: DETECTION_HEIGHT });
+        }
+        return frames;
+    });
+    const filter = cropFilter(crop);
+
+    let range;
+    let frames;
+    if (durationKnown) {
+        range = resolveRange(duration, settings.range);
+        const frameCount = resolveFrameCount(range.end - range.start, settings);
+        const times = sampleTimes(duration, frameCount, range);
+        let done = 0;
+        frames = await extractFrames(exec, file, times, { fps: frameCount / (range.end - range.start), sampleSize, filter }, source, {
+            onFrame: () => onProgress(`${Math.round((++done / frameCount) * 100)}%`)
+        });
+    } else {
+        // Decode at a fixed rate until the video runs out, then pick the frames at the sample times
+        const start = Math.max(0, settings.range?.start ?? 0);
+        const decoded = await extractUntilEnd(exec, file, {
+            start,
+            fps: UNKNOWN_DURATION_FPS,
+            limit: 2 * resolveFrameCount(Infinity, settings),
+            sampleSize,
+            filter
+        }, source, {
+            onFrame: (n) => onProgress(`${formatTimecode(start + n / UNKNOWN_DURATION_FPS)} decoded`)
+        });
+        if (decoded.frames.length === 0) throw new Error("Could not determine how long this video is, and no frames could be decoded");
+
+        duration = decoded.end;
+        range = { start, end: decoded.end };
+        const times = sampleTimes(duration, resolveFrameCount(range.end - range.start, settings), range);
+        frames = framesAtTimes(decoded.frames, decoded.fps, times, start);
+    }
+
+    if (frames.every((frame) => frame.failed)) throw new Error("No frame could be decoded");
+
+    const colorSpace = { ...color, conversion: needsToneMapping(color) ? 'tone-map' : 'none' };
+    return { frames, duration, range, sampleSize, crop, videoWidth, videoHeight, colorSpace };
+}
+
+// ---------------------------------------------------------------------------
+// Outputs
+// ---------------------------------------------------------------------------
+
+async function renderOutput(format, colors, exportOptions, name, paletteSize) {
+    if (DATA_FORMATS.some(({ id }) => id === format)) {
+        return Buffer.from(await exportPaletteData(format, colors, { name, paletteSize }).arrayBuffer());
+    }
+
+    const scene = buildScene(colors, exportOptions);
+    switch (format) {
+        case 'svg':
+            return Buffer.from(sceneToSvg(scene));
+        case 'pdf':
+            return Buffer.from(sceneToPdf(scene));
+        case 'tiff':
+            return Buffer.from(await (await sceneToTiff(scene, rasterizeBands)).arrayBuffer());
+        default:
+            return Buffer.from(await (await sceneToPng(scene, rasterizeBands)).arrayBuffer());
+    }
+}
+
+const extensionOf = (format) => [...EXPORT_FORMATS, ...DATA_FORMATS].find(({ id }) => id === format).extension;
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f', default: 'png,json' },
+            frames: { type: 'string', short: 'n' },
+            reducer: { type: 'string', short: 'r', default: DEFAULT_OPTIONS.reducer },
+            size: { type: 'string', short: 's', default: `${EXPORT_DEFAULTS.width}x${EXPORT_DEFAULTS.height}` },
+            layout: { type: 'string', short: 'l', default: LAYOUT_DEFAULTS.layout },
+            shots: { type: 'boolean', default: false },
+            'no-crop': { type: 'boolean', default: false },
+            stream: { type: 'string', default: '0' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            swatches: { type: 'boolean', default: false },
+            title: { type: 'boolean', default: false },
+            ffmpeg: { type: 'string', default: process.env.FFMPEG_PATH || 'ffmpeg' },
+            ffprobe: { type: 'string', default: process.env.FFPROBE_PATH || 'ffprobe' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (positionals.length === 0) throw new UsageError("No input given");
+
+    const formats = values.format.split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.find((f) => ![...EXPORT_FORMATS, ...DATA_FORMATS].some(({ id }) => id === f));
+    if (unknown) throw new UsageError(`Unknown format: ${unknown}`);
+
+    if (!REDUCERS.some(({ id }) => id === values.reducer)) throw new UsageError(`Unknown reducer: ${values.reducer}`);
+    if (!LAYOUTS.some(({ id }) => id === values.layout)) throw new UsageError(`Unknown layout: ${values.layout}`);
+
+    const size = /^(\d+)x(\d+)$/.exec(values.size);
+    if (!size) throw new UsageError(`Size must look like 3000x1500, got ${values.size}`);
+
+    const frameCount = values.frames === undefined ? DEFAULT_OPTIONS.frameCount : parseInt(values.frames, 10);
+    if (!(frameCount >= MIN_FRAMES && frameCount <= MAX_FRAMES)) {
+        throw new UsageError(`Frame count must be between ${MIN_FRAMES} and ${MAX_FRAMES}`);
+    }
+
+    const videoStream = Number(values.stream);
+    if (!Number.isInteger(videoStream) || videoStream < 0) throw new UsageError(`Stream must be a whole number from 0, got ${values.stream}`);
+
+    const timeOption = (name) => {
+        if (values[name] === undefined) return undefined;
+        const seconds = parseTimecode(values[name]);
+        if (seconds === null) throw new UsageError(`--${name} must be seconds or [h:]mm:ss, got ${values[name]}`);
+        return seconds;
+    };
+    const start = timeOption('start');
+    const end = timeOption('end');
+    if (end !== undefined && !(end > (start ?? 0))) throw new UsageError("--end must come after --start");
+
+    return {
+        inputs: positionals,
+        out: values.out,
+        formats,
+        tools: { ffmpeg: values.ffmpeg, ffprobe: values.ffprobe },
+        settings: normalizeOptions({
+            mode: 'count',
+            frameCount,
+            reducer: values.reducer,
+            segmentation: values.shots ? 'shots' : 'interval',
+            crop: values['no-crop'] ? 'none' : 'auto',
+            videoStream,
+            range: start === undefined && end === undefined ? null : { start: start ?? 0, end: end ?? Infinity },
+            bands: values.layout === 'bands' ? LAYOUT_DEFAULTS.bands : 0
+        }),
+        exportOptions: {
+            ...EXPORT_DEFAULTS,
+            unit: 'px',
+            width: Number(size[1]),
+            height: Number(size[2]),
+            layout: values.layout,
+            swatches: values.swatches,
+            margin: values.swatches || values.title ? EXPORT_DEFAULTS.margin : 0
+        },
+        withTitle: values.title
+    };
+}
+
+async function main(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const files = await expandInputs(options.inputs);
+    if (files.length === 0) throw new UsageError("No video files matched");
+    if (options.out) await mkdir(options.out, { recursive: true });
+
+    // Progress notes overwrite each other on one line; pad each to hide the end of a longer one
+    let shown = 0;
+    const show = (text, { final = false } = {}) => {
+        process.stderr.write(`\r${text.padEnd(shown)}${final ? '\n' : ''}`);
+        shown = final ? 0 : text.length;
+    };
+
+    let failed = 0;
+    for (const [index, file] of files.entries()) {
+        const label = `[${index + 1}/${files.length}] ${path.basename(file)}`;
+        const name = path.basename(file).replace(/\.[^/.]+$/, "");
+        try {
+            const sampling = await sampleFile(options.tools, file, options.settings, (status) => show(`${label} ${status}`));
+            const colors = buildSlices(sampling, options.settings);
+            const exportOptions = { ...options.exportOptions, title: options.withTitle ? name : '' };
+
+            const written = [];
+            for (const format of options.formats) {
+                const target = path.join(options.out ?? path.dirname(file), exportFileName(path.basename(file), extensionOf(format)));
+                await writeFile(target, await renderOutput(format, colors, exportOptions, name, options.settings.paletteSize));
+                written.push(target);
+            }
+            const notes = [
+                sampling.colorSpace.conversion === 'tone-map' && `${describeColorSpace(sampling.colorSpace)}, tone-mapped to sRGB`,
+                sampling.frames.some((frame) => frame.failed) && `${sampling.frames.filter((frame) => frame.failed).length} of ${sampling.frames.length} frames not decoded`
+            ].filter(Boolean);
+            show(`${label} done${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`, { final: true });
+            written.forEach((target) => console.log(target));
+        } catch (err) {
+            if (err instanceof UsageError) throw err;
+            failed++;
+            show(`${label} failed: ${err.message}`, { final: true });
+        }
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (err) => {
+        if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+            console.error(`palette-cut: ${err.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+        } else {
+            console.error(err);
+            process.exitCode = 1;
+        }
+    }
+);
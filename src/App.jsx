@@ -1,63 +1,337 @@
-import React, { useState, useRef } from 'react';
-import html2canvas from 'html2canvas';
+import React, { useState, useRef, useMemo, useEffect, useSyncExternalStore } from 'react';
 import UploadZone from './components/UploadZone.jsx';
 import ColorRibbon from './components/ColorRibbon.jsx';
 import FilmInfo from './components/FilmInfo.jsx';
 import ProcessingOverlay from './components/ProcessingOverlay.jsx';
-import { processVideo } from './utils/videoProcessor.js';
+import SamplingSettings from './components/SamplingSettings.jsx';
+import SliceControls from './components/SliceControls.jsx';
+import CropInfo from './components/CropInfo.jsx';
+import TrimPanel from './components/TrimPanel.jsx';
+import TrimInfo from './components/TrimInfo.jsx';
+import ErrorNotice from './components/ErrorNotice.jsx';
+import ExportPanel from './components/ExportPanel.jsx';
+import LibraryView from './components/LibraryView.jsx';
+import BatchView from './components/BatchView.jsx';
+import ComparisonView from './components/ComparisonView.jsx';
+import PreviewPlayer from './components/PreviewPlayer.jsx';
+import RangeInfo from './components/RangeInfo.jsx';
+import LayoutView from './components/LayoutView.jsx';
+import AnalyticsPanel from './components/AnalyticsPanel.jsx';
+import LayoutControls from './components/LayoutControls.jsx';
+import { sampleVideo, buildSlices, buildPreviewSlices, sliceRange, DEFAULT_OPTIONS } from './utils/videoProcessor.js';
+import { PauseController } from './utils/processingControl.js';
+import { isAbortError } from './utils/errors.js';
+import { isProjectFile, readProject, createProject, serializeProject, fingerprintFile, projectFileName } from './utils/project.js';
+import { downloadBlob, LAYOUT_DEFAULTS } from './utils/export/index.js';
+import { isLibraryAvailable, saveFilm, scheduleSaveFilm, libraryIdFor } from './utils/library.js';
+import { BatchQueue } from './utils/batchQueue.js';
+import { describeColorHandling } from './utils/colorManagement.js';
+
+/**
+ * The source video as stored in projects and the library: its fingerprint plus
+ * what sampling learned about it, or the stored source of a reopened analysis.
+ */
+async function describeSource(file, sampling, project) {
+  if (!file) return project.source;
+  return {
+    ...(await fingerprintFile(file)),
+    duration: sampling.duration,
+    videoWidth: sampling.videoWidth,
+    videoHeight: sampling.videoHeight,
+    crop: sampling.crop,
+    colorSpace: sampling.colorSpace
+  };
+}
+
+/**
+ * Analyzes one batch file and saves it to the library, so finished items
+ * survive a reload even if the batch is never exported.
+ */
+async function processBatchItem(file, onProgress, { signal, ...settings }) {
+  const sampling = await sampleVideo(file, onProgress, { ...settings, signal });
+  const colors = buildSlices(sampling, settings);
+  const title = file.name.replace(/\.[^/.]+$/, "");
+  const source = await describeSource(file, sampling);
+  let libraryId = null;
+
+  if (isLibraryAvailable()) {
+    try {
+      libraryId = (await saveFilm({ id: await libraryIdFor(source), title, source, settings, colors })).id;
+    } catch (err) {
+      console.warn("Could not save to the library", err);
+    }
+  }
+
+  return { colors, source, settings, libraryId };
+}
 
 function App() {
   const [file, setFile] = useState(null);
-  const [colors, setColors] = useState([]);
+  const [pendingFile, setPendingFile] = useState(null); // File waiting in the trim panel to be analyzed
+  const [trim, setTrim] = useState(null); // { range, videoStream } chosen for the current file
+  const [sampling, setSampling] = useState(null); // Cached downsampled frames
+  const [project, setProject] = useState(null); // Analysis opened from a project file, instead of file + sampling
+  const [title, setTitle] = useState('');
+  const [libraryId, setLibraryId] = useState(null); // Library record the current result is saved to
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
-  const exportRef = useRef(null);
+  const [stage, setStage] = useState('decoding');
+  const [error, setError] = useState(null);
+  const [samplingOptions, setSamplingOptions] = useState(DEFAULT_OPTIONS);
+  const [layout, setLayout] = useState(LAYOUT_DEFAULTS); // How the ribbon is drawn, on screen and in exports
+  const [isPaused, setIsPaused] = useState(false);
+  const [previewSamples, setPreviewSamples] = useState([]); // Colors sampled so far, by slot
+  const [comparison, setComparison] = useState(null); // Films shown side by side, instead of a single result
+  const [previewTime, setPreviewTime] = useState(null); // Seconds into the film shown in the preview player
+  const [selection, setSelection] = useState(null); // { start, end } time range selected on the ribbon
+  const [rangeSampling, setRangeSampling] = useState(null); // Frames re-sampled for just the selection
+  const [rangeProgress, setRangeProgress] = useState(null); // Percent while re-sampling the selection
+  const rangeAbortRef = useRef(null);
+  const controlsRef = useRef(null); // { abort: AbortController, pause: PauseController } of the running job
+  const [batchQueue] = useState(() => new BatchQueue(processBatchItem));
+  const batchItems = useSyncExternalStore(batchQueue.subscribe, batchQueue.getSnapshot);
+
+  // Re-reduced from the cached frames whenever the reducer or segmentation changes.
+  // Projects only store the final slices, so theirs are fixed.
+  // The multi-band layout also needs each slice's main colors, which only it pays for.
+  const sliceOptions = useMemo(
+    () => (layout.layout === 'bands' ? { ...samplingOptions, bands: layout.bands } : samplingOptions),
+    [samplingOptions, layout]
+  );
+  const colors = useMemo(
+    () => (sampling ? buildSlices(sampling, sliceOptions) : project?.colors || []),
+    [sampling, project, sliceOptions]
+  );
+  const sourceName = file?.name || project?.source.name || title;
+  // The options the result was produced with, including this file's span and video stream, as
+  // saved to projects and the library so reopening them can reproduce the analysis
+  const analysisSettings = useMemo(() => ({
+    ...samplingOptions,
+    range: sampling?.range ?? trim?.range ?? null,
+    videoStream: trim?.videoStream ?? 0
+  }), [samplingOptions, sampling, trim]);
+  const rangeColors = useMemo(() => {
+    if (rangeSampling) return buildSlices(rangeSampling, sliceOptions);
+    return selection ? sliceRange(colors, selection) : [];
+  }, [rangeSampling, selection, colors, sliceOptions]);
+
+  // Keep the library record in sync with the result: title edits and reducer/palette changes included,
+  // written once they settle
+  useEffect(() => {
+    if (!libraryId || colors.length === 0 || !isLibraryAvailable()) return;
+
+    scheduleSaveFilm(libraryId, async () => ({
+      title,
+      source: await describeSource(file, sampling, project),
+      settings: analysisSettings,
+      colors
+    }));
+  }, [libraryId, title, colors, analysisSettings, file, sampling, project]);
+  const previewSlices = useMemo(() => buildPreviewSlices(previewSamples), [previewSamples]);
+  const failedFrames = useMemo(() => sampling?.frames.filter(frame => frame.failed).length ?? 0, [sampling]);
+
+  // Videos go through the trim panel first; projects open directly
+  const handleFileSelected = (selectedFile) => {
+    if (isProjectFile(selectedFile)) {
+      handleProjectOpen(selectedFile);
+      return;
+    }
+    setError(null);
+    setPendingFile(selectedFile);
+  };
+
+  const handleAnalyze = (fileTrim) => {
+    const selectedFile = pendingFile;
+    setPendingFile(null);
+    setTrim(fileTrim);
+    processFile(selectedFile, { ...samplingOptions, ...fileTrim });
+  };
 
-  const handleFileSelected = async (selectedFile) => {
-    setFile(selectedFile);
+  // Analyzes a fresh upload, or re-runs the current file with new options (crop override,
+  // in/out points). A re-run that fails or is cancelled leaves the previous result in place.
+  // Resolves with whether the run finished.
+  const processFile = async (selectedFile, options) => {
+    const isNewFile = selectedFile !== file;
+    if (isNewFile) {
+      setTitle(selectedFile.name.replace(/\.[^/.]+$/, ""));
+      setLibraryId(null);
+      setFile(selectedFile);
+      setProject(null);
+      setSampling(null);
+      handleSelectionChange(null);
+    }
     setIsProcessing(true);
     setProgress(0);
-    setColors([]);
+    setStage('decoding');
+    setError(null);
+    setIsPaused(false);
+    setPreviewSamples([]);
+
+    // Samples arrive faster than the ribbon needs to repaint, so flush them once per frame
+    const samples = [];
+    let flushFrame = 0;
+    const handleSample = (sample) => {
+      samples[sample.index] = sample;
+      if (!flushFrame) {
+        flushFrame = requestAnimationFrame(() => {
+          flushFrame = 0;
+          setPreviewSamples([...samples]);
+        });
+      }
+    };
+
+    const controls = { abort: new AbortController(), pause: new PauseController() };
+    controlsRef.current = controls;
 
     try {
-      const result = await processVideo(selectedFile, (p) => {
+      const result = await sampleVideo(selectedFile, (p, nextStage) => {
         setProgress(p);
-      });
-      setColors(result);
+        if (nextStage) setStage(nextStage);
+      }, { ...options, signal: controls.abort.signal, pause: controls.pause, onSample: handleSample });
+      setSampling(result);
+      setPreviewTime(null);
+      // A video analyzed before is saved over its existing record
+      if (isNewFile) setLibraryId(await libraryIdFor(await describeSource(selectedFile, result)));
+      else handleSelectionChange(null);
+      return true;
     } catch (err) {
-      console.error(err);
-      alert("Failed to process video: " + err.message);
-      setFile(null);
+      if (!isAbortError(err)) {
+        console.error(err);
+        setError(err);
+      }
+      if (isNewFile) setFile(null);
+      return false;
     } finally {
+      cancelAnimationFrame(flushFrame);
+      setPreviewSamples([]);
+      controlsRef.current = null;
       setIsProcessing(false);
     }
   };
 
-  const handleReset = () => {
-    if (isProcessing) return; // Prevent reset during processing
-    setFile(null);
-    setColors([]);
-    setProgress(0);
+  // A single file goes to the trim panel; several are analyzed one after another in the batch queue
+  const handleFilesSelected = (files) => {
+    if (files.length === 1) {
+      handleFileSelected(files[0]);
+      return;
+    }
+    const videos = files.filter(f => !isProjectFile(f));
+    if (videos.length > 0) batchQueue.add(videos, samplingOptions);
   };
 
-  const handleExport = async () => {
-    if (!exportRef.current) return;
+  const handleBatchOpen = (item) => {
+    const { source, settings, colors: itemColors, libraryId: id } = item.result;
+    showProject({ title: item.title, source, settings, colors: itemColors }, id || crypto.randomUUID());
+  };
 
+  const handleSelectionChange = (range) => {
+    rangeAbortRef.current?.abort();
+    setSelection(range);
+    setRangeSampling(null);
+  };
+
+  // Samples just the selected range again, at its own frame count, with the film's crop
+  const handleResample = async (frameCount) => {
+    const controller = new AbortController();
+    rangeAbortRef.current = controller;
+    setRangeProgress(0);
     try {
-      const canvas = await html2canvas(exportRef.current, {
-        backgroundColor: '#F6F3EE', // Force background color
-        scale: 2, // High res
-        logging: false
+      const result = await sampleVideo(file, setRangeProgress, {
+        ...samplingOptions,
+        ...trim,
+        mode: 'count',
+        frameCount,
+        crop: sampling.crop,
+        range: selection,
+        signal: controller.signal
       });
+      setRangeSampling(result);
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error(err);
+        setError(err);
+      }
+    } finally {
+      if (rangeAbortRef.current === controller) rangeAbortRef.current = null;
+      setRangeProgress(null);
+    }
+  };
+
+  const handlePause = () => {
+    controlsRef.current?.pause.pause();
+    setIsPaused(true);
+  };
 
-      const link = document.createElement('a');
-      link.download = `${file.name.replace(/\.[^/.]+$/, "")}_palette.png`;
-      link.href = canvas.toDataURL();
-      link.click();
+  const handleResume = () => {
+    controlsRef.current?.pause.resume();
+    setIsPaused(false);
+  };
+
+  const handleCancel = () => {
+    controlsRef.current?.abort.abort();
+  };
+
+  const handleProjectOpen = async (projectFile) => {
+    setError(null);
+    try {
+      const opened = await readProject(projectFile);
+      showProject(opened, await libraryIdFor(opened.source));
     } catch (err) {
-      console.error("Export failed", err);
-      alert("Failed to export image.");
+      console.error(err);
+      setError(err);
+    }
+  };
+
+  // Shows a saved analysis (from a project file or the library) in the result view.
+  // Its span and video stream belong to that film, so they go back to trim, not samplingOptions.
+  const showProject = (opened, id) => {
+    const { range = null, videoStream = 0, ...settings } = opened.settings;
+    setComparison(null);
+    handleSelectionChange(null);
+    setFile(null);
+    setSampling(null);
+    setProject(opened);
+    setTitle(opened.title);
+    setSamplingOptions({ ...DEFAULT_OPTIONS, ...settings });
+    setTrim({ range, videoStream });
+    setLibraryId(id);
+  };
+
+  const handleLibraryOpen = (film) => {
+    showProject(film, film.id);
+  };
+
+  const handleSaveProject = async () => {
+    const source = await describeSource(file, sampling, project);
+    const saved = createProject({ title, source, settings: analysisSettings, colors });
+    downloadBlob(serializeProject(saved), projectFileName(title));
+  };
+
+  // A crop override only applies to the current file, so it isn't kept in samplingOptions
+  const handleCropOverride = (crop) => {
+    processFile(file, { ...samplingOptions, ...trim, crop });
+  };
+
+  // Same for in/out points; the crop found for the film still applies, so it isn't detected again
+  const handleTrimChange = async (range) => {
+    const fileTrim = { ...trim, range };
+    if (await processFile(file, { ...samplingOptions, ...fileTrim, crop: sampling.crop })) setTrim(fileTrim);
+  };
+
+  const handleReset = () => {
+    if (isProcessing) {
+      handleCancel();
+      return;
     }
+    setFile(null);
+    setPendingFile(null);
+    setTrim(null);
+    setSampling(null);
+    setProject(null);
+    setLibraryId(null);
+    setProgress(0);
+    setComparison(null);
+    handleSelectionChange(null);
   };
 
   return (
@@ -85,35 +359,120 @@ function App() {
         </h1>
       </header>
 
-      <main style={{ width: '100%', maxWidth: '1000px', flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: file ? 'flex-start' : 'center' }}>
+      <main style={{ width: '100%', maxWidth: '1000px', flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: file || project || comparison ? 'flex-start' : 'center' }}>
+
+        {error && !isProcessing && (
+          <ErrorNotice error={error} onDismiss={() => setError(null)} />
+        )}
+
+        {comparison && !file && !project && !isProcessing && (
+          <ComparisonView films={comparison} onClose={() => setComparison(null)} />
+        )}
 
-        {!file && !isProcessing && (
-          <UploadZone onFileSelected={handleFileSelected} />
+        {pendingFile && !isProcessing && (
+          <TrimPanel file={pendingFile} options={samplingOptions} onAnalyze={handleAnalyze} onCancel={() => setPendingFile(null)} />
+        )}
+
+        {!file && !pendingFile && !project && !comparison && !isProcessing && !error && (
+          <>
+            {batchItems.length > 0 ? (
+              <BatchView queue={batchQueue} onOpen={handleBatchOpen} onCompare={setComparison} />
+            ) : (
+              <UploadZone onFilesSelected={handleFilesSelected} />
+            )}
+            <SamplingSettings options={samplingOptions} onChange={setSamplingOptions} />
+            {isLibraryAvailable() && <LibraryView onOpen={handleLibraryOpen} onCompare={setComparison} />}
+          </>
         )}
 
         {isProcessing && (
-          <ProcessingOverlay progress={progress} />
+          <ColorRibbon colors={previewSlices} />
         )}
 
-        {file && !isProcessing && colors.length > 0 && (
+        {isProcessing && (
+          <ProcessingOverlay
+            progress={progress}
+            stage={stage}
+            isPaused={isPaused}
+            onPause={handlePause}
+            onResume={handleResume}
+            onCancel={handleCancel}
+          />
+        )}
+
+        {(file || project) && !isProcessing && colors.length > 0 && (
           <div className="result-container" style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
 
-            {/* Exportable Area */}
             <div
-              ref={exportRef}
               style={{
                 width: '100%',
                 padding: '3rem',
-                backgroundColor: 'var(--bg-color)', // Match bg for seamless export
+                backgroundColor: 'var(--bg-color)',
                 display: 'flex',
                 flexDirection: 'column',
                 alignItems: 'center'
               }}
             >
-              <FilmInfo fileName={file.name} colors={colors} />
-              <ColorRibbon colors={colors} />
+              <FilmInfo title={title} onTitleChange={setTitle} colors={colors} paletteSize={samplingOptions.paletteSize} />
+              {layout.layout === 'strip' ? (
+                <ColorRibbon
+                  colors={colors}
+                  sampling={sampling}
+                  onSelect={file ? (slice) => setPreviewTime(slice.frameTime ?? slice.start) : null}
+                  zoomable
+                  selection={selection}
+                  onSelectionChange={handleSelectionChange}
+                />
+              ) : (
+                <LayoutView colors={colors} layout={layout} />
+              )}
+              <AnalyticsPanel colors={colors} />
+              {selection && (
+                <RangeInfo
+                  selection={selection}
+                  colors={rangeColors}
+                  paletteSize={samplingOptions.paletteSize}
+                  rangeSampling={rangeSampling}
+                  resampleProgress={rangeProgress}
+                  canResample={Boolean(file && sampling)}
+                  onResample={handleResample}
+                  onCancelResample={() => rangeAbortRef.current?.abort()}
+                  onClear={() => handleSelectionChange(null)}
+                />
+              )}
             </div>
 
+            {sampling && (
+              <>
+                <SliceControls
+                  options={samplingOptions}
+                  onChange={setSamplingOptions}
+                  sampleInterval={(sampling.range.end - sampling.range.start) / sampling.frames.length}
+                />
+                <CropInfo
+                  crop={sampling.crop}
+                  videoWidth={sampling.videoWidth}
+                  videoHeight={sampling.videoHeight}
+                  onApply={handleCropOverride}
+                />
+                <TrimInfo sampling={sampling} onApply={handleTrimChange} />
+                {sampling.colorSpace && (
+                  <span className="color-space-info" style={{ fontSize: '0.8rem', opacity: 0.5, marginTop: '0.8rem' }}>
+                    {describeColorHandling(sampling.colorSpace)}
+                  </span>
+                )}
+                {failedFrames > 0 && (
+                  <span className="failed-frames-info" style={{ fontSize: '0.8rem', opacity: 0.5, marginTop: '0.4rem' }}>
+                    {failedFrames} of {sampling.frames.length} frames could not be decoded; the slices next to them cover their time
+                  </span>
+                )}
+              </>
+            )}
+
+            <LayoutControls layout={layout} onChange={setLayout} />
+
+            <ExportPanel colors={colors} fileName={sourceName} title={title} paletteSize={samplingOptions.paletteSize} layout={layout} />
+
             <div className="actions" style={{ marginTop: '2rem', display: 'flex', gap: '1rem' }}>
               <button
                 onClick={handleReset}
@@ -129,17 +488,17 @@ function App() {
                 New File
               </button>
               <button
-                onClick={handleExport}
+                onClick={handleSaveProject}
                 style={{
                   padding: '0.8rem 1.5rem',
-                  backgroundColor: '#1E1E1E',
-                  color: '#FFF',
+                  border: '1px solid rgba(30,30,30,0.2)',
                   borderRadius: '4px',
+                  opacity: 0.7,
                   fontSize: '0.9rem',
-                  boxShadow: '0 4px 12px rgba(0,0,0,0.1)'
+                  transition: 'all 0.2s'
                 }}
               >
-                Export Image
+                Save Project
               </button>
             </div>
 
@@ -147,6 +506,10 @@ function App() {
         )}
       </main>
 
+      {previewTime !== null && file && (
+        <PreviewPlayer file={file} time={previewTime} onClose={() => setPreviewTime(null)} />
+      )}
+
       <footer style={{ marginTop: '4rem', opacity: 0.4, fontSize: '0.8rem', fontFamily: 'var(--font-serif)' }}>
         Processed locally. No data leaves your device.
       </footer>
@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from 'react';
+import { rgbToCss, formatTimecode } from '../utils/videoProcessor';
+import { labToRgb } from '../utils/palette';
+import { timelineMetrics, summarizeMetrics, HUE_BINS } from '../utils/colorAnalytics';
+import { labelStyle, chipStyle } from './settingsStyles';
+
+// Drawing size of each curve, in SVG units; the SVG stretches to the ribbon's width
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 70;
+const WHEEL_SIZE = 180;
+// Lightness and chroma the hue-wheel sectors are painted with
+const WHEEL_LIGHTNESS = 65;
+const WHEEL_CHROMA = 45;
+
+const CURVES = [
+    { key: 'luminance', label: 'Brightness', domain: () => [0, 100], format: (v) => `L* ${v.toFixed(0)}` },
+    { key: 'saturation', label: 'Saturation', domain: () => [0, 100], format: (v) => `${v.toFixed(0)}%` },
+    {
+        key: 'warmth',
+        label: 'Warmth',
+        // Symmetric around neutral, so warm is always above the midline and cool below
+        domain: (metrics) => {
+            const extent = Math.max(10, ...metrics.map((m) => Math.abs(m.warmth)));
+            return [-extent, extent];
+        },
+        format: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)} ${v >= 0 ? 'warm' : 'cool'}`
+    }
+];
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '1rem', width: '100%' };
+const rowLabelStyle = { ...labelStyle, marginBottom: 0, width: '80px', flexShrink: 0, textAlign: 'right' };
+const chartStyle = { flex: 1, minWidth: 0, height: `${CHART_HEIGHT}px`, display: 'block', overflow: 'visible' };
+
+const hueColor = (hue) => rgbToCss(labToRgb({
+    l: WHEEL_LIGHTNESS,
+    a: WHEEL_CHROMA * Math.cos((hue * Math.PI) / 180),
+    b: WHEEL_CHROMA * Math.sin((hue * Math.PI) / 180)
+}));
+
+/**
+ * One chart row's SVG, reporting the pointer as a fraction of the runtime and drawing the shared cursor.
+ */
+const Chart = ({ cursor, onCursor, children }) => {
+    const handlePointerMove = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        onCursor(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+    };
+
+    return (
+        <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+            onPointerMove={handlePointerMove}
+            onPointerLeave={() => onCursor(null)}
+            style={chartStyle}
+        >
+            {children}
+            {cursor !== null && (
+                <line x1={cursor * CHART_WIDTH} x2={cursor * CHART_WIDTH} y1={0} y2={CHART_HEIGHT} stroke="rgba(30,30,30,0.5)" vectorEffect="non-scaling-stroke" />
+            )}
+        </svg>
+    );
+};
+
+const Curve = ({ metrics, curve }) => {
+    const [min, max] = curve.domain(metrics);
+    const y = (value) => CHART_HEIGHT - ((value - min) / (max - min)) * CHART_HEIGHT;
+    const points = metrics.map((m) => `${(((m.from + m.to) / 2) * CHART_WIDTH).toFixed(1)},${y(m[curve.key]).toFixed(1)}`);
+
+    return (
+        <>
+            <line x1={0} x2={CHART_WIDTH} y1={y((min + max) / 2)} y2={y((min + max) / 2)} stroke="rgba(30,30,30,0.12)" vectorEffect="non-scaling-stroke" />
+            <polyline points={points.join(' ')} fill="none" stroke="#1E1E1E" strokeWidth={1.5} strokeLinejoin="round" vectorEffect="non-scaling-stroke" />
+        </>
+    );
+};
+
+/**
+ * Hue over the runtime as dots in each slice's own color; near-grays have no hue and are left out.
+ */
+const HueScatter = ({ metrics }) => metrics.map((m, index) => m.hue !== null && (
+    <rect
+        key={index}
+        x={((m.from + m.to) / 2) * CHART_WIDTH - 2}
+        y={CHART_HEIGHT - (m.hue / 360) * CHART_HEIGHT - 2}
+        width={4}
+        height={4}
+        fill={rgbToCss(m.color)}
+    />
+));
+
+/**
+ * Share of chromatic screen time per hue sector, drawn as a rose: 0° at the top, clockwise.
+ */
+const HueWheel = ({ histogram }) => {
+    const center = WHEEL_SIZE / 2;
+    const inner = WHEEL_SIZE * 0.12;
+    const outer = WHEEL_SIZE / 2 - 2;
+    const peak = Math.max(...histogram);
+    const sector = 360 / HUE_BINS;
+
+    const point = (angle, radius) => {
+        const rad = ((angle - 90) * Math.PI) / 180;
+        return `${(center + radius * Math.cos(rad)).toFixed(2)},${(center + radius * Math.sin(rad)).toFixed(2)}`;
+    };
+
+    return (
+        <svg viewBox={`0 0 ${WHEEL_SIZE} ${WHEEL_SIZE}`} style={{ width: `${WHEEL_SIZE}px`, height: `${WHEEL_SIZE}px`, display: 'block' }}>
+            <circle cx={center} cy={center} r={outer} fill="none" stroke="rgba(30,30,30,0.1)" />
+            {histogram.map((weight, index) => {
+                if (!(weight > 0)) return null;
+                const radius = inner + (outer - inner) * (weight / peak);
+                const from = index * sector;
+                const to = from + sector;
+                return (
+                    <polygon
+                        key={index}
+                        points={[point(from, inner), point(from, radius), point(to, radius), point(to, inner)].join(' ')}
+                        fill={hueColor(from + sector / 2)}
+                    />
+                );
+            })}
+        </svg>
+    );
+};
+
+const Stat = ({ label, value, detail }) => (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', minWidth: '110px' }}>
+        <span style={{ ...labelStyle, marginBottom: '0.2rem' }}>{label}</span>
+        <span style={{ fontSize: '0.95rem', fontFamily: 'monospace' }}>{value}</span>
+        {detail && <span style={{ fontSize: '0.7rem', opacity: 0.5 }}>{detail}</span>}
+    </div>
+);
+
+/**
+ * Brightness, saturation, warmth and hue of every slice over the runtime, aligned with
+ * the ribbon above, plus film-level numbers and a hue-wheel histogram. Collapsed by default.
+ */
+const AnalyticsPanel = ({ colors }) => {
+    const [open, setOpen] = useState(false);
+    const [cursor, setCursor] = useState(null); // Pointer position as a fraction of the runtime
+
+    const metrics = useMemo(() => timelineMetrics(colors), [colors]);
+    const summary = useMemo(() => summarizeMetrics(metrics), [metrics]);
+
+    if (!summary) return null;
+
+    const hovered = cursor === null ? null : metrics.find((m) => cursor < m.to) ?? metrics[metrics.length - 1];
+
+    return (
+        <div className="analytics-panel" style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', marginBottom: '1rem' }}>
+            <button style={chipStyle(open)} onClick={() => setOpen(!open)}>
+                {open ? 'Hide analytics' : 'Analytics'}
+            </button>
+
+            {open && (
+                <>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1.5rem', marginTop: '1.5rem' }}>
+                        <Stat label="Mean key" value={`L* ${summary.meanKey.toFixed(0)}`} detail={`${summary.key} key`} />
+                        <Stat
+                            label="Contrast range"
+                            value={`${summary.contrastRange.low.toFixed(0)}–${summary.contrastRange.high.toFixed(0)}`}
+                            detail={`span ${summary.contrastRange.span.toFixed(0)} L*`}
+                        />
+                        <Stat label="Saturation" value={`${summary.meanSaturation.toFixed(0)}%`} detail="mean" />
+                        <Stat label="Warmth" value={CURVES[2].format(summary.meanWarmth)} detail="mean" />
+                        <Stat
+                            label="Hue entropy"
+                            value={summary.hueEntropy.toFixed(2)}
+                            detail={summary.dominantHue === null ? 'no chromatic slices' : `peak at ${summary.dominantHue.toFixed(0)}°`}
+                        />
+                    </div>
+
+                    <div style={{ width: '100%', display: 'flex', flexDirection: 'column', gap: '0.8rem', marginTop: '1.5rem' }}
+                    >
+                        {CURVES.map((curve) => (
+                            <div key={curve.key} style={rowStyle}>
+                                <span style={rowLabelStyle}>{curve.label}</span>
+                                <Chart cursor={cursor} onCursor={setCursor}>
+                                    <Curve metrics={metrics} curve={curve} />
+                                </Chart>
+                            </div>
+                        ))}
+                        <div style={rowStyle}>
+                            <span style={rowLabelStyle}>Hue</span>
+                            <Chart cursor={cursor} onCursor={setCursor}>
+                                <HueScatter metrics={metrics} />
+                            </Chart>
+                        </div>
+                    </div>
+
+                    <span style={{ fontSize: '0.75rem', fontFamily: 'monospace', opacity: hovered ? 0.7 : 0, marginTop: '0.6rem', minHeight: '1em' }}>
+                        {hovered && [
+                            formatTimecode(hovered.color.frameTime ?? hovered.color.start),
+                            ...CURVES.map((curve) => curve.format(hovered[curve.key])),
+                            hovered.hue === null ? 'no hue' : `${hovered.hue.toFixed(0)}°`
+                        ].join(' · ')}
+                    </span>
+
+                    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', marginTop: '1.5rem' }}>
+                        <span style={labelStyle}>Hue wheel</span>
+                        <HueWheel histogram={summary.histogram} />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AnalyticsPanel;
@@ -0,0 +1,130 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import {
+    exportRibbon,
+    exportStack,
+    exportFileName,
+    downloadBlob,
+    createZip,
+    EXPORT_DEFAULTS
+} from '../utils/export/index.js';
+import { labelStyle, chipStyle } from './settingsStyles';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    processing: 'Analyzing',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const BatchItem = ({ item, queue, onOpen }) => (
+    <li style={{ display: 'flex', flexDirection: 'column', gap: '0.3rem', padding: '0.6rem 0', borderBottom: '1px solid rgba(30, 30, 30, 0.08)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+            <span style={{ flex: 1, minWidth: 0, fontFamily: 'var(--font-serif)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {item.title}
+            </span>
+            <span style={{ fontSize: '0.75rem', opacity: 0.5 }}>
+                {item.status === 'processing' ? `${Math.round(item.progress)}%` : STATUS_LABELS[item.status]}
+            </span>
+            {item.status === 'done' && (
+                <button style={chipStyle(false)} onClick={() => onOpen(item)}>Open</button>
+            )}
+            {(item.status === 'failed' || item.status === 'cancelled') && (
+                <button style={chipStyle(false)} onClick={() => queue.retry(item.id)}>Retry</button>
+            )}
+            <button style={chipStyle(false)} onClick={() => queue.remove(item.id)}>Remove</button>
+        </div>
+        <div style={{ height: '2px', backgroundColor: 'rgba(30, 30, 30, 0.08)' }}>
+            <div style={{
+                width: `${item.progress}%`,
+                height: '100%',
+                backgroundColor: item.status === 'failed' ? '#B3261E' : '#1E1E1E',
+                opacity: item.status === 'done' ? 0.3 : 0.8,
+                transition: 'width 0.2s'
+            }} />
+        </div>
+        {item.error && (
+            <span style={{ fontSize: '0.75rem', color: '#B3261E' }}>{item.error.message}</span>
+        )}
+    </li>
+);
+
+/**
+ * Progress of a multi-file batch, with per-file retry and the combined exports:
+ * a zip of every ribbon and one image of all ribbons stacked in order. Finished
+ * files can also be opened in the comparison view.
+ */
+const BatchView = ({ queue, onOpen, onCompare }) => {
+    const items = useSyncExternalStore(queue.subscribe, queue.getSnapshot);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const done = items.filter(item => item.status === 'done');
+    const isRunning = items.some(item => item.status === 'queued' || item.status === 'processing');
+
+    const runExport = async (task) => {
+        setIsExporting(true);
+        try {
+            await task();
+        } catch (err) {
+            console.error("Batch export failed", err);
+            alert(`Failed to export: ${err.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleZip = () => runExport(async () => {
+        const entries = [];
+        const nameCounts = new Map();
+        for (const item of done) {
+            // Files from different folders can share a name; number the repeats so none is overwritten
+            const name = exportFileName(item.file.name, 'png');
+            const count = (nameCounts.get(name) ?? 0) + 1;
+            nameCounts.set(name, count);
+            entries.push({
+                name: count === 1 ? name : name.replace(/\.png$/, `_${count}.png`),
+                data: await exportRibbon(item.result.colors, { ...EXPORT_DEFAULTS, title: item.title })
+            });
+        }
+        downloadBlob(await createZip(entries), 'Batch_palettes.zip');
+    });
+
+    const handleStack = () => runExport(async () => {
+        const films = done.map(item => ({ title: item.title, colors: item.result.colors }));
+        downloadBlob(await exportStack(films), 'Batch_palette.png');
+    });
+
+    return (
+        <div className="batch" style={{ width: '100%', maxWidth: '600px', display: 'flex', flexDirection: 'column' }}>
+            <span style={labelStyle}>
+                Batch · {done.length} of {items.length} done
+            </span>
+            <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                {items.map(item => (
+                    <BatchItem key={item.id} item={item} queue={queue} onOpen={onOpen} />
+                ))}
+            </ul>
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem', flexWrap: 'wrap' }}>
+                {isRunning && (
+                    <button style={chipStyle(false)} onClick={() => queue.cancel()}>Cancel</button>
+                )}
+                <button style={chipStyle(false)} disabled={done.length === 0 || isExporting} onClick={handleZip}>
+                    Ribbons (.zip)
+                </button>
+                <button style={chipStyle(false)} disabled={done.length === 0 || isExporting} onClick={handleStack}>
+                    Stacked image
+                </button>
+                <button
+                    style={chipStyle(false)}
+                    disabled={done.length < 2}
+                    onClick={() => onCompare(done.map(item => ({ id: item.id, title: item.title, ...item.result })))}
+                >
+                    Compare
+                </button>
+                <button style={chipStyle(false)} onClick={() => queue.clear()}>Close</button>
+            </div>
+        </div>
+    );
+};
+
+export default BatchView;
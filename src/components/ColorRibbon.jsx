@@ -1,15 +1,89 @@
-import React, { useMemo } from 'react';
-import { rgbToCss } from '../utils/videoProcessor';
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { rgbToCss, rgbToHex, formatTimecode } from '../utils/videoProcessor';
+import { chipStyle } from './settingsStyles';
+
+const THUMBNAIL_WIDTH = 128;
+const MAX_ZOOM = 64;
+const ZOOM_STEP = 2;
+// Pointer travel (px) before a press counts as a drag rather than a click
+const DRAG_THRESHOLD = 4;
+
+/**
+ * One cached sample frame, drawn at its sampled resolution and stretched back to the
+ * picture's aspect ratio (samples are square).
+ */
+const FrameThumbnail = ({ pixels, sampleSize, aspect }) => {
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        const ctx = canvasRef.current.getContext('2d');
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(pixels), sampleSize, sampleSize), 0, 0);
+    }, [pixels, sampleSize]);
+
+    return (
+        <canvas
+            ref={canvasRef}
+            width={sampleSize}
+            height={sampleSize}
+            style={{ display: 'block', width: `${THUMBNAIL_WIDTH}px`, height: `${Math.round(THUMBNAIL_WIDTH / aspect)}px`, borderRadius: '2px', marginBottom: '0.4rem' }}
+        />
+    );
+};
+
+/**
+ * Aspect ratio of the sampled picture: the video's, after letterbox cropping.
+ */
+function pictureAspect({ videoWidth, videoHeight, crop }) {
+    if (!videoWidth || !videoHeight) return 16 / 9;
+    return (videoWidth * (crop?.width ?? 1)) / (videoHeight * (crop?.height ?? 1));
+}
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * The ribbon.
+ * - Hovering a slice shows its timecode and hex value, plus the sampled frame when
+ *   `sampling` (the cached frames) is given; clicking calls onSelect(slice) if set.
+ * - `zoomable` adds zoom controls (also Ctrl/pinch + wheel); the zoomed ribbon scrolls sideways.
+ * - With onSelectionChange, dragging selects a { start, end } time range, shown from `selection`.
+ */
+const ColorRibbon = ({
+    colors,
+    height = 120,
+    sampling = null,
+    onSelect = null,
+    zoomable = false,
+    selection = null,
+    onSelectionChange = null
+}) => {
+    const [hovered, setHovered] = useState(null); // { index, x }: slice under the pointer, x as a fraction of the visible ribbon
+    const [zoom, setZoom] = useState(1);
+    const [drag, setDrag] = useState(null); // { from, to } fractions of the ribbon while dragging a selection
+    const scrollRef = useRef(null);
+    const stripRef = useRef(null);
+    const pressRef = useRef(null); // { x, fraction } where the pointer went down
+    const pendingScrollRef = useRef(null); // scrollLeft to apply once a new zoom has rendered
 
-const ColorRibbon = ({ colors }) => {
     // Memoize the mapping to avoid recalculations if props don't change
-    const barcode = useMemo(() => {
-        if (!colors || colors.length === 0) return null;
-        return colors.map((color, index) => (
+    const { barcode, edges } = useMemo(() => {
+        if (!colors || colors.length === 0) return { barcode: null, edges: [] };
+
+        // Slices are sized by duration so per-shot ribbons keep the film's pacing.
+        // Weights are normalized to average 1, since flex-grow sums below 1 leave the strip unfilled.
+        const totalDuration = colors.reduce((sum, c) => sum + (c.duration || 0), 0);
+        const averageDuration = totalDuration / colors.length;
+        const weight = (color) => (averageDuration > 0 ? (color.duration || 0) / averageDuration : 1);
+
+        // Left edge of every slice (and the right edge of the last) as a fraction of the ribbon
+        const sliceEdges = [0];
+        colors.forEach((color) => sliceEdges.push(sliceEdges[sliceEdges.length - 1] + weight(color) / colors.length));
+
+        const slices = colors.map((color, index) => (
             <div
                 key={index}
+                data-index={index}
                 style={{
-                    flex: 1,
+                    flex: weight(color),
                     backgroundColor: rgbToCss(color),
                     height: '100%',
                     // Use a tiny negative margin to prevent subpixel rendering gaps
@@ -20,28 +94,213 @@ const ColorRibbon = ({ colors }) => {
                 }}
             />
         ));
+
+        return { barcode: slices, edges: sliceEdges };
     }, [colors]);
 
+    // Keep the point under the cursor in place when zooming
+    useLayoutEffect(() => {
+        if (pendingScrollRef.current === null) return;
+        scrollRef.current.scrollLeft = pendingScrollRef.current;
+        pendingScrollRef.current = null;
+    }, [zoom]);
+
+    const zoomTo = (next, clientX) => {
+        const container = scrollRef.current;
+        const target = Math.min(MAX_ZOOM, Math.max(1, next));
+        if (!container || target === zoom) return;
+
+        const rect = container.getBoundingClientRect();
+        const offset = clientX === undefined ? rect.width / 2 : clientX - rect.left;
+        const fraction = (container.scrollLeft + offset) / (rect.width * zoom);
+        pendingScrollRef.current = fraction * rect.width * target - offset;
+        setZoom(target);
+    };
+
+    // React's wheel listener is passive, and Ctrl + wheel has to be kept from zooming the page
+    useEffect(() => {
+        const container = scrollRef.current;
+        if (!zoomable || !container) return;
+
+        const handleWheel = (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+            e.preventDefault();
+            zoomTo(e.deltaY < 0 ? zoom * ZOOM_STEP : zoom / ZOOM_STEP, e.clientX);
+        };
+        container.addEventListener('wheel', handleWheel, { passive: false });
+        return () => container.removeEventListener('wheel', handleWheel);
+    });
+
     if (!colors || colors.length === 0) return null;
 
+    // Index of the slice at a fraction of the ribbon
+    const indexAt = (fraction) => {
+        let low = 0;
+        let high = colors.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (edges[mid] <= fraction) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    };
+
+    const timeAt = (fraction) => {
+        const index = indexAt(fraction);
+        const slice = colors[index];
+        const within = (fraction - edges[index]) / (edges[index + 1] - edges[index] || 1);
+        return slice.start + clamp01(within) * slice.duration;
+    };
+
+    const fractionAt = (time) => {
+        const index = colors.findIndex(c => time < c.start + c.duration);
+        if (index === -1) return 1;
+        const slice = colors[index];
+        const within = slice.duration > 0 ? (time - slice.start) / slice.duration : 0;
+        return edges[index] + clamp01(within) * (edges[index + 1] - edges[index]);
+    };
+
+    const fractionOf = (e) => {
+        const rect = stripRef.current.getBoundingClientRect();
+        return clamp01((e.clientX - rect.left) / rect.width);
+    };
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        pressRef.current = { x: e.clientX, fraction: fractionOf(e) };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const press = pressRef.current;
+        if (!press || !onSelectionChange) return;
+        if (drag || Math.abs(e.clientX - press.x) > DRAG_THRESHOLD) {
+            setDrag({ from: press.fraction, to: fractionOf(e) });
+        }
+    };
+
+    const handlePointerUp = () => {
+        const press = pressRef.current;
+        pressRef.current = null;
+        if (!press) return;
+
+        if (drag) {
+            setDrag(null);
+            const from = Math.min(drag.from, drag.to);
+            const to = Math.max(drag.from, drag.to);
+            onSelectionChange({ start: timeAt(from), end: timeAt(to) });
+        } else if (onSelect) {
+            onSelect(colors[indexAt(press.fraction)]);
+        }
+    };
+
+    const handleMouseOver = (e) => {
+        const index = e.target.dataset?.index;
+        if (index === undefined) return;
+        const rect = scrollRef.current.getBoundingClientRect();
+        setHovered({ index: Number(index), x: clamp01((e.clientX - rect.left) / rect.width) });
+    };
+
+    const highlight = drag
+        ? { from: Math.min(drag.from, drag.to), to: Math.max(drag.from, drag.to) }
+        : selection && { from: fractionAt(selection.start), to: fractionAt(selection.end) };
+
+    const slice = hovered && !drag ? colors[hovered.index] : null;
+    const frame = slice && sampling && Number.isInteger(slice.frame) ? sampling.frames[slice.frame] : null;
+
     return (
-        <div
-            className="color-ribbon"
-            style={{
-                width: '100%',
-                height: '120px',
-                display: 'flex',
-                alignItems: 'stretch',
-                overflow: 'hidden',
-                borderRadius: '2px', // Very subtle radius
-                boxShadow: '0 10px 30px -10px rgba(0,0,0,0.1)',
-                marginTop: '2rem',
-                marginBottom: '2rem',
-                // Creating a seamless container
-                backgroundColor: '#000'
-            }}
-        >
-            {barcode}
+        <div style={{ width: '100%', position: 'relative', marginTop: '2rem', marginBottom: '2rem' }}>
+            <div
+                ref={scrollRef}
+                className="color-ribbon"
+                onMouseOver={handleMouseOver}
+                onMouseLeave={() => setHovered(null)}
+                style={{
+                    width: '100%',
+                    height: `${height}px`,
+                    overflowX: zoom > 1 ? 'auto' : 'hidden',
+                    overflowY: 'hidden',
+                    borderRadius: '2px', // Very subtle radius
+                    boxShadow: '0 10px 30px -10px rgba(0,0,0,0.1)',
+                    // Creating a seamless container
+                    backgroundColor: '#000'
+                }}
+            >
+                <div
+                    ref={stripRef}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={() => {
+                        pressRef.current = null;
+                        setDrag(null);
+                    }}
+                    style={{
+                        width: `${zoom * 100}%`,
+                        height: '100%',
+                        display: 'flex',
+                        alignItems: 'stretch',
+                        position: 'relative',
+                        cursor: onSelectionChange ? 'crosshair' : onSelect ? 'pointer' : 'default',
+                        userSelect: 'none',
+                        touchAction: 'pan-x'
+                    }}
+                >
+                    {barcode}
+                    {highlight && (
+                        <div
+                            className="ribbon-selection"
+                            style={{
+                                position: 'absolute',
+                                top: 0,
+                                bottom: 0,
+                                left: `${highlight.from * 100}%`,
+                                width: `${(highlight.to - highlight.from) * 100}%`,
+                                boxShadow: '0 0 0 9999px rgba(246, 243, 238, 0.55)',
+                                outline: '1px solid rgba(30, 30, 30, 0.6)',
+                                pointerEvents: 'none',
+                                zIndex: 2
+                            }}
+                        />
+                    )}
+                </div>
+            </div>
+
+            {zoomable && (
+                <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.4rem', marginTop: '0.5rem', fontSize: '0.75rem' }}>
+                    <button style={chipStyle(false)} onClick={() => zoomTo(zoom / ZOOM_STEP)} disabled={zoom <= 1}>−</button>
+                    <span style={{ minWidth: '2.5rem', textAlign: 'center', opacity: 0.6 }}>{zoom}×</span>
+                    <button style={chipStyle(false)} onClick={() => zoomTo(zoom * ZOOM_STEP)} disabled={zoom >= MAX_ZOOM}>+</button>
+                    <button style={chipStyle(false)} onClick={() => zoomTo(1)} disabled={zoom <= 1}>Fit</button>
+                </div>
+            )}
+
+            {slice && (
+                <div
+                    className="ribbon-tooltip"
+                    style={{
+                        position: 'absolute',
+                        bottom: `calc(100% + 8px)`,
+                        left: `${hovered.x * 100}%`,
+                        transform: `translateX(${-hovered.x * 100}%)`,
+                        padding: '0.5rem',
+                        backgroundColor: '#FFF',
+                        borderRadius: '4px',
+                        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+                        fontSize: '0.75rem',
+                        pointerEvents: 'none',
+                        zIndex: 20,
+                        whiteSpace: 'nowrap'
+                    }}
+                >
+                    {frame && (
+                        <FrameThumbnail pixels={frame.pixels} sampleSize={sampling.sampleSize} aspect={pictureAspect(sampling)} />
+                    )}
+                    <span style={{ fontFamily: 'monospace' }}>
+                        {formatTimecode(slice.frameTime ?? slice.start)} · {rgbToHex(slice)}
+                    </span>
+                </div>
+            )}
         </div>
     );
 };
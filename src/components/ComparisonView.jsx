@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import ColorRibbon from './ColorRibbon.jsx';
+import { analyzeColors, rgbToCss } from '../utils/videoProcessor';
+import { paletteDistance, timelineDistance, similarityScore } from '../utils/compare.js';
+import { exportStack, downloadBlob, EXPORT_FORMATS } from '../utils/export/index.js';
+import { labelStyle, chipStyle } from './settingsStyles';
+
+const ComparisonRow = ({ film, score, isReference, onSetReference }) => (
+    <div style={{ width: '100%', display: 'flex', flexDirection: 'column' }}>
+        <div style={{ display: 'flex', alignItems: 'baseline', gap: '1rem' }}>
+            <span style={{ flex: 1, minWidth: 0, fontFamily: 'var(--font-serif)', fontSize: '1.2rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {film.title || 'Untitled Film'}
+            </span>
+            {isReference ? (
+                <span style={{ fontSize: '0.75rem', opacity: 0.5 }}>Reference</span>
+            ) : (
+                <>
+                    <span style={{ fontSize: '0.8rem' }} title="Palette similarity to the reference">
+                        Palette {score.palette}%
+                    </span>
+                    <span style={{ fontSize: '0.8rem', opacity: 0.6 }} title="Color similarity at the same point in the runtime">
+                        Timeline {score.timeline}%
+                    </span>
+                    <button style={chipStyle(false)} onClick={onSetReference}>Set as reference</button>
+                </>
+            )}
+        </div>
+        <ColorRibbon colors={film.colors} height={60} />
+        <div style={{ display: 'flex', height: '8px', marginTop: '-1.5rem', marginBottom: '2rem', borderRadius: '2px', overflow: 'hidden' }}>
+            {film.stats.palette.map((entry, index) => (
+                <div key={index} style={{ flex: entry.weight, backgroundColor: rgbToCss(entry) }} />
+            ))}
+        </div>
+    </div>
+);
+
+/**
+ * Several films' ribbons stacked on a normalized runtime, each scored against a reference film:
+ * by palette (distance between their weighted palettes) and by timeline (color at the same
+ * fraction of the runtime). The stack exports as one image.
+ */
+const ComparisonView = ({ films, onClose }) => {
+    const [referenceId, setReferenceId] = useState(films[0].id);
+    const [format, setFormat] = useState('png');
+    const [isExporting, setIsExporting] = useState(false);
+
+    const analyzed = useMemo(() => films.map(film => ({
+        ...film,
+        stats: analyzeColors(film.colors, { paletteSize: film.settings?.paletteSize })
+    })), [films]);
+
+    const reference = analyzed.find(film => film.id === referenceId) || analyzed[0];
+
+    const scores = useMemo(() => new Map(analyzed.map(film => [film.id, {
+        palette: similarityScore(paletteDistance(reference.stats.palette, film.stats.palette)),
+        timeline: similarityScore(timelineDistance(reference.colors, film.colors))
+    }])), [analyzed, reference]);
+
+    // Reference first, then the rest in the order they were picked
+    const ordered = [reference, ...analyzed.filter(film => film !== reference)];
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const stack = ordered.map(film => ({
+                title: film === reference
+                    ? film.title
+                    : `${film.title} · palette ${scores.get(film.id).palette}%, timeline ${scores.get(film.id).timeline}%`,
+                colors: film.colors
+            }));
+            const { extension } = EXPORT_FORMATS.find(({ id }) => id === format);
+            downloadBlob(await exportStack(stack, { format }), `Comparison_palette.${extension}`);
+        } catch (err) {
+            console.error("Export failed", err);
+            alert(`Failed to export: ${err.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="comparison" style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+            <div style={{ width: '100%', padding: '3rem', backgroundColor: 'var(--bg-color)' }}>
+                {ordered.map(film => (
+                    <ComparisonRow
+                        key={film.id}
+                        film={film}
+                        score={scores.get(film.id)}
+                        isReference={film === reference}
+                        onSetReference={() => setReferenceId(film.id)}
+                    />
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '1.5rem', marginTop: '1rem' }}>
+                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                    <span style={labelStyle}>Format</span>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        {EXPORT_FORMATS.map(({ id, label }) => (
+                            <button key={id} style={chipStyle(format === id)} onClick={() => setFormat(id)}>
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <button
+                    onClick={handleExport}
+                    disabled={isExporting}
+                    style={{
+                        padding: '0.8rem 1.5rem',
+                        backgroundColor: '#1E1E1E',
+                        color: '#FFF',
+                        borderRadius: '4px',
+                        fontSize: '0.9rem',
+                        boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                        opacity: isExporting ? 0.5 : 1
+                    }}
+                >
+                    {isExporting ? 'Exporting...' : 'Export Comparison'}
+                </button>
+                <button
+                    onClick={onClose}
+                    style={{
+                        padding: '0.8rem 1.5rem',
+                        border: '1px solid rgba(30,30,30,0.2)',
+                        borderRadius: '4px',
+                        opacity: 0.7,
+                        fontSize: '0.9rem',
+                        transition: 'all 0.2s'
+                    }}
+                >
+                    Back
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ComparisonView;
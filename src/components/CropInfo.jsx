@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { isFullFrame, FULL_FRAME } from '../utils/letterbox';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+const EDGES = [
+    { key: 'top', label: 'Top' },
+    { key: 'bottom', label: 'Bottom' },
+    { key: 'left', label: 'Left' },
+    { key: 'right', label: 'Right' }
+];
+
+const toPercent = (value) => Math.round(value * 1000) / 10;
+
+const rectToInsets = (crop) => ({
+    top: toPercent(crop.y),
+    bottom: toPercent(1 - crop.y - crop.height),
+    left: toPercent(crop.x),
+    right: toPercent(1 - crop.x - crop.width)
+});
+
+const insetsToRect = ({ top, bottom, left, right }) => ({
+    x: left / 100,
+    y: top / 100,
+    width: Math.max(0.01, 1 - (left + right) / 100),
+    height: Math.max(0.01, 1 - (top + bottom) / 100)
+});
+
+const describeCrop = (crop, videoWidth, videoHeight) => {
+    if (isFullFrame(crop)) return 'Full frame, no bars detected';
+
+    const insets = rectToInsets(crop);
+    const removed = EDGES
+        .filter(({ key }) => insets[key] > 0)
+        .map(({ key, label }) => `${label.toLowerCase()} ${insets[key]}%`)
+        .join(', ');
+
+    if (!videoWidth || !videoHeight) return `Cropped ${removed}`;
+
+    const aspect = (crop.width * videoWidth) / (crop.height * videoHeight);
+    return `Active picture ${aspect.toFixed(2)}:1, cropped ${removed}`;
+};
+
+/**
+ * Shows the crop applied before color sampling and lets the user override it.
+ * Applying an override re-processes the video, since cropping happens before downsampling.
+ */
+const CropInfo = ({ crop, videoWidth, videoHeight, onApply }) => {
+    const [insets, setInsets] = useState(null); // Non-null while editing
+
+    if (!crop) return null;
+
+    const handleInset = (key) => (e) => {
+        const value = parseFloat(e.target.value);
+        if (!Number.isNaN(value)) {
+            setInsets({ ...insets, [key]: Math.min(45, Math.max(0, value)) });
+        }
+    };
+
+    const apply = (rect) => {
+        setInsets(null);
+        onApply(rect);
+    };
+
+    return (
+        <div
+            className="crop-info"
+            style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', marginTop: '1.5rem' }}
+        >
+            <span style={labelStyle}>Crop</span>
+
+            {insets ? (
+                <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-end', justifyContent: 'center', gap: '0.75rem' }}>
+                    {EDGES.map(({ key, label }) => (
+                        <label key={key} style={{ display: 'flex', flexDirection: 'column', fontSize: '0.75rem', opacity: 0.7 }}>
+                            {label} %
+                            <input
+                                type="number"
+                                min={0}
+                                max={45}
+                                step={0.5}
+                                value={insets[key]}
+                                onChange={handleInset(key)}
+                                style={{ ...inputStyle, width: '70px' }}
+                            />
+                        </label>
+                    ))}
+                    <button style={chipStyle(false)} onClick={() => apply(FULL_FRAME)}>Full frame</button>
+                    <button style={chipStyle(false)} onClick={() => setInsets(null)}>Cancel</button>
+                    <button style={chipStyle(true)} onClick={() => apply(insetsToRect(insets))}>Apply</button>
+                </div>
+            ) : (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+                    <span style={{ fontSize: '0.85rem', opacity: 0.7 }}>
+                        {describeCrop(crop, videoWidth, videoHeight)}
+                    </span>
+                    <button style={chipStyle(false)} onClick={() => setInsets(rectToInsets(crop))}>
+                        Adjust
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CropInfo;
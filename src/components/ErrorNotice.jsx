@@ -0,0 +1,57 @@
+import React from 'react';
+import { ERROR_CODES } from '../utils/errors';
+
+const HINTS = {
+    [ERROR_CODES.FFMPEG_LOAD_FAILED]: 'This format needs the bundled FFmpeg decoder, which failed to start. Reload the page and try again, or convert the film to MP4 or WebM.',
+    [ERROR_CODES.DURATION_UNKNOWN]: 'The file has no usable timing information. It may be truncated or still being recorded; remuxing it (e.g. with ffmpeg -c copy) usually fixes this.',
+    [ERROR_CODES.INVALID_PROJECT]: 'Projects are the .palettecut.json files saved from the result view. Save it again, or analyze the original video instead.',
+    [ERROR_CODES.STREAM_NOT_FOUND]: 'Stream numbers count video streams only, starting at 0. Use "Find video streams" before analyzing to see which ones the file has.'
+};
+
+const ErrorNotice = ({ error, onDismiss }) => {
+    if (!error) return null;
+
+    return (
+        <div
+            className="error-notice"
+            role="alert"
+            style={{
+                width: '100%',
+                maxWidth: '600px',
+                padding: '2rem',
+                border: '1px solid rgba(30, 30, 30, 0.2)',
+                borderRadius: '8px',
+                backgroundColor: 'rgba(255, 255, 255, 0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                textAlign: 'center',
+                marginTop: '2rem'
+            }}
+        >
+            <p style={{ fontFamily: 'var(--font-serif)', fontSize: '1.2rem', opacity: 0.8 }}>
+                {error.message}
+            </p>
+            {HINTS[error.code] && (
+                <p style={{ fontSize: '0.85rem', opacity: 0.6, marginTop: '0.75rem' }}>
+                    {HINTS[error.code]}
+                </p>
+            )}
+            <button
+                onClick={onDismiss}
+                style={{
+                    marginTop: '1.5rem',
+                    padding: '0.6rem 1.2rem',
+                    border: '1px solid rgba(30,30,30,0.2)',
+                    borderRadius: '4px',
+                    fontSize: '0.85rem',
+                    opacity: 0.8
+                }}
+            >
+                Choose another file
+            </button>
+        </div>
+    );
+};
+
+export default ErrorNotice;
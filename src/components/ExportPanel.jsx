@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import {
+    exportRibbon,
+    exportPaletteData,
+    exportFileName,
+    downloadBlob,
+    resolveExportSize,
+    EXPORT_DEFAULTS,
+    EXPORT_FORMATS,
+    DATA_FORMATS,
+    MAX_EXPORT_SIDE,
+    exceedsRasterLimit
+} from '../utils/export/index.js';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+const UNITS = [
+    { label: 'Pixels', value: 'px' },
+    { label: 'Inches', value: 'in' },
+    { label: 'cm', value: 'cm' }
+];
+
+// Starting sizes when switching units: a 3000x1500 image, or a 24x12 in / 60x30 cm poster
+const UNIT_SIZES = {
+    px: { width: 3000, height: 1500 },
+    in: { width: 24, height: 12 },
+    cm: { width: 60, height: 30 }
+};
+
+/**
+ * Export settings and button. The ribbon is rendered from the slice colors in the
+ * chosen layout, so any size comes out sharp (PNG and TIFF up to MAX_EXPORT_SIDE px per side).
+ * The data buttons save the timeline and palette as JSON, CSV, ASE, GPL or CSS.
+ */
+const ExportPanel = ({ colors, fileName, title, paletteSize, layout }) => {
+    const [options, setOptions] = useState({ ...EXPORT_DEFAULTS, showTitle: true });
+    const [isExporting, setIsExporting] = useState(false);
+
+    const update = (patch) => setOptions({ ...options, ...patch });
+
+    const handleNumber = (key) => (e) => {
+        const value = parseFloat(e.target.value);
+        if (!Number.isNaN(value) && value > 0) update({ [key]: value });
+    };
+
+    const pixels = resolveExportSize(options);
+    const tooLarge = exceedsRasterLimit(options.format, pixels);
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const blob = await exportRibbon(colors, { ...options, ...layout, title: options.showTitle ? title : '', paletteSize });
+            const { extension } = EXPORT_FORMATS.find(({ id }) => id === options.format);
+            downloadBlob(blob, exportFileName(fileName, extension));
+        } catch (err) {
+            console.error("Export failed", err);
+            alert(`Failed to export: ${err.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleDataExport = ({ id, extension }) => {
+        const name = title || fileName.replace(/\.[^/.]+$/, "");
+        downloadBlob(exportPaletteData(id, colors, { name, paletteSize }), exportFileName(fileName, extension));
+    };
+
+    return (
+        <div
+            className="export-panel"
+            style={{
+                display: 'flex',
+                flexWrap: 'wrap',
+                justifyContent: 'center',
+                alignItems: 'flex-end',
+                gap: '1.5rem',
+                marginTop: '2rem'
+            }}
+        >
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Format</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {EXPORT_FORMATS.map(({ id, label }) => (
+                        <button key={id} style={chipStyle(options.format === id)} onClick={() => update({ format: id })}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Size</span>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                    {UNITS.map(({ label, value }) => (
+                        <button
+                            key={value}
+                            style={chipStyle(options.unit === value)}
+                            onClick={() => update({ unit: value, ...UNIT_SIZES[value] })}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    <input type="number" min={1} value={options.width} onChange={handleNumber('width')} style={{ ...inputStyle, width: '70px' }} />
+                    ×
+                    <input type="number" min={1} value={options.height} onChange={handleNumber('height')} style={{ ...inputStyle, width: '70px' }} />
+                    <button
+                        style={chipStyle(false)}
+                        onClick={() => update({ width: options.height, height: options.width })}
+                        title="Swap width and height (landscape / portrait)"
+                    >
+                        ⇄
+                    </button>
+                    {options.unit !== 'px' && (
+                        <>
+                            <input type="number" min={1} value={options.dpi} onChange={handleNumber('dpi')} style={{ ...inputStyle, width: '60px' }} />
+                            DPI
+                        </>
+                    )}
+                </div>
+                <span style={{ fontSize: '0.75rem', opacity: tooLarge ? 1 : 0.5, color: tooLarge ? '#A33' : 'inherit', marginTop: '0.3rem' }}>
+                    {pixels.width} × {pixels.height} px{tooLarge && `, over the ${MAX_EXPORT_SIDE} px PNG/TIFF limit`}
+                </span>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Layout</span>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                    <button style={chipStyle(options.showTitle)} onClick={() => update({ showTitle: !options.showTitle })}>
+                        Title
+                    </button>
+                    <button style={chipStyle(options.swatches)} onClick={() => update({ swatches: !options.swatches })}>
+                        Swatches
+                    </button>
+                    <input
+                        type="color"
+                        value={options.background}
+                        onChange={(e) => update({ background: e.target.value })}
+                        title="Background"
+                        style={{ width: '32px', height: '28px', border: 'none', background: 'none', padding: 0 }}
+                    />
+                    <input
+                        type="number"
+                        min={0}
+                        max={40}
+                        value={options.margin}
+                        onChange={(e) => update({ margin: Math.min(40, Math.max(0, parseFloat(e.target.value) || 0)) })}
+                        title="Margin, % of the shorter side"
+                        style={{ ...inputStyle, width: '60px' }}
+                    />
+                    % margin
+                </div>
+            </div>
+
+            <button
+                onClick={handleExport}
+                disabled={isExporting || tooLarge}
+                style={{
+                    padding: '0.8rem 1.5rem',
+                    backgroundColor: '#1E1E1E',
+                    color: '#FFF',
+                    borderRadius: '4px',
+                    fontSize: '0.9rem',
+                    boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                    opacity: isExporting || tooLarge ? 0.5 : 1
+                }}
+            >
+                {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+
+            <div style={{ display: 'flex', flexDirection: 'column', flexBasis: '100%', alignItems: 'center' }}>
+                <span style={labelStyle}>Palette data</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {DATA_FORMATS.map((format) => (
+                        <button key={format.id} style={chipStyle(false)} onClick={() => handleDataExport(format)}>
+                            {format.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExportPanel;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { LAYOUTS } from '../utils/export/index.js';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+const MIN_BANDS = 2;
+const MAX_BANDS = 6;
+
+/**
+ * Picks how the ribbon is drawn, on screen and in exports.
+ */
+const LayoutControls = ({ layout, onChange }) => {
+    const update = (patch) => onChange({ ...layout, ...patch });
+
+    return (
+        <div className="layout-controls" style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: '1.5rem', marginTop: '1rem' }}>
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Layout</span>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                    {LAYOUTS.map(({ id, label }) => (
+                        <button key={id} style={chipStyle(layout.layout === id)} onClick={() => update({ layout: id })}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {layout.layout === 'gradient' && (
+                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                    <span style={labelStyle}>Blur</span>
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.85rem' }}>
+                        <input
+                            type="number"
+                            min={0}
+                            max={25}
+                            step={0.5}
+                            value={layout.blur}
+                            onChange={(e) => update({ blur: Math.min(25, Math.max(0, parseFloat(e.target.value) || 0)) })}
+                            title="Blur radius, % of the runtime"
+                            style={{ ...inputStyle, width: '70px' }}
+                        />
+                        % of runtime
+                    </div>
+                </div>
+            )}
+
+            {layout.layout === 'bands' && (
+                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                    <span style={labelStyle}>Colors per slice</span>
+                    <input
+                        type="number"
+                        min={MIN_BANDS}
+                        max={MAX_BANDS}
+                        value={layout.bands}
+                        onChange={(e) => update({ bands: Math.min(MAX_BANDS, Math.max(MIN_BANDS, parseInt(e.target.value, 10) || MIN_BANDS)) })}
+                        style={{ ...inputStyle, width: '70px' }}
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LayoutControls;
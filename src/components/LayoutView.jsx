@@ -0,0 +1,39 @@
+import React, { useMemo } from 'react';
+import { rgbToCss } from '../utils/videoProcessor';
+import { layoutItems } from '../utils/export/index.js';
+
+// Drawing size of each layout on screen, in SVG units; the SVG scales to fit
+const VIEW_SIZES = {
+    vertical: { width: 240, height: 720, maxWidth: '240px' },
+    wheel: { width: 480, height: 480, maxWidth: '480px' },
+    default: { width: 1000, height: 120, maxWidth: '100%' }
+};
+
+/**
+ * The ribbon in one of the non-strip layouts, drawn from the same scene items as the export.
+ */
+const LayoutView = ({ colors, layout }) => {
+    const size = VIEW_SIZES[layout.layout] || VIEW_SIZES.default;
+
+    const items = useMemo(
+        () => layoutItems(colors, { left: 0, top: 0, right: size.width, bottom: size.height }, layout),
+        [colors, layout, size]
+    );
+
+    if (!colors || colors.length === 0) return null;
+
+    return (
+        <svg
+            className="layout-view"
+            viewBox={`0 0 ${size.width} ${size.height}`}
+            style={{ width: '100%', maxWidth: size.maxWidth, height: 'auto', display: 'block', marginTop: '2rem', marginBottom: '2rem' }}
+        >
+            {items.map((item, index) => (item.type === 'polygon'
+                ? <polygon key={index} points={item.points.join(' ')} fill={rgbToCss(item.fill)} />
+                : <rect key={index} x={item.x} y={item.y} width={item.width} height={item.height} fill={rgbToCss(item.fill)} shapeRendering="crispEdges" />
+            ))}
+        </svg>
+    );
+};
+
+export default LayoutView;
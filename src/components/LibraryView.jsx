@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { listFilms, renameFilm, deleteFilm } from '../utils/library';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+const LibraryItem = ({ film, isSelected, onOpen, onToggle, onRename, onDelete }) => {
+    const [name, setName] = useState(null); // Non-null while renaming
+
+    const commit = () => {
+        if (name === null) return; // Already committed by Enter
+        const title = name.trim();
+        setName(null);
+        if (title && title !== film.title) onRename(film, title);
+    };
+
+    return (
+        <li style={{ display: 'flex', alignItems: 'center', gap: '1rem', padding: '0.6rem 0', borderBottom: '1px solid rgba(30, 30, 30, 0.08)' }}>
+            <img
+                src={film.thumbnail}
+                alt=""
+                onClick={() => onOpen(film)}
+                style={{ width: '120px', height: '20px', borderRadius: '2px', cursor: 'pointer', flexShrink: 0 }}
+            />
+            <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+                {name !== null ? (
+                    <input
+                        autoFocus
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        onBlur={commit}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') commit();
+                            if (e.key === 'Escape') setName(null);
+                        }}
+                        style={{ ...inputStyle, width: '100%' }}
+                    />
+                ) : (
+                    <span
+                        onClick={() => onOpen(film)}
+                        style={{ fontFamily: 'var(--font-serif)', cursor: 'pointer', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                    >
+                        {film.title || 'Untitled Film'}
+                    </span>
+                )}
+                <span style={{ fontSize: '0.75rem', opacity: 0.5 }}>
+                    {formatDate(film.updatedAt)} · {film.colors.length} slices
+                </span>
+            </div>
+            <button style={chipStyle(isSelected)} onClick={() => onToggle(film)}>Compare</button>
+            <button style={chipStyle(false)} onClick={() => setName(film.title)}>Rename</button>
+            <button style={chipStyle(false)} onClick={() => onDelete(film)}>Delete</button>
+        </li>
+    );
+};
+
+/**
+ * Films analyzed earlier in this browser, searchable by title.
+ * Opening one shows its saved result without touching the video;
+ * two or more can be picked for onCompare.
+ */
+const LibraryView = ({ onOpen, onCompare }) => {
+    const [films, setFilms] = useState([]);
+    const [query, setQuery] = useState('');
+    const [selected, setSelected] = useState([]); // Ids picked for comparison, in picking order
+
+    useEffect(() => {
+        listFilms()
+            .then(setFilms)
+            .catch(err => console.warn("Library unavailable", err));
+    }, []);
+
+    const handleRename = async (film, title) => {
+        await renameFilm(film.id, title);
+        setFilms(await listFilms());
+    };
+
+    const handleDelete = async (film) => {
+        if (!confirm(`Remove "${film.title || 'Untitled Film'}" from the library?`)) return;
+        await deleteFilm(film.id);
+        setFilms(films.filter(f => f.id !== film.id));
+        setSelected(selected.filter(id => id !== film.id));
+    };
+
+    const handleToggle = (film) => {
+        setSelected(selected.includes(film.id) ? selected.filter(id => id !== film.id) : [...selected, film.id]);
+    };
+
+    const handleCompare = () => {
+        onCompare(selected.map(id => films.find(f => f.id === id)));
+    };
+
+    if (films.length === 0) return null;
+
+    const needle = query.trim().toLowerCase();
+    const visible = needle ? films.filter(f => f.title.toLowerCase().includes(needle)) : films;
+
+    return (
+        <div className="library" style={{ width: '100%', maxWidth: '600px', marginTop: '3rem', display: 'flex', flexDirection: 'column' }}>
+            <div style={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'space-between' }}>
+                <span style={labelStyle}>Library</span>
+                {selected.length >= 2 && (
+                    <button style={{ ...chipStyle(true), marginBottom: '0.4rem' }} onClick={handleCompare}>
+                        Compare {selected.length} films
+                    </button>
+                )}
+                <input
+                    type="search"
+                    placeholder="Search titles"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    style={{ ...inputStyle, width: '180px', marginBottom: '0.4rem' }}
+                />
+            </div>
+            <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                {visible.map(film => (
+                    <LibraryItem
+                        key={film.id}
+                        film={film}
+                        isSelected={selected.includes(film.id)}
+                        onOpen={onOpen}
+                        onToggle={handleToggle}
+                        onRename={handleRename}
+                        onDelete={handleDelete}
+                    />
+                ))}
+            </ul>
+            {visible.length === 0 && (
+                <span style={{ fontSize: '0.85rem', opacity: 0.5, padding: '0.6rem 0' }}>No films match "{query}"</span>
+            )}
+        </div>
+    );
+};
+
+export default LibraryView;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { rgbToCss, rgbToHex } from '../utils/videoProcessor';
+
+const ColorSwatch = ({ label, color }) => {
+    if (!color) return null;
+    const hex = rgbToHex(color);
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', margin: '0 1.5rem' }}>
+            <div
+                style={{
+                    width: '32px',
+                    height: '32px',
+                    backgroundColor: rgbToCss(color),
+                    borderRadius: '50%',
+                    marginBottom: '0.5rem',
+                    border: '1px solid rgba(0,0,0,0.1)'
+                }}
+            />
+            <span style={{ fontSize: '0.7rem', textTransform: 'uppercase', letterSpacing: '0.05em', opacity: 0.5 }}>{label}</span>
+            <span style={{ fontSize: '0.8rem', fontFamily: 'monospace', opacity: 0.8 }}>{hex}</span>
+        </div>
+    );
+};
+
+const PaletteStrip = ({ palette }) => (
+    <div
+        className="palette-strip"
+        style={{
+            width: '100%',
+            maxWidth: '480px',
+            height: '10px',
+            display: 'flex',
+            borderRadius: '2px',
+            overflow: 'hidden',
+            marginBottom: '1.5rem'
+        }}
+    >
+        {palette.map((entry, index) => (
+            <div key={index} style={{ flex: entry.weight, backgroundColor: rgbToCss(entry) }} />
+        ))}
+    </div>
+);
+
+const formatWeight = (weight) => `${(weight * 100).toFixed(weight < 0.1 ? 1 : 0)}%`;
+
+/**
+ * A palette from analyzeColors: weighted strip, swatches with their share of screen time, and the average.
+ */
+const PaletteStats = ({ stats }) => (
+    <div className="stats-container" style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', marginTop: '1rem' }}>
+        <PaletteStrip palette={stats.palette} />
+        <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', rowGap: '1rem' }}>
+            {stats.palette.map((entry, index) => (
+                <ColorSwatch key={index} label={formatWeight(entry.weight)} color={entry} />
+            ))}
+            <ColorSwatch label="Average" color={stats.average} />
+        </div>
+    </div>
+);
+
+export default PaletteStats;
@@ -0,0 +1,68 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatTimecode } from '../utils/videoProcessor';
+
+/**
+ * Plays the source video from `time` (seconds) in a modal. Formats the browser can't
+ * play natively (e.g. some MKVs) show a notice instead.
+ */
+const PreviewPlayer = ({ file, time, onClose }) => {
+    const videoRef = useRef(null);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        const video = videoRef.current;
+        const url = URL.createObjectURL(file);
+        video.src = url;
+        video.currentTime = time;
+        return () => {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        };
+    }, [file, time]);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    return (
+        <div
+            className="preview-player"
+            onClick={onClose}
+            style={{
+                position: 'fixed',
+                inset: 0,
+                backgroundColor: 'rgba(20, 20, 20, 0.85)',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                justifyContent: 'center',
+                zIndex: 100
+            }}
+        >
+            <div onClick={(e) => e.stopPropagation()} style={{ width: 'min(90vw, 1100px)', display: 'flex', flexDirection: 'column' }}>
+                <video
+                    ref={videoRef}
+                    controls
+                    onError={() => setFailed(true)}
+                    style={{ width: '100%', maxHeight: '75vh', backgroundColor: '#000', display: failed ? 'none' : 'block' }}
+                />
+                {failed && (
+                    <p style={{ color: '#FFF', opacity: 0.8, textAlign: 'center' }}>
+                        This browser can't play {file.name} directly, so it can't be previewed here.
+                    </p>
+                )}
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#FFF', fontSize: '0.85rem', marginTop: '0.8rem' }}>
+                    <span style={{ fontFamily: 'monospace', opacity: 0.7 }}>{formatTimecode(time)}</span>
+                    <button onClick={onClose} style={{ color: '#FFF', opacity: 0.7 }}>Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PreviewPlayer;
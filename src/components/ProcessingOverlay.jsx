@@ -1,6 +1,20 @@
 import React from 'react';
+import { chipStyle } from './settingsStyles';
+
+const STAGE_LABELS = {
+    'loading-decoder': 'Loading decoder...'
+};
+
+/**
+ * Full-screen progress while a film is sampled, with Pause/Resume and Cancel.
+ * Pausing keeps every frame sampled so far; resuming picks up where it stopped.
+ */
+const ProcessingOverlay = ({ progress, stage, isPaused, onPause, onResume, onCancel }) => {
+    const label = STAGE_LABELS[stage];
+    const status = isPaused
+        ? `Paused at ${progress}%. Frames sampled so far are kept.`
+        : label || `Processing film... ${progress}%`;
 
-const ProcessingOverlay = ({ progress }) => {
     return (
         <div style={{
             position: 'fixed',
@@ -8,7 +22,7 @@ const ProcessingOverlay = ({ progress }) => {
             left: 0,
             width: '100%',
             height: '100%',
-            backgroundColor: 'rgba(246, 243, 238, 0.9)', // Match bg color with opacity
+            backgroundColor: 'rgba(246, 243, 238, 0.75)', // Match bg color, translucent so the live ribbon shows through
             display: 'flex',
             flexDirection: 'column',
             alignItems: 'center',
@@ -29,8 +43,9 @@ const ProcessingOverlay = ({ progress }) => {
                         top: 0,
                         height: '100%',
                         backgroundColor: '#1E1E1E',
-                        width: `${progress}%`,
-                        transition: 'width 0.2s ease-out'
+                        width: label ? '100%' : `${progress}%`,
+                        opacity: label ? 0.3 : 1,
+                        transition: 'width 0.2s ease-out, opacity 0.2s'
                     }} />
                 </div>
             </div>
@@ -40,8 +55,16 @@ const ProcessingOverlay = ({ progress }) => {
                 fontStyle: 'italic',
                 opacity: 0.7
             }}>
-                Processing film... {progress}%
+                {status}
             </span>
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1.5rem' }}>
+                {!label && (
+                    <button style={chipStyle(isPaused)} onClick={isPaused ? onResume : onPause}>
+                        {isPaused ? 'Resume' : 'Pause'}
+                    </button>
+                )}
+                <button style={chipStyle(false)} onClick={onCancel}>Cancel</button>
+            </div>
         </div>
     );
 };
@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from 'react';
+import ColorRibbon from './ColorRibbon.jsx';
+import PaletteStats from './PaletteStats.jsx';
+import { analyzeColors, formatTimecode, DEFAULT_OPTIONS, MIN_FRAMES, MAX_FRAMES } from '../utils/videoProcessor';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+/**
+ * Palette of a selected time range, from the ribbon's slices or, once re-sampled,
+ * from frames decoded just for that range (`rangeSampling`).
+ */
+const RangeInfo = ({
+    selection,
+    colors,
+    paletteSize,
+    rangeSampling,
+    resampleProgress,
+    canResample,
+    onResample,
+    onCancelResample,
+    onClear
+}) => {
+    const [frameCount, setFrameCount] = useState(DEFAULT_OPTIONS.frameCount);
+    const stats = useMemo(() => analyzeColors(colors, { paletteSize }), [colors, paletteSize]);
+    const isResampling = resampleProgress !== null;
+
+    return (
+        <div className="range-info" style={{ width: '100%', display: 'flex', flexDirection: 'column', alignItems: 'center', marginBottom: '1rem' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                <span style={{ ...labelStyle, marginBottom: 0 }}>
+                    Selection {formatTimecode(selection.start)} – {formatTimecode(selection.end)}
+                    {' '}({formatTimecode(selection.end - selection.start)})
+                </span>
+                <button style={chipStyle(false)} onClick={onClear}>Clear</button>
+            </div>
+
+            {rangeSampling && <ColorRibbon colors={colors} sampling={rangeSampling} height={60} />}
+
+            {stats ? (
+                <PaletteStats stats={stats} />
+            ) : (
+                <span style={{ fontSize: '0.85rem', opacity: 0.5, marginTop: '1rem' }}>No slices in this range</span>
+            )}
+
+            <span style={{ fontSize: '0.75rem', opacity: 0.5, marginTop: '1rem' }}>
+                {rangeSampling
+                    ? `From ${colors.length} slices re-sampled from the source`
+                    : `From ${colors.length} slices of the full ribbon`}
+            </span>
+
+            {canResample && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.8rem', fontSize: '0.85rem' }}>
+                    {isResampling ? (
+                        <>
+                            <span style={{ opacity: 0.7 }}>Re-sampling… {Math.round(resampleProgress)}%</span>
+                            <button style={chipStyle(false)} onClick={onCancelResample}>Cancel</button>
+                        </>
+                    ) : (
+                        <>
+                            <input
+                                type="number"
+                                min={MIN_FRAMES}
+                                max={MAX_FRAMES}
+                                value={frameCount}
+                                onChange={(e) => setFrameCount(Math.min(MAX_FRAMES, Math.max(MIN_FRAMES, parseInt(e.target.value, 10) || MIN_FRAMES)))}
+                                style={{ ...inputStyle, width: '80px' }}
+                            />
+                            frames
+                            <button style={chipStyle(false)} onClick={() => onResample(frameCount)}>
+                                Re-sample range
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RangeInfo;
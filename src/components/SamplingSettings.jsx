@@ -0,0 +1,135 @@
+import React from 'react';
+import { MIN_FRAMES, MAX_FRAMES } from '../utils/videoProcessor';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+const PRESETS = [
+    { label: 'Preview', frameCount: 60 },
+    { label: 'Standard', frameCount: 240 },
+    { label: 'Print', frameCount: 2000 }
+];
+
+const RESOLUTIONS = [16, 32, 64, 128];
+
+const PALETTE_SIZES = [4, 6, 8, 12];
+
+const CROP_MODES = [
+    { label: 'Auto', value: 'auto' },
+    { label: 'Off', value: 'none' }
+];
+
+const SamplingSettings = ({ options, onChange }) => {
+    const update = (patch) => onChange({ ...options, ...patch });
+
+    const handleNumber = (key) => (e) => {
+        const value = parseInt(e.target.value, 10);
+        if (!Number.isNaN(value)) {
+            update({ [key]: value });
+        }
+    };
+
+    return (
+        <div
+            className="sampling-settings"
+            style={{
+                width: '100%',
+                maxWidth: '600px',
+                marginTop: '1.5rem',
+                display: 'flex',
+                flexWrap: 'wrap',
+                justifyContent: 'space-between',
+                gap: '1.5rem'
+            }}
+        >
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Density</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {PRESETS.map(preset => (
+                        <button
+                            key={preset.label}
+                            style={chipStyle(options.mode === 'count' && options.frameCount === preset.frameCount)}
+                            onClick={() => update({ mode: 'count', frameCount: preset.frameCount })}
+                        >
+                            {preset.label}
+                        </button>
+                    ))}
+                    <button
+                        style={chipStyle(options.mode === 'perMinute')}
+                        onClick={() => update({ mode: 'perMinute' })}
+                    >
+                        Per minute
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                {options.mode === 'perMinute' ? (
+                    <>
+                        <span style={labelStyle}>Frames / minute</span>
+                        <input
+                            type="number"
+                            min={1}
+                            value={options.framesPerMinute}
+                            onChange={handleNumber('framesPerMinute')}
+                            style={inputStyle}
+                        />
+                    </>
+                ) : (
+                    <>
+                        <span style={labelStyle}>Frames</span>
+                        <input
+                            type="number"
+                            min={MIN_FRAMES}
+                            max={MAX_FRAMES}
+                            value={options.frameCount}
+                            onChange={handleNumber('frameCount')}
+                            style={inputStyle}
+                        />
+                    </>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Resolution</span>
+                <select
+                    value={options.sampleSize}
+                    onChange={handleNumber('sampleSize')}
+                    style={inputStyle}
+                >
+                    {RESOLUTIONS.map(size => (
+                        <option key={size} value={size}>{size}×{size}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Palette</span>
+                <select
+                    value={options.paletteSize}
+                    onChange={handleNumber('paletteSize')}
+                    style={inputStyle}
+                >
+                    {PALETTE_SIZES.map(size => (
+                        <option key={size} value={size}>{size} colors</option>
+                    ))}
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Crop bars</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {CROP_MODES.map(({ label, value }) => (
+                        <button
+                            key={value}
+                            style={chipStyle(options.crop === value)}
+                            onClick={() => update({ crop: value })}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SamplingSettings;
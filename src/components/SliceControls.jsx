@@ -0,0 +1,77 @@
+import React from 'react';
+import { REDUCERS } from '../utils/frameReducers';
+import { labelStyle, chipStyle } from './settingsStyles';
+
+const SEGMENTATIONS = [
+    { label: 'Even', value: 'interval' },
+    { label: 'Per shot', value: 'shots' }
+];
+
+/**
+ * Controls that only change how cached frames are reduced,
+ * so the ribbon updates instantly without decoding the video again.
+ * `sampleInterval` is the time in seconds between cached frames: per-shot cuts can only be
+ * placed that precisely, which the controls point out.
+ */
+const SliceControls = ({ options, onChange, sampleInterval }) => {
+    const update = (patch) => onChange({ ...options, ...patch });
+
+    return (
+        <div
+            className="slice-controls"
+            style={{
+                display: 'flex',
+                flexWrap: 'wrap',
+                justifyContent: 'center',
+                gap: '1.5rem',
+                marginTop: '1rem'
+            }}
+        >
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Frame color</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {REDUCERS.map(({ id, label }) => (
+                        <button
+                            key={id}
+                            style={chipStyle(options.reducer === id)}
+                            onClick={() => update({ reducer: id })}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    <button
+                        style={chipStyle(options.ignoreExtremes)}
+                        onClick={() => update({ ignoreExtremes: !options.ignoreExtremes })}
+                        title="Ignore near-black and near-white pixels such as letterbox bars"
+                    >
+                        Skip bars
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column' }}>
+                <span style={labelStyle}>Slices</span>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {SEGMENTATIONS.map(({ label, value }) => (
+                        <button
+                            key={value}
+                            style={chipStyle(options.segmentation === value)}
+                            onClick={() => update({ segmentation: value })}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                {options.segmentation === 'shots' && sampleInterval > 0 && (
+                    <span style={{ fontSize: '0.75rem', opacity: 0.5, marginTop: '0.3rem', maxWidth: '260px' }}>
+                        Cuts are found between samples, so shot boundaries are approximate to within
+                        {' '}{sampleInterval < 10 ? sampleInterval.toFixed(1) : Math.round(sampleInterval)} s and shorter
+                        shots can be missed. Sample more frames for tighter cuts.
+                    </span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SliceControls;
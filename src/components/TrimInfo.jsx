@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import { formatTimecode } from '../utils/videoProcessor';
+import { suggestTrim, describeTrim } from '../utils/trimDetection';
+import { chipStyle } from './settingsStyles';
+
+/**
+ * Shows which part of the film was analyzed and, when the sampled frames start with a
+ * black leader or end in credits, offers to leave them out. Applying re-processes the
+ * video over the new range, like a crop override.
+ */
+const TrimInfo = ({ sampling, onApply }) => {
+    const suggestion = useMemo(() => suggestTrim(sampling), [sampling]);
+    const { range, duration } = sampling;
+    const isTrimmed = range.start > 0 || range.end < duration;
+
+    if (!isTrimmed && !suggestion) return null;
+
+    return (
+        <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', gap: '0.8rem', marginTop: '1rem', fontSize: '0.85rem' }}>
+            {isTrimmed && (
+                <span style={{ opacity: 0.6 }}>
+                    Analyzed {formatTimecode(range.start)} – {formatTimecode(range.end)} of {formatTimecode(duration)}
+                </span>
+            )}
+            {suggestion && (
+                <>
+                    <span style={{ opacity: 0.6 }}>{describeTrim(suggestion)}</span>
+                    <button style={chipStyle(false)} onClick={() => onApply({ start: suggestion.start, end: suggestion.end })}>
+                        {suggestion.opening && suggestion.credits ? 'Exclude opening & credits' : suggestion.credits ? 'Exclude credits' : 'Exclude opening'}
+                    </button>
+                </>
+            )}
+            {isTrimmed && (
+                <button style={chipStyle(false)} onClick={() => onApply(null)}>Full film</button>
+            )}
+        </div>
+    );
+};
+
+export default TrimInfo;
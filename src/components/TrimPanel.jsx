@@ -0,0 +1,254 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { sampleVideo, probeVideoStreams, formatTimecode, parseTimecode } from '../utils/videoProcessor';
+import { suggestTrim, describeTrim } from '../utils/trimDetection';
+import { isAbortError } from '../utils/errors';
+import { labelStyle, inputStyle, chipStyle } from './settingsStyles';
+
+// Quick pass for finding the opening and credits: coarse, tiny and uncropped
+const SCAN_OPTIONS = { mode: 'count', frameCount: 200, sampleSize: 16, crop: 'none', range: null };
+
+/**
+ * Text field for a timecode; empty means the start or end of the film.
+ */
+const TimecodeInput = ({ value, placeholder, onChange }) => {
+    const [text, setText] = useState(null); // Non-null while editing
+
+    const commit = () => {
+        if (text === null) return;
+        const seconds = parseTimecode(text);
+        if (text.trim() === '') onChange(null);
+        else if (seconds !== null) onChange(seconds);
+        setText(null);
+    };
+
+    return (
+        <input
+            value={text ?? (value === null ? '' : formatTimecode(value))}
+            placeholder={placeholder}
+            onChange={(e) => setText(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && commit()}
+            style={{ ...inputStyle, fontFamily: 'monospace', textAlign: 'center' }}
+        />
+    );
+};
+
+/**
+ * Shown between choosing a file and analyzing it: a preview scrubber to set in/out points,
+ * automatic detection of the opening leader and end credits, and the video stream to map
+ * for files with several. onAnalyze({ range, videoStream }) starts processing.
+ */
+const TrimPanel = ({ file, options, onAnalyze, onCancel }) => {
+    const videoRef = useRef(null);
+    const scanAbortRef = useRef(null);
+    const [duration, setDuration] = useState(null);
+    const [previewFailed, setPreviewFailed] = useState(false);
+    const [position, setPosition] = useState(0);
+    const [inPoint, setInPoint] = useState(null); // Seconds, null = start of the film
+    const [outPoint, setOutPoint] = useState(null); // Seconds, null = end of the film
+    const [scanProgress, setScanProgress] = useState(null); // Percent while detecting
+    const [note, setNote] = useState(null);
+    const [streams, setStreams] = useState(null); // null, 'loading', or the probed video streams
+    const [videoStream, setVideoStream] = useState(0);
+
+    useEffect(() => {
+        const video = videoRef.current;
+        const url = URL.createObjectURL(file);
+        video.src = url;
+        return () => {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        };
+    }, [file]);
+
+    useEffect(() => () => scanAbortRef.current?.abort(), []);
+
+    const handleLoadedMetadata = (e) => {
+        const { duration: videoDuration } = e.currentTarget;
+        if (isFinite(videoDuration) && videoDuration > 0) setDuration(videoDuration);
+    };
+
+    const handleScrub = (e) => {
+        const time = parseFloat(e.target.value);
+        setPosition(time);
+        videoRef.current.currentTime = time;
+    };
+
+    const handleDetect = async () => {
+        const controller = new AbortController();
+        scanAbortRef.current = controller;
+        setScanProgress(0);
+        setNote(null);
+        try {
+            const result = await sampleVideo(file, (p) => setScanProgress(p), {
+                ...options,
+                ...SCAN_OPTIONS,
+                videoStream,
+                signal: controller.signal
+            });
+            const trim = suggestTrim(result);
+            setDuration((known) => known ?? result.duration);
+            setInPoint(trim?.opening ? trim.start : null);
+            setOutPoint(trim?.credits ? trim.end : null);
+            setNote(describeTrim(trim));
+        } catch (err) {
+            if (!isAbortError(err)) {
+                console.error(err);
+                setNote(`Detection failed: ${err.message}`);
+            }
+        } finally {
+            if (scanAbortRef.current === controller) scanAbortRef.current = null;
+            setScanProgress(null);
+        }
+    };
+
+    const handleFindStreams = async () => {
+        setStreams('loading');
+        try {
+            setStreams(await probeVideoStreams(file));
+        } catch (err) {
+            console.error(err);
+            setStreams([]);
+        }
+    };
+
+    const start = inPoint ?? 0;
+    const end = outPoint ?? duration ?? Infinity;
+    const isValid = end > start;
+    const isTrimmed = inPoint !== null || outPoint !== null;
+
+    const handleAnalyze = () => {
+        scanAbortRef.current?.abort();
+        onAnalyze({ range: isTrimmed ? { start, end } : null, videoStream });
+    };
+
+    return (
+        <div className="trim-panel" style={{ width: '100%', maxWidth: '720px', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+            <h2 style={{ fontFamily: 'var(--font-serif)', fontSize: '1.8rem', fontWeight: 600, textAlign: 'center', marginBottom: '1.5rem', color: '#1E1E1E' }}>
+                {file.name.replace(/\.[^/.]+$/, "")}
+            </h2>
+
+            <video
+                ref={videoRef}
+                muted
+                playsInline
+                preload="metadata"
+                onLoadedMetadata={handleLoadedMetadata}
+                onError={() => setPreviewFailed(true)}
+                style={{ width: '100%', aspectRatio: '16 / 9', backgroundColor: '#000', borderRadius: '2px', display: previewFailed ? 'none' : 'block' }}
+            />
+            {previewFailed && (
+                <p style={{ fontSize: '0.85rem', opacity: 0.6, textAlign: 'center' }}>
+                    This browser can't preview {file.name}; type the in and out points instead.
+                </p>
+            )}
+
+            {duration && (
+                <div style={{ width: '100%', marginTop: '0.8rem' }}>
+                    <div style={{ position: 'relative', height: '6px', backgroundColor: 'rgba(30, 30, 30, 0.1)', borderRadius: '3px' }}>
+                        <div
+                            className="trim-region"
+                            style={{
+                                position: 'absolute',
+                                top: 0,
+                                bottom: 0,
+                                left: `${(start / duration) * 100}%`,
+                                width: `${((Math.min(end, duration) - start) / duration) * 100}%`,
+                                backgroundColor: '#1E1E1E',
+                                borderRadius: '3px'
+                            }}
+                        />
+                    </div>
+                    <input
+                        type="range"
+                        min={0}
+                        max={duration}
+                        step={0.1}
+                        value={position}
+                        onChange={handleScrub}
+                        disabled={previewFailed}
+                        style={{ width: '100%', marginTop: '0.4rem' }}
+                    />
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', fontFamily: 'monospace', opacity: 0.6 }}>
+                        <span>{formatTimecode(position)}</span>
+                        <span>{formatTimecode(duration)}</span>
+                    </div>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'flex-end', gap: '1rem', marginTop: '1.2rem' }}>
+                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                    <span style={labelStyle}>In</span>
+                    <TimecodeInput value={inPoint} placeholder="start" onChange={setInPoint} />
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column' }}>
+                    <span style={labelStyle}>Out</span>
+                    <TimecodeInput value={outPoint} placeholder="end" onChange={setOutPoint} />
+                </div>
+                {duration && !previewFailed && (
+                    <>
+                        <button style={chipStyle(false)} onClick={() => setInPoint(position > 0 ? position : null)}>Set in</button>
+                        <button style={chipStyle(false)} onClick={() => setOutPoint(position < duration ? position : null)}>Set out</button>
+                    </>
+                )}
+                <button style={chipStyle(false)} onClick={() => { setInPoint(null); setOutPoint(null); }} disabled={!isTrimmed}>Full film</button>
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.6rem', marginTop: '1rem', fontSize: '0.85rem' }}>
+                {scanProgress === null ? (
+                    <button style={chipStyle(false)} onClick={handleDetect}>Detect opening &amp; credits</button>
+                ) : (
+                    <>
+                        <span style={{ opacity: 0.7 }}>Scanning… {Math.round(scanProgress)}%</span>
+                        <button style={chipStyle(false)} onClick={() => scanAbortRef.current?.abort()}>Cancel</button>
+                    </>
+                )}
+                {note && <span style={{ opacity: 0.6 }}>{note}</span>}
+            </div>
+            {!isValid && (
+                <span style={{ fontSize: '0.8rem', opacity: 0.7, marginTop: '0.6rem' }}>The out point has to come after the in point.</span>
+            )}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', gap: '0.5rem', marginTop: '1rem', fontSize: '0.8rem' }}>
+                <span style={{ ...labelStyle, marginBottom: 0 }}>Video stream</span>
+                {Array.isArray(streams) && streams.length > 1 ? (
+                    streams.map((stream) => (
+                        <button key={stream.index} style={chipStyle(videoStream === stream.index)} onClick={() => setVideoStream(stream.index)}>
+                            {stream.index} · {stream.codec} {stream.width}×{stream.height}{stream.attachedPic ? ' (cover art)' : ''}
+                        </button>
+                    ))
+                ) : streams === 'loading' ? (
+                    <span style={{ opacity: 0.6 }}>Reading streams…</span>
+                ) : streams ? (
+                    <span style={{ opacity: 0.6 }}>{streams.length === 1 ? 'Only one video stream' : 'No streams found'}</span>
+                ) : (
+                    <button style={chipStyle(false)} onClick={handleFindStreams}>Find video streams</button>
+                )}
+            </div>
+            {videoStream > 0 && (
+                <span style={{ fontSize: '0.75rem', opacity: 0.5, marginTop: '0.4rem' }}>
+                    Other streams than the first are decoded with FFmpeg; the preview shows the first.
+                </span>
+            )}
+
+            <div style={{ display: 'flex', gap: '1rem', marginTop: '2rem' }}>
+                <button
+                    onClick={handleAnalyze}
+                    disabled={!isValid}
+                    style={{ padding: '0.8rem 1.5rem', borderRadius: '4px', fontSize: '0.9rem', backgroundColor: '#1E1E1E', color: '#FFF', opacity: isValid ? 1 : 0.4 }}
+                >
+                    Analyze {isTrimmed ? `${formatTimecode(start)} – ${isFinite(end) ? formatTimecode(end) : 'end'}` : 'full film'}
+                </button>
+                <button
+                    onClick={onCancel}
+                    style={{ padding: '0.8rem 1.5rem', border: '1px solid rgba(30,30,30,0.2)', borderRadius: '4px', opacity: 0.7, fontSize: '0.9rem' }}
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default TrimPanel;
@@ -1,29 +1,70 @@
 import React, { useRef } from 'react';
+import { isProjectFile, PROJECT_EXTENSION } from '../utils/project';
 
-const UploadZone = ({ onFileSelected }) => {
+const isAccepted = (file) => file.type.startsWith('video/') || file.name.endsWith('.mkv') || isProjectFile(file);
+
+// Episodes sort as people number them: "Ep 2" before "Ep 10"
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+
+/**
+ * Every file under a dropped file or folder entry.
+ */
+async function readEntry(entry) {
+    if (entry.isFile) {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    if (!entry.isDirectory) return [];
+
+    // readEntries returns results in chunks until it yields an empty list
+    const reader = entry.createReader();
+    const files = [];
+    let chunk;
+    do {
+        chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of chunk) files.push(...await readEntry(child));
+    } while (chunk.length > 0);
+    return files;
+}
+
+/**
+ * Picks or receives dropped files (and folders), passing the accepted ones to onFilesSelected.
+ */
+const UploadZone = ({ onFilesSelected }) => {
     const inputRef = useRef(null);
 
+    const select = (files) => {
+        const accepted = files.filter(isAccepted).sort(byName);
+        if (accepted.length > 0) onFilesSelected(accepted);
+    };
+
     const handleClick = () => {
         inputRef.current?.click();
     };
 
     const handleChange = (e) => {
-        const file = e.target.files?.[0];
-        if (file) {
-            onFileSelected(file);
-        }
+        select(Array.from(e.target.files || []));
+        e.target.value = ''; // Allow picking the same files again
     };
 
     const handleDragOver = (e) => {
         e.preventDefault();
     };
 
-    const handleDrop = (e) => {
+    const handleDrop = async (e) => {
         e.preventDefault();
-        const file = e.dataTransfer.files?.[0];
-        if (file && (file.type.startsWith('video/') || file.name.endsWith('.mkv'))) {
-            onFileSelected(file);
+        // Entries have to be taken before the first await, while the drop data is still readable
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            select(Array.from(e.dataTransfer.files || []));
+            return;
         }
+
+        const files = [];
+        for (const entry of entries) files.push(...await readEntry(entry));
+        select(files);
     };
 
     return (
@@ -50,7 +91,8 @@ const UploadZone = ({ onFileSelected }) => {
         >
             <input
                 type="file"
-                accept="video/*,.mkv"
+                accept={`video/*,.mkv,${PROJECT_EXTENSION}`}
+                multiple
                 ref={inputRef}
                 style={{ display: 'none' }}
                 onChange={handleChange}
@@ -71,7 +113,7 @@ const UploadZone = ({ onFileSelected }) => {
                 Select a film
             </p>
             <p style={{ fontSize: '0.8rem', opacity: 0.5, marginTop: '0.5rem' }}>
-                or drag and drop video file
+                or drag and drop videos, a folder of episodes, or a saved {PROJECT_EXTENSION} project
             </p>
         </div>
     );
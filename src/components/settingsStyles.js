@@ -0,0 +1,31 @@
+/**
+ * Shared inline styles for the small settings controls.
+ */
+
+export const labelStyle = {
+    fontSize: '0.7rem',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    opacity: 0.5,
+    marginBottom: '0.4rem'
+};
+
+export const inputStyle = {
+    width: '90px',
+    padding: '0.3rem 0.5rem',
+    border: '1px solid rgba(30, 30, 30, 0.2)',
+    borderRadius: '4px',
+    backgroundColor: 'transparent',
+    fontSize: '0.85rem'
+};
+
+export const chipStyle = (active) => ({
+    padding: '0.3rem 0.7rem',
+    border: '1px solid rgba(30, 30, 30, 0.2)',
+    borderRadius: '4px',
+    fontSize: '0.8rem',
+    backgroundColor: active ? '#1E1E1E' : 'transparent',
+    color: active ? '#FFF' : 'inherit',
+    opacity: active ? 1 : 0.7,
+    transition: 'all 0.2s'
+});
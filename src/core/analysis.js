@@ -0,0 +1,153 @@
+/**
+ * Color Analysis
+ * Turns sampled frames into ribbon slices and palettes. Pure functions over
+ * pixel arrays and colors, with no DOM or FFmpeg, so the browser app and the
+ * command-line tool share them.
+ */
+
+import { computeHistogram, detectShots } from '../utils/sceneDetection.js';
+import { extractPalette } from '../utils/palette.js';
+import { reduceFrame, frameBands } from '../utils/frameReducers.js';
+import { DEFAULT_OPTIONS, normalizeOptions } from '../utils/sampling.js';
+
+/**
+ * Analyzes the color palette: weighted average plus a perceptual palette
+ * (k-means in CIELAB), from which the dominant and least used colors are taken.
+ */
+export function analyzeColors(colors, { paletteSize = DEFAULT_OPTIONS.paletteSize } = {}) {
+    if (!colors || colors.length === 0) return null;
+
+    // 1. Calculate overall average, weighting slices by their duration
+    let totalR = 0, totalG = 0, totalB = 0, totalWeight = 0;
+    colors.forEach(c => {
+        const weight = c.duration > 0 ? c.duration : 1;
+        totalR += c.r * weight;
+        totalG += c.g * weight;
+        totalB += c.b * weight;
+        totalWeight += weight;
+    });
+    const average = {
+        r: Math.round(totalR / totalWeight),
+        g: Math.round(totalG / totalWeight),
+        b: Math.round(totalB / totalWeight)
+    };
+
+    // 2. Cluster into a weighted palette
+    const palette = extractPalette(colors, { size: paletteSize });
+    const toRgb = ({ r, g, b }) => ({ r, g, b });
+
+    return {
+        average,
+        dominant: toRgb(palette[0]),
+        least: toRgb(palette[palette.length - 1]),
+        palette
+    };
+}
+
+export const rgbToCss = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
+
+export const rgbToHex = ({ r, g, b }) => {
+    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+};
+
+/**
+ * Seconds as a timecode: "1:02:03" for films, "2:03" under an hour.
+ */
+export const formatTimecode = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+/**
+ * Reads a timecode as written by formatTimecode ("1:02:03", "2:03" or plain seconds)
+ * back to seconds. Returns null if it isn't one.
+ */
+export const parseTimecode = (text) => {
+    const parts = String(text).trim().split(':');
+    if (parts.length > 3 || !parts.every((part) => /^\d+(\.\d+)?$/.test(part))) return null;
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+/**
+ * Turns cached frames into ribbon slices: { r, g, b, start, duration, frame, frameTime, bands? }.
+ * `frame` indexes the cached frame the slice was taken from (its thumbnail) and `frameTime`
+ * is that frame's timestamp in the film. With options.bands, `bands` holds the slice's main
+ * colors as [{ r, g, b, weight }] (see frameBands).
+ * Only reduces and segments, so it can be re-run with a different reducer
+ * without decoding the video again.
+ * Failed frames (see failedFrame) get no slice of their own: the slice before covers their
+ * time, or the one after for failures at the start.
+ */
+export function buildSlices({ frames, duration, range }, options = {}) {
+    const span = range || { start: 0, end: duration };
+    const settings = normalizeOptions(options);
+    const interval = (span.end - span.start) / frames.length;
+    const samples = frames.flatMap(({ time, frameTime, pixels }, frame) => (pixels ? [{
+        time,
+        frame,
+        frameTime: frameTime ?? time,
+        color: reduceFrame(pixels, settings),
+        bands: settings.bands > 0 ? frameBands(pixels, { count: settings.bands, ignoreExtremes: settings.ignoreExtremes }) : null,
+        histogram: settings.segmentation === 'shots' ? computeHistogram(pixels) : null
+    }] : []));
+
+    if (settings.segmentation === 'shots') {
+        const shots = detectShots(samples, span, settings.sceneThreshold);
+        if (!settings.bands) return shots;
+
+        // A shot's bands are the main colors across all of its frames' bands
+        return shots.map((shot, i) => {
+            const next = shots[i + 1]?.frame ?? frames.length;
+            const members = samples.filter(({ frame }) => frame >= shot.frame && frame < next);
+            const pooled = members.flatMap(({ bands }) => bands.map(band => ({ ...band, duration: band.weight })));
+            return { ...shot, bands: extractPalette(pooled, { size: settings.bands }) };
+        });
+    }
+
+    return samples.map(({ color, time, frame, frameTime, bands }, i) => {
+        // Each slice also covers the failed slots after it, and the first one those before it
+        const start = i === 0 ? frames[0].time : time;
+        const slots = (samples[i + 1]?.frame ?? frames.length) - frame;
+        return {
+            ...color,
+            start,
+            duration: time - start + slots * interval,
+            frame,
+            frameTime,
+            ...(bands && { bands })
+        };
+    });
+}
+
+/**
+ * Ribbon slices for a partially sampled film. `samples` is indexed by slot and may have holes;
+ * each hole takes the color of the nearest sampled slot before it (or after, at the start),
+ * so a coarse first pass already fills the whole ribbon.
+ */
+export function buildPreviewSlices(samples) {
+    const first = samples.find(Boolean);
+    if (!first) return [];
+
+    let last = first;
+    return Array.from(samples, (sample) => {
+        if (sample) last = sample;
+        return { ...last.color, start: last.time, duration: 1 };
+    });
+}
+
+/**
+ * The part of the ribbon inside `range` ({ start, end } in seconds). Slices are clipped to it,
+ * so partly covered ones only count for their covered time in analyzeColors.
+ */
+export function sliceRange(colors, { start, end }) {
+    return colors
+        .filter(c => c.start < end && c.start + c.duration > start)
+        .map(c => {
+            const from = Math.max(c.start, start);
+            return { ...c, start: from, duration: Math.min(c.start + c.duration, end) - from };
+        });
+}
+
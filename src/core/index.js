@@ -0,0 +1,65 @@
+/**
+ * Palette Cut Core
+ * Everything that works without a DOM or FFmpeg.wasm: frame reduction, slicing,
+ * palettes, comparison and the export renderers. Frames come from whoever can
+ * decode video (the browser app, or the CLI driving a local ffmpeg through the
+ * shared FFmpeg command lines).
+ */
+
+export {
+    analyzeColors,
+    rgbToCss,
+    rgbToHex,
+    formatTimecode,
+    parseTimecode,
+    buildSlices,
+    buildPreviewSlices,
+    sliceRange
+} from './analysis.js';
+export { REDUCERS, reduceFrame, getAverageColor, frameBands } from '../utils/frameReducers.js';
+export {
+    DEFAULT_OPTIONS,
+    MIN_FRAMES,
+    MAX_FRAMES,
+    normalizeOptions,
+    resolveFrameCount,
+    resolveRange,
+    sampleTimes,
+    failedFrame
+} from '../utils/sampling.js';
+export { resolveCrop, detectionTimes, isFullFrame, FULL_FRAME, DETECTION_WIDTH, DETECTION_HEIGHT } from '../utils/letterbox.js';
+export { colorMetrics, timelineMetrics, hueHistogram, summarizeMetrics, HUE_BINS } from '../utils/colorAnalytics.js';
+export { suggestTrim, describeTrim } from '../utils/trimDetection.js';
+export {
+    parseColorInfo,
+    hdrTransfer,
+    needsToneMapping,
+    describeColorSpace,
+    describeColorHandling,
+    fromVideoColorSpace,
+    scaleColorOptions,
+    createToneMapper,
+    rawFrameFormat
+} from '../utils/colorManagement.js';
+export {
+    BATCH_FRAMES,
+    UNKNOWN_DURATION_FPS,
+    UNKNOWN_DURATION_DETECTION_WINDOW,
+    cropFilter,
+    frameArgs,
+    batchArgs,
+    grabFrame,
+    extractFrames,
+    framesAtTimes,
+    keepEvenly,
+    extractUntilEnd
+} from '../utils/ffmpegSampling.js';
+export { paletteDistance, timelineDistance, similarityScore } from '../utils/compare.js';
+export { EXPORT_DEFAULTS, resolveExportSize, buildScene } from '../utils/export/scene.js';
+export { LAYOUTS, LAYOUT_DEFAULTS } from '../utils/export/layouts.js';
+export { sceneToSvg } from '../utils/export/svg.js';
+export { sceneToPdf } from '../utils/export/pdf.js';
+export { sceneToPng, sceneToTiff } from '../utils/export/raster.js';
+export { rasterizeBands } from '../utils/export/rasterize.js';
+export { DATA_FORMATS, exportPaletteData } from '../utils/export/paletteData.js';
+export { EXPORT_FORMATS, exportFileName } from '../utils/export/index.js';
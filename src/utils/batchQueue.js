@@ -0,0 +1,115 @@
+/**
+ * Batch Queue
+ * Processes several videos one after another. Items are immutable snapshots
+ * replaced on every change, so React can subscribe with useSyncExternalStore.
+ *
+ * Item: { id, file, title, options, status, progress, error, result }
+ * status: 'queued' | 'processing' | 'done' | 'failed' | 'cancelled'
+ */
+
+import { isAbortError } from './errors.js';
+
+export class BatchQueue extends EventTarget {
+    /**
+     * @param {(file: File, onProgress: Function, options: object) => Promise<object>} process -
+     *   analyzes one file; options carries the sampling options plus `signal`
+     */
+    constructor(process) {
+        super();
+        this.process = process;
+        this.items = [];
+        this.running = false;
+        this.abort = null;
+    }
+
+    subscribe = (callback) => {
+        this.addEventListener('change', callback);
+        return () => this.removeEventListener('change', callback);
+    };
+
+    getSnapshot = () => this.items;
+
+    update(id, patch) {
+        // run() still reports on an item removed while it was processing
+        if (!this.items.some(item => item.id === id)) return;
+        this.items = this.items.map(item => (item.id === id ? { ...item, ...patch } : item));
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Queues files with the sampling options to use for them and starts processing.
+     */
+    add(files, options) {
+        const added = files.map(file => ({
+            id: crypto.randomUUID(),
+            file,
+            title: file.name.replace(/\.[^/.]+$/, ""),
+            options,
+            status: 'queued',
+            progress: 0,
+            error: null,
+            result: null
+        }));
+        this.items = [...this.items, ...added];
+        this.dispatchEvent(new Event('change'));
+        this.run();
+    }
+
+    retry(id) {
+        this.update(id, { status: 'queued', progress: 0, error: null });
+        this.run();
+    }
+
+    remove(id) {
+        const item = this.items.find(i => i.id === id);
+        if (item?.status === 'processing') this.abort?.abort();
+        this.items = this.items.filter(i => i.id !== id);
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Stops the current item and everything still waiting; both can be retried.
+     */
+    cancel() {
+        this.items = this.items.map(item => (item.status === 'queued' ? { ...item, status: 'cancelled' } : item));
+        this.abort?.abort();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    clear() {
+        this.cancel();
+        this.items = [];
+        this.dispatchEvent(new Event('change'));
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        let next;
+        while ((next = this.items.find(item => item.status === 'queued'))) {
+            const { id } = next;
+            this.abort = new AbortController();
+            this.update(id, { status: 'processing', progress: 0 });
+
+            try {
+                const result = await this.process(
+                    next.file,
+                    (progress) => this.update(id, { progress }),
+                    { ...next.options, signal: this.abort.signal }
+                );
+                this.update(id, { status: 'done', progress: 100, result });
+            } catch (err) {
+                if (isAbortError(err)) {
+                    this.update(id, { status: 'cancelled' });
+                } else {
+                    console.error(err);
+                    this.update(id, { status: 'failed', error: err });
+                }
+            }
+        }
+
+        this.abort = null;
+        this.running = false;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Timeline Color Analytics
+ * Per-slice brightness, saturation, warmth and hue, plus film-level summaries,
+ * all derived from the sampled colors in CIELAB / LCh.
+ */
+
+import { rgbToLab } from './palette.js';
+
+// Hue-wheel histogram resolution (15° per bin)
+export const HUE_BINS = 24;
+
+// Below this chroma a color is effectively gray and its hue angle is noise
+const MIN_HUE_CHROMA = 8;
+
+// Hue angle (LCh, degrees) of the warm pole; the cool pole is opposite, around blue
+const WARM_HUE = 60;
+
+// Mean lightness thresholds for the low-key / high-key labels
+const LOW_KEY = 35;
+const HIGH_KEY = 65;
+
+// Percentiles bounding the contrast range, so a few black or white frames don't dominate
+const CONTRAST_PERCENTILES = [0.05, 0.95];
+
+const sliceWeight = (color) => (color.duration > 0 ? color.duration : 1);
+
+/**
+ * Metrics of one color:
+ * - luminance: CIELAB L*, 0 (black) to 100 (white)
+ * - saturation: chroma relative to lightness, C* / sqrt(C*² + L*²), in percent
+ * - warmth: chroma along the orange–blue axis, positive for warm colors and negative for cool ones
+ * - hue: LCh hue angle in degrees, or null for near-grays
+ * - chroma: CIELAB C*
+ */
+export function colorMetrics(color) {
+    const { l, a, b } = rgbToLab(color);
+    const chroma = Math.hypot(a, b);
+    const angle = (Math.atan2(b, a) * 180) / Math.PI;
+    const hue = (angle + 360) % 360;
+
+    return {
+        luminance: l,
+        saturation: chroma > 0 ? (100 * chroma) / Math.hypot(chroma, l) : 0,
+        warmth: chroma * Math.cos(((hue - WARM_HUE) * Math.PI) / 180),
+        hue: chroma >= MIN_HUE_CHROMA ? hue : null,
+        chroma
+    };
+}
+
+/**
+ * Metrics for every slice, with its position on the runtime as fractions (`from`, `to`)
+ * weighted by duration like the ribbon.
+ * @param {{ r, g, b, start, duration }[]} colors - ribbon slices
+ */
+export function timelineMetrics(colors) {
+    const total = colors.reduce((sum, c) => sum + sliceWeight(c), 0);
+    let elapsed = 0;
+
+    return colors.map((color) => {
+        const from = elapsed / total;
+        elapsed += sliceWeight(color);
+        return { ...colorMetrics(color), color, from, to: elapsed / total };
+    });
+}
+
+/**
+ * Duration-weighted percentile of { value, weight } entries.
+ */
+function weightedPercentile(entries, fraction) {
+    const sorted = [...entries].sort((x, y) => x.value - y.value);
+    const total = sorted.reduce((sum, e) => sum + e.weight, 0);
+    let covered = 0;
+    for (const entry of sorted) {
+        covered += entry.weight;
+        if (covered >= fraction * total) return entry.value;
+    }
+    return sorted[sorted.length - 1].value;
+}
+
+/**
+ * Hue-wheel histogram: the share of chromatic screen time in each of HUE_BINS hue
+ * sectors, weighted by duration and chroma so vivid colors count more than near-grays.
+ * Returns HUE_BINS weights summing to 1 (all 0 for a black-and-white film).
+ */
+export function hueHistogram(metrics) {
+    const bins = new Array(HUE_BINS).fill(0);
+    metrics.forEach(({ hue, chroma, from, to }) => {
+        if (hue === null) return;
+        bins[Math.floor(hue / (360 / HUE_BINS)) % HUE_BINS] += (to - from) * chroma;
+    });
+
+    const total = bins.reduce((sum, w) => sum + w, 0);
+    return total > 0 ? bins.map((w) => w / total) : bins;
+}
+
+/**
+ * Film-level summary of the slice metrics.
+ * @returns {{
+ *   meanKey: number, key: 'low' | 'mid' | 'high',
+ *   contrastRange: { low: number, high: number, span: number },
+ *   meanSaturation: number, meanWarmth: number,
+ *   hueEntropy: number, dominantHue: number | null,
+ *   histogram: number[]
+ * } | null}
+ *   Lightness values are L* (0-100); hueEntropy is Shannon entropy of the histogram
+ *   normalized to 0 (one hue) - 1 (every hue equally).
+ */
+export function summarizeMetrics(metrics) {
+    if (!metrics || metrics.length === 0) return null;
+
+    const weighted = (key) => metrics.reduce((sum, m) => sum + m[key] * (m.to - m.from), 0);
+    const lightness = metrics.map((m) => ({ value: m.luminance, weight: m.to - m.from }));
+    const low = weightedPercentile(lightness, CONTRAST_PERCENTILES[0]);
+    const high = weightedPercentile(lightness, CONTRAST_PERCENTILES[1]);
+
+    const histogram = hueHistogram(metrics);
+    const entropy = histogram.reduce((sum, p) => (p > 0 ? sum - p * Math.log2(p) : sum), 0);
+    const peak = histogram.indexOf(Math.max(...histogram));
+
+    const meanKey = weighted('luminance');
+
+    return {
+        meanKey,
+        key: meanKey < LOW_KEY ? 'low' : meanKey > HIGH_KEY ? 'high' : 'mid',
+        contrastRange: { low, high, span: high - low },
+        meanSaturation: weighted('saturation'),
+        meanWarmth: weighted('warmth'),
+        hueEntropy: entropy / Math.log2(HUE_BINS),
+        dominantHue: histogram[peak] > 0 ? (peak + 0.5) * (360 / HUE_BINS) : null,
+        histogram
+    };
+}
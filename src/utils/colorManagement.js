@@ -0,0 +1,297 @@
+/**
+ * Color Management
+ * Reads a video stream's color description (matrix, primaries, transfer) and turns
+ * HDR10 / HLG / BT.2020 / P3 pixels into sRGB with an explicit tone map, so every decode
+ * path lands in the same space the palette math assumes. Output is always sRGB: the palette
+ * math, hex codes and exports are all sRGB, so wider output would need all of them changed.
+ * Must stay free of DOM imports.
+ */
+
+// Names FFmpeg prints for color matrices, primaries and transfer functions
+const COLOR_NAMES = new Set([
+    'bt709', 'bt470m', 'bt470bg', 'smpte170m', 'smpte240m', 'film', 'bt2020', 'bt2020nc', 'bt2020c',
+    'bt2020-10', 'bt2020-12', 'smpte2084', 'arib-std-b67', 'smpte428', 'smpte431', 'smpte432',
+    'iec61966-2-1', 'iec61966-2-4', 'linear', 'gamma22', 'gamma28', 'ycgco', 'fcc', 'gbr', 'jedec-p22'
+]);
+
+// Luminance (cd/m²) that maps to SDR white (ITU-R BT.2408 reference white)
+const REFERENCE_WHITE = 203;
+// Share of SDR white below which HDR luminance is passed through unchanged; above it,
+// highlights roll off smoothly towards white
+const TONE_KNEE = 0.75;
+// HLG system gamma for a 1000 cd/m² display (ITU-R BT.2100)
+const HLG_GAMMA = 1.2;
+const HLG_PEAK = 1000;
+
+// Linear BT.2020 RGB to linear BT.709 / sRGB RGB
+const BT2020_TO_BT709 = [
+    1.6605, -0.5876, -0.0728,
+    -0.1246, 1.1329, -0.0083,
+    -0.0182, -0.1006, 1.1187
+];
+
+// Linear Display-P3 (SMPTE EG 432-1) RGB to linear sRGB
+const P3_TO_BT709 = [
+    1.2249, -0.2247, 0.0000,
+    -0.0420, 1.0419, 0.0000,
+    -0.0197, -0.0786, 1.0979
+];
+
+// Linear DCI-P3 (SMPTE RP 431-2, DCI white) RGB to linear sRGB, Bradford-adapted to D65
+const DCI_P3_TO_BT709 = [
+    1.1575, -0.1550, -0.0026,
+    -0.0415, 1.0456, -0.0041,
+    -0.0181, -0.0786, 1.0966
+];
+
+// Primaries converted to BT.709 here, by the matrix that does it
+const TO_BT709 = { bt2020: BT2020_TO_BT709, smpte432: P3_TO_BT709, smpte431: DCI_P3_TO_BT709 };
+
+/**
+ * Parses the color description from one FFmpeg stream summary line, e.g.
+ * "Video: hevc (Main 10), yuv420p10le(tv, bt2020nc/bt2020/smpte2084), 3840x2160".
+ * FFmpeg prints a single name when matrix, primaries and transfer agree.
+ * Returns { range, matrix, primaries, transfer } with null for what isn't stated.
+ */
+export function parseColorInfo(line) {
+    const color = { range: null, matrix: null, primaries: null, transfer: null };
+    const match = line.match(/Video: [^,]+(?:\([^)]*\))?[^,]*, \w+\(([^)]*)\)/);
+    if (!match) return color;
+
+    match[1].split(',').map((token) => token.trim()).forEach((token) => {
+        if (token === 'tv' || token === 'pc') {
+            color.range = token;
+        } else if (token.includes('/')) {
+            [color.matrix, color.primaries, color.transfer] = token.split('/').map((name) => (COLOR_NAMES.has(name) ? name : null));
+        } else if (COLOR_NAMES.has(token)) {
+            color.matrix = color.primaries = color.transfer = token;
+        }
+    });
+
+    return color;
+}
+
+/**
+ * 'pq' (HDR10, Dolby Vision base layers), 'hlg', or null for SDR transfers.
+ */
+export function hdrTransfer(color) {
+    if (color?.transfer === 'smpte2084') return 'pq';
+    if (color?.transfer === 'arib-std-b67') return 'hlg';
+    return null;
+}
+
+const isWideGamut = (color) => Boolean(TO_BT709[color?.primaries]);
+
+/**
+ * Whether frames need converting here rather than being taken as 8-bit sRGB:
+ * HDR transfers and BT.2020 / Display-P3 / DCI-P3 primaries.
+ */
+export function needsToneMapping(color) {
+    return Boolean(hdrTransfer(color) || isWideGamut(color));
+}
+
+const PRIMARY_NAMES = { bt709: 'BT.709', bt2020: 'BT.2020', smpte432: 'Display-P3', smpte431: 'DCI-P3', smpte170m: 'BT.601', bt470bg: 'BT.601' };
+
+/**
+ * Short human-readable name, e.g. "HDR10 (BT.2020)", "HLG (BT.2020)" or "SDR (BT.709)".
+ */
+export function describeColorSpace(color) {
+    if (!color) return 'Unknown color space';
+    const transfer = hdrTransfer(color);
+    const name = transfer === 'pq' ? 'HDR10' : transfer === 'hlg' ? 'HLG' : 'SDR';
+    const primaries = PRIMARY_NAMES[color.primaries] || color.primaries;
+    if (primaries) return `${name} (${primaries})`;
+    return transfer ? name : 'SDR, untagged';
+}
+
+/**
+ * The recorded color space of a result (see sampleVideo) and how it reached sRGB, as one line.
+ */
+export function describeColorHandling(colorSpace) {
+    if (!colorSpace) return null;
+    const { conversion, primaries, transfer } = colorSpace;
+    if (conversion === 'browser' && !primaries && !transfer) return 'Color space not reported · converted to sRGB by the browser';
+    const name = describeColorSpace(colorSpace);
+    if (conversion === 'tone-map') return `${name} · tone-mapped to sRGB`;
+    if (conversion === 'browser') return `${name} · converted to sRGB by the browser`;
+    return name;
+}
+
+// WebCodecs VideoColorSpace names that differ from FFmpeg's
+const WEBCODECS_NAMES = { pq: 'smpte2084', hlg: 'arib-std-b67', 'bt2020-ncl': 'bt2020nc', 'bt2020-cl': 'bt2020c' };
+
+/**
+ * A WebCodecs VideoColorSpace ({ primaries, transfer, matrix, fullRange }) in the
+ * shape and naming of parseColorInfo.
+ */
+export function fromVideoColorSpace({ primaries, transfer, matrix, fullRange }) {
+    const name = (value) => (value ? WEBCODECS_NAMES[value] || value : null);
+    return {
+        range: fullRange === null || fullRange === undefined ? null : fullRange ? 'pc' : 'tv',
+        matrix: name(matrix),
+        primaries: name(primaries),
+        transfer: name(transfer)
+    };
+}
+
+/**
+ * The scale filter options that make FFmpeg read the source's YUV with the right
+ * matrix and range, e.g. ":in_color_matrix=bt2020:in_range=tv"; empty when untagged.
+ */
+export function scaleColorOptions(color) {
+    const matrix = color.matrix?.startsWith('bt2020') ? 'bt2020'
+        : color.matrix === 'bt709' ? 'bt709'
+            : color.matrix === 'smpte170m' || color.matrix === 'bt470bg' ? 'bt601'
+                : null;
+    return `${matrix ? `:in_color_matrix=${matrix}` : ''}${color.range ? `:in_range=${color.range}` : ''}`;
+}
+
+// SMPTE ST 2084 (PQ) constants
+const PQ_M1 = 2610 / 16384;
+const PQ_M2 = (2523 / 4096) * 128;
+const PQ_C1 = 3424 / 4096;
+const PQ_C2 = (2413 / 4096) * 32;
+const PQ_C3 = (2392 / 4096) * 32;
+
+// PQ signal (0-1) to display luminance in cd/m²
+function pqToNits(value) {
+    const p = Math.pow(Math.max(value, 0), 1 / PQ_M2);
+    return 10000 * Math.pow(Math.max(p - PQ_C1, 0) / (PQ_C2 - PQ_C3 * p), 1 / PQ_M1);
+}
+
+// HLG constants (ITU-R BT.2100)
+const HLG_A = 0.17883277;
+const HLG_B = 1 - 4 * HLG_A;
+const HLG_C = 0.5 - HLG_A * Math.log(4 * HLG_A);
+
+// HLG signal (0-1) to normalized scene light (0-1)
+function hlgToScene(value) {
+    return value <= 0.5 ? (value * value) / 3 : (Math.exp((value - HLG_C) / HLG_A) + HLG_B) / 12;
+}
+
+// SDR signal to display light: the sRGB curve for sRGB-tagged sources, BT.1886 otherwise
+function srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+const bt1886ToLinear = (value) => Math.pow(value, 2.4);
+
+// Luminance above the knee, relative to SDR white, rolled off so it approaches but never passes 1
+function rollOff(y) {
+    if (y <= TONE_KNEE) return y;
+    const shoulder = 1 - TONE_KNEE;
+    return TONE_KNEE + shoulder * (1 - Math.exp(-(y - TONE_KNEE) / shoulder));
+}
+
+function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(c * 255)));
+}
+
+/**
+ * Builds a converter for frames of this color space, from FFmpeg's rgb48le output
+ * (still in the source's transfer and primaries) to 8-bit sRGB RGBA:
+ * - PQ and HLG are decoded to display light, with SDR white at REFERENCE_WHITE;
+ * - luminance above TONE_KNEE rolls off towards SDR white, scaling all three channels
+ *   alike so hue and saturation survive instead of clipping to white;
+ * - BT.2020 / Display-P3 / DCI-P3 primaries are converted to BT.709, desaturating out-of-gamut
+ *   colors towards their own luminance rather than clipping channels.
+ * @param {{ primaries, transfer }} color - as from parseColorInfo
+ * @returns {(rgb48: Uint16Array) => Uint8ClampedArray}
+ */
+export function createToneMapper(color) {
+    const transfer = hdrTransfer(color);
+    const matrix = TO_BT709[color.primaries] ?? null;
+    // Luminance weights of the source primaries, for the HLG system gamma and the tone curve
+    const [kr, kg, kb] = color.primaries === 'bt2020' ? [0.2627, 0.6780, 0.0593] : [0.2126, 0.7152, 0.0722];
+
+    const toLinear = (value) => {
+        if (transfer === 'pq') return pqToNits(value) / REFERENCE_WHITE;
+        if (transfer === 'hlg') return hlgToScene(value);
+        return color.transfer === 'iec61966-2-1' ? srgbToLinear(value) : bt1886ToLinear(value);
+    };
+
+    // 16-bit code values repeat constantly in small frames, so decode each once
+    const lut = new Float32Array(65536);
+    for (let i = 0; i < lut.length; i++) lut[i] = toLinear(i / 65535);
+
+    return (rgb48) => {
+        const pixelCount = rgb48.length / 3;
+        const out = new Uint8ClampedArray(pixelCount * 4);
+
+        for (let p = 0; p < pixelCount; p++) {
+            let r = lut[rgb48[p * 3]];
+            let g = lut[rgb48[p * 3 + 1]];
+            let b = lut[rgb48[p * 3 + 2]];
+
+            if (transfer === 'hlg') {
+                // Scene light to display light (OOTF), relative to SDR white
+                const ys = kr * r + kg * g + kb * b;
+                const gain = (HLG_PEAK / REFERENCE_WHITE) * Math.pow(Math.max(ys, 1e-6), HLG_GAMMA - 1);
+                r *= gain;
+                g *= gain;
+                b *= gain;
+            }
+
+            if (transfer) {
+                const y = kr * r + kg * g + kb * b;
+                if (y > TONE_KNEE) {
+                    const scale = rollOff(y) / y;
+                    r *= scale;
+                    g *= scale;
+                    b *= scale;
+                }
+            }
+
+            if (matrix) {
+                const r2 = matrix[0] * r + matrix[1] * g + matrix[2] * b;
+                const g2 = matrix[3] * r + matrix[4] * g + matrix[5] * b;
+                const b2 = matrix[6] * r + matrix[7] * g + matrix[8] * b;
+                r = r2;
+                g = g2;
+                b = b2;
+
+                const min = Math.min(r, g, b);
+                if (min < 0) {
+                    const y = Math.max(0, 0.2126 * r + 0.7152 * g + 0.0722 * b);
+                    const t = y / (y - min);
+                    r = y + (r - y) * t;
+                    g = y + (g - y) * t;
+                    b = y + (b - y) * t;
+                }
+            }
+
+            out[p * 4] = linearToSrgb(r);
+            out[p * 4 + 1] = linearToSrgb(g);
+            out[p * 4 + 2] = linearToSrgb(b);
+            out[p * 4 + 3] = 255;
+        }
+
+        return out;
+    };
+}
+
+/**
+ * How to have FFmpeg hand over frames of this color space as rawvideo: 8-bit RGBA, or for
+ * HDR and wide-gamut sources 16-bit RGB still in the source's transfer and primaries, which
+ * toRgba tone-maps to sRGB. `scale` holds the options to append to the scale filter.
+ * @returns {{ pixFmt: string, bytesPerPixel: number, scale: string, toRgba: (bytes: Uint8Array) => Uint8ClampedArray }}
+ */
+export function rawFrameFormat(color) {
+    const scale = color ? scaleColorOptions(color) : '';
+    if (!needsToneMapping(color)) {
+        return { pixFmt: 'rgba', bytesPerPixel: 4, scale, toRgba: (bytes) => new Uint8ClampedArray(bytes.buffer, bytes.byteOffset, bytes.length) };
+    }
+
+    const toneMap = createToneMapper(color);
+    return {
+        pixFmt: 'rgb48le',
+        bytesPerPixel: 6,
+        scale,
+        toRgba: (bytes) => {
+            // Uint16Array needs an even offset; pooled Node buffers don't always have one
+            const aligned = bytes.byteOffset % 2 ? new Uint8Array(bytes) : bytes;
+            return toneMap(new Uint16Array(aligned.buffer, aligned.byteOffset, aligned.length / 2));
+        }
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * Film Comparison
+ * Distances between analyzed films, in CIEDE2000 units: between their weighted
+ * palettes, and between their ribbons aligned on normalized runtime.
+ */
+
+import { rgbToLab, deltaE2000 } from './palette.js';
+
+// ΔE at which two palettes count as unrelated (0% similar); 2.3 is about one just-noticeable difference
+const UNRELATED_DELTA_E = 50;
+
+// Points along the normalized runtime at which two ribbons are compared
+const TIMELINE_STEPS = 200;
+
+/**
+ * Distance between two weighted palettes ({ r, g, b, weight }[], as from analyzeColors):
+ * each color's distance to its closest match in the other palette, averaged by weight
+ * and symmetrized, so a palette is 0 from itself and a missing color counts fully.
+ */
+export function paletteDistance(a, b) {
+    if (a.length === 0 || b.length === 0) return Infinity;
+
+    const labA = a.map(entry => ({ lab: rgbToLab(entry), weight: entry.weight }));
+    const labB = b.map(entry => ({ lab: rgbToLab(entry), weight: entry.weight }));
+
+    const directed = (from, to) => from.reduce((sum, p) => {
+        const nearest = Math.min(...to.map(q => deltaE2000(p.lab, q.lab)));
+        return sum + p.weight * nearest;
+    }, 0);
+
+    return (directed(labA, labB) + directed(labB, labA)) / 2;
+}
+
+/**
+ * The slice covering each of `steps` evenly spaced points along the ribbon, with slices
+ * weighted by duration like the ribbon draws them.
+ */
+function resampleTimeline(colors, steps) {
+    const total = colors.reduce((sum, c) => sum + (c.duration > 0 ? c.duration : 1), 0);
+    const result = [];
+    let index = 0;
+    let end = colors[0].duration > 0 ? colors[0].duration : 1;
+
+    for (let i = 0; i < steps; i++) {
+        const position = ((i + 0.5) / steps) * total;
+        while (position > end && index < colors.length - 1) {
+            index++;
+            end += colors[index].duration > 0 ? colors[index].duration : 1;
+        }
+        result.push(colors[index]);
+    }
+    return result;
+}
+
+/**
+ * Mean distance between two ribbons ({ r, g, b, duration }[]) at the same fraction of their runtime.
+ */
+export function timelineDistance(a, b, steps = TIMELINE_STEPS) {
+    if (a.length === 0 || b.length === 0) return Infinity;
+
+    const left = resampleTimeline(a, steps);
+    const right = resampleTimeline(b, steps);
+    const sum = left.reduce((total, color, i) => total + deltaE2000(rgbToLab(color), rgbToLab(right[i])), 0);
+    return sum / steps;
+}
+
+/**
+ * Maps a distance to a 0–100 similarity percentage.
+ */
+export function similarityScore(distance) {
+    return Math.round(100 * Math.max(0, 1 - distance / UNRELATED_DELTA_E));
+}
@@ -0,0 +1,42 @@
+/**
+ * Processing Errors
+ * Errors with a machine-readable `code`, so the UI can explain what went wrong
+ * instead of showing a raw message.
+ */
+
+export class ProcessingError extends Error {
+    constructor(code, message, options) {
+        super(message, options);
+        this.name = 'ProcessingError';
+        this.code = code;
+    }
+}
+
+export const ERROR_CODES = {
+    FFMPEG_LOAD_FAILED: 'FFMPEG_LOAD_FAILED',
+    DURATION_UNKNOWN: 'DURATION_UNKNOWN',
+    INVALID_PROJECT: 'INVALID_PROJECT',
+    STREAM_NOT_FOUND: 'STREAM_NOT_FOUND'
+};
+
+/**
+ * Whether an error comes from the user cancelling rather than from a failure.
+ */
+export function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+/**
+ * An error as a structured-cloneable { message, code? }, for posting from a worker.
+ */
+export function serializeError(err) {
+    return { message: err?.message || String(err), code: err?.code };
+}
+
+/**
+ * Rebuilds an error posted by serializeError: a ProcessingError if it carried one of
+ * ERROR_CODES, otherwise a plain Error (DOMException codes, for one, are just numbers).
+ */
+export function deserializeError({ message, code }) {
+    return Object.values(ERROR_CODES).includes(code) ? new ProcessingError(code, message) : new Error(message);
+}
@@ -0,0 +1,86 @@
+/**
+ * Ribbon Export
+ * Renders the ribbon straight from the slice colors (not from the DOM) to
+ * PNG, TIFF, SVG or PDF at any pixel size or print size, and exports the
+ * underlying colors as data (see paletteData.js).
+ */
+
+import { buildScene, buildStackScene, MAX_EXPORT_SIDE } from './scene.js';
+import { sceneToSvg } from './svg.js';
+import { sceneToPdf } from './pdf.js';
+import { sceneToPng, sceneToTiff } from './raster.js';
+
+export { EXPORT_DEFAULTS, STACK_DEFAULTS, MAX_EXPORT_SIDE, resolveExportSize } from './scene.js';
+export { LAYOUTS, LAYOUT_DEFAULTS, layoutItems } from './layouts.js';
+export { createZip } from './zip.js';
+export { DATA_FORMATS, exportPaletteData } from './paletteData.js';
+
+export const EXPORT_FORMATS = [
+    { id: 'png', label: 'PNG', extension: 'png', raster: true },
+    { id: 'tiff', label: 'TIFF', extension: 'tif', raster: true },
+    { id: 'svg', label: 'SVG', extension: 'svg' },
+    { id: 'pdf', label: 'PDF', extension: 'pdf' }
+];
+
+/**
+ * True if a `width` x `height` px export in `format` is beyond what a canvas can rasterize.
+ */
+export function exceedsRasterLimit(format, { width, height }) {
+    // renderScene falls back to PNG for anything else
+    const { raster } = EXPORT_FORMATS.find(({ id }) => id === format) ?? EXPORT_FORMATS[0];
+    return Boolean(raster) && (width > MAX_EXPORT_SIDE || height > MAX_EXPORT_SIDE);
+}
+
+function renderScene(scene, format) {
+    if (exceedsRasterLimit(format, scene)) {
+        throw new Error(`Export is ${scene.width}x${scene.height} px; the largest supported side for PNG and TIFF is ${MAX_EXPORT_SIDE} px`);
+    }
+
+    switch (format) {
+        case 'svg':
+            return new Blob([sceneToSvg(scene)], { type: 'image/svg+xml' });
+        case 'pdf':
+            return new Blob([sceneToPdf(scene)], { type: 'application/pdf' });
+        case 'tiff':
+            return sceneToTiff(scene);
+        default:
+            return sceneToPng(scene);
+    }
+}
+
+/**
+ * Renders the ribbon in `options.format` and resolves with a Blob.
+ * @param {{ r, g, b, duration }[]} colors - ribbon slices
+ * @param {object} options - see EXPORT_DEFAULTS
+ */
+export async function exportRibbon(colors, options) {
+    return renderScene(buildScene(colors, options), options.format);
+}
+
+/**
+ * Renders several films as stacked, labeled ribbons in `options.format` (PNG by default).
+ * @param {{ title: string, colors: object[] }[]} films
+ * @param {object} options - see STACK_DEFAULTS
+ */
+export async function exportStack(films, options = {}) {
+    return renderScene(buildStackScene(films, options), options.format);
+}
+
+/**
+ * Download name for an export, e.g. "Heat_palette.pdf".
+ */
+export function exportFileName(fileName, extension) {
+    return `${fileName.replace(/\.[^/.]+$/, "")}_palette.${extension}`;
+}
+
+/**
+ * Saves a Blob through a temporary download link.
+ */
+export function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = name;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
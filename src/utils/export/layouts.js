@@ -0,0 +1,188 @@
+/**
+ * Ribbon Layouts
+ * Each layout turns the slice colors into scene items filling a box, so the
+ * on-screen views and every export format draw the same shapes.
+ */
+
+export const LAYOUTS = [
+    { id: 'strip', label: 'Strip' },
+    { id: 'vertical', label: 'Vertical' },
+    { id: 'wheel', label: 'Wheel' },
+    { id: 'bands', label: 'Bands' },
+    { id: 'gradient', label: 'Gradient' }
+];
+
+export const LAYOUT_DEFAULTS = {
+    layout: 'strip',        // See LAYOUTS
+    blur: 2,                // 'gradient': Gaussian blur radius (sigma) in percent of the runtime
+    bands: 3                // 'bands': main colors stacked per slice
+};
+
+// 'wheel': radius of the hole in the middle, as a fraction of the outer radius
+const WHEEL_HOLE = 0.3;
+// 'wheel': angle between points along each arc, in radians (about one degree)
+const WHEEL_ARC_STEP = Math.PI / 180;
+// 'gradient': most color steps drawn, however large the export
+const GRADIENT_MAX_STEPS = 1024;
+
+const sliceWeight = (color) => (color.duration > 0 ? color.duration : 1);
+
+/**
+ * Start and end of every slice along the runtime, as fractions from 0 to 1.
+ * Slices keep their duration weights like the on-screen ribbon.
+ */
+function sliceSpans(colors) {
+    const total = colors.reduce((sum, c) => sum + sliceWeight(c), 0);
+    let elapsed = 0;
+    return colors.map((color) => {
+        const from = elapsed / total;
+        elapsed += sliceWeight(color);
+        return { color, from, to: elapsed / total };
+    });
+}
+
+/**
+ * Rects for a ribbon filling the box, left to right (or top to bottom when `vertical`).
+ * Edges are snapped to whole pixels and each slice overlaps the next by one pixel,
+ * so no viewer shows seams between them.
+ */
+export function ribbonRects(colors, { left, top, right, bottom }, vertical = false) {
+    const rects = [];
+    const spans = sliceSpans(colors);
+
+    spans.forEach(({ color, from, to }, index) => {
+        const overlap = index < spans.length - 1 ? 1 : 0;
+        if (vertical) {
+            const y = top + Math.round(from * (bottom - top));
+            const end = top + Math.round(to * (bottom - top));
+            if (end > y) rects.push({ type: 'rect', x: left, y, width: right - left, height: end - y + overlap, fill: color });
+        } else {
+            const x = left + Math.round(from * (right - left));
+            const end = left + Math.round(to * (right - left));
+            if (end > x) rects.push({ type: 'rect', x, y: top, width: end - x + overlap, height: bottom - top, fill: color });
+        }
+    });
+
+    return rects;
+}
+
+/**
+ * Radial "film wheel": the runtime runs clockwise from twelve o'clock around a ring.
+ */
+function wheelPolygons(colors, { left, top, right, bottom }) {
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const outer = Math.min(right - left, bottom - top) / 2;
+    const inner = outer * WHEEL_HOLE;
+    // Same idea as the strip's one-pixel overlap, measured along the outer edge
+    const overlap = 1 / outer;
+    const spans = sliceSpans(colors);
+
+    return spans.map(({ color, from, to }, index) => {
+        const start = from * 2 * Math.PI - Math.PI / 2;
+        const end = to * 2 * Math.PI - Math.PI / 2 + (index < spans.length - 1 ? overlap : 0);
+        const steps = Math.max(1, Math.ceil((end - start) / WHEEL_ARC_STEP));
+        const points = [];
+
+        for (let i = 0; i <= steps; i++) {
+            const angle = start + ((end - start) * i) / steps;
+            points.push(cx + outer * Math.cos(angle), cy + outer * Math.sin(angle));
+        }
+        for (let i = steps; i >= 0; i--) {
+            const angle = start + ((end - start) * i) / steps;
+            points.push(cx + inner * Math.cos(angle), cy + inner * Math.sin(angle));
+        }
+        return { type: 'polygon', points, fill: color };
+    });
+}
+
+/**
+ * Multi-band barcode: each slice is a column of its main colors (slice.bands), stacked
+ * top to bottom with heights by the share of the frame they cover. Slices without
+ * bands (e.g. from older projects) are drawn in their single color.
+ */
+function bandRects(colors, { left, top, right, bottom }) {
+    const rects = [];
+    const spans = sliceSpans(colors);
+
+    spans.forEach(({ color, from, to }, index) => {
+        const x = left + Math.round(from * (right - left));
+        const end = left + Math.round(to * (right - left));
+        if (end <= x) return;
+
+        const width = end - x + (index < spans.length - 1 ? 1 : 0);
+        const bands = color.bands?.length ? color.bands : [{ ...color, weight: 1 }];
+        let covered = 0;
+
+        bands.forEach((band, b) => {
+            const y = top + Math.round(covered * (bottom - top));
+            covered += band.weight;
+            const bandEnd = b === bands.length - 1 ? bottom : top + Math.round(covered * (bottom - top));
+            if (bandEnd > y) {
+                const fill = { r: band.r, g: band.g, b: band.b };
+                rects.push({ type: 'rect', x, y, width, height: bandEnd - y + (b < bands.length - 1 ? 1 : 0), fill });
+            }
+        });
+    });
+
+    return rects;
+}
+
+/**
+ * The ribbon resampled to `steps` evenly spaced colors and blurred along the runtime
+ * with a Gaussian of `blur` percent of the runtime.
+ */
+export function smoothColors(colors, steps, blur) {
+    const spans = sliceSpans(colors);
+    const sharp = [];
+    let index = 0;
+    for (let i = 0; i < steps; i++) {
+        const position = (i + 0.5) / steps;
+        while (index < spans.length - 1 && position > spans[index].to) index++;
+        sharp.push(spans[index].color);
+    }
+
+    const sigma = (blur / 100) * steps;
+    if (sigma < 0.5) return sharp.map(({ r, g, b }) => ({ r, g, b, duration: 1 }));
+
+    const radius = Math.ceil(sigma * 3);
+    const kernel = Array.from({ length: radius * 2 + 1 }, (_, k) => Math.exp(-((k - radius) ** 2) / (2 * sigma * sigma)));
+
+    return sharp.map((_, i) => {
+        let r = 0, g = 0, b = 0, total = 0;
+        // Near the ends, only the part of the kernel that falls inside the film counts
+        for (let k = Math.max(0, radius - i); k < kernel.length && i + k - radius < steps; k++) {
+            const color = sharp[i + k - radius];
+            r += color.r * kernel[k];
+            g += color.g * kernel[k];
+            b += color.b * kernel[k];
+            total += kernel[k];
+        }
+        return { r: Math.round(r / total), g: Math.round(g / total), b: Math.round(b / total), duration: 1 };
+    });
+}
+
+/**
+ * Scene items for the ribbon in `options.layout`, filling the box.
+ * @param {{ r, g, b, duration, bands? }[]} colors - ribbon slices
+ * @param {{ left, top, right, bottom }} box - in output pixels
+ * @param {typeof LAYOUT_DEFAULTS} options
+ */
+export function layoutItems(colors, box, options = {}) {
+    const { layout, blur } = { ...LAYOUT_DEFAULTS, ...options };
+
+    switch (layout) {
+        case 'vertical':
+            return ribbonRects(colors, box, true);
+        case 'wheel':
+            return wheelPolygons(colors, box);
+        case 'bands':
+            return bandRects(colors, box);
+        case 'gradient': {
+            const steps = Math.max(1, Math.min(GRADIENT_MAX_STEPS, Math.round(box.right - box.left)));
+            return ribbonRects(smoothColors(colors, steps, blur), box);
+        }
+        default:
+            return ribbonRects(colors, box);
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Palette Data Export
+ * The sampled timeline and extracted palette as data files for design tools
+ * (ASE, GPL, CSS) and for analysis (JSON, CSV).
+ */
+
+import { analyzeColors, rgbToHex } from '../../core/analysis.js';
+import { rgbToLab } from '../palette.js';
+
+export const DATA_FORMATS = [
+    { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+    { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+    { id: 'ase', label: 'ASE', extension: 'ase', type: 'application/octet-stream' },
+    { id: 'gpl', label: 'GPL', extension: 'gpl', type: 'text/plain' },
+    { id: 'css', label: 'CSS', extension: 'css', type: 'text/css' }
+];
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const labOf = (color) => {
+    const { l, a, b } = rgbToLab(color);
+    return { l: round(l, 2), a: round(a, 2), b: round(b, 2) };
+};
+
+const describeColor = ({ r, g, b }) => ({ r, g, b, hex: rgbToHex({ r, g, b }), lab: labOf({ r, g, b }) });
+
+/**
+ * Per-slice timeline: { index, start, end, duration, r, g, b, hex, lab } with times in seconds.
+ */
+function timeline(colors) {
+    return colors.map((color, index) => ({
+        index,
+        start: round(color.start, 3),
+        end: round(color.start + color.duration, 3),
+        duration: round(color.duration, 3),
+        ...describeColor(color)
+    }));
+}
+
+function toJson(colors, stats, name) {
+    return JSON.stringify({
+        name,
+        average: describeColor(stats.average),
+        palette: stats.palette.map((entry) => ({ ...describeColor(entry), weight: round(entry.weight, 4) })),
+        slices: timeline(colors)
+    }, null, 2);
+}
+
+function toCsv(colors) {
+    const header = 'index,start,end,duration,r,g,b,hex,lab_l,lab_a,lab_b';
+    const rows = timeline(colors).map(({ index, start, end, duration, r, g, b, hex, lab }) =>
+        [index, start, end, duration, r, g, b, hex, lab.l, lab.a, lab.b].join(','));
+    return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * GIMP palette, also read by Inkscape and Krita.
+ */
+function toGpl(stats, name) {
+    const lines = [
+        'GIMP Palette',
+        `Name: ${name}`,
+        `Columns: ${stats.palette.length}`,
+        '#'
+    ];
+    stats.palette.forEach((entry) => {
+        const channels = [entry.r, entry.g, entry.b].map((v) => String(v).padStart(3, ' ')).join(' ');
+        lines.push(`${channels}\t${rgbToHex(entry)} (${Math.round(entry.weight * 100)}%)`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Custom properties for the palette, plus the same colors as a Tailwind v4 @theme block.
+ */
+function toCss(stats, name) {
+    const entries = [
+        ...stats.palette.map((entry, index) => [`${index + 1}`, rgbToHex(entry)]),
+        ['average', rgbToHex(stats.average)]
+    ];
+    const block = (selector, prefix) => [
+        `${selector} {`,
+        ...entries.map(([key, hex]) => `  --${prefix}-${key}: ${hex};`),
+        '}'
+    ].join('\n');
+
+    return [
+        `/* ${name.replace(/\*\//g, '')}: palette sorted by screen time */`,
+        block(':root', 'palette'),
+        '',
+        '/* Tailwind CSS v4: bg-film-1, text-film-average, ... */',
+        block('@theme', 'color-film'),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Adobe Swatch Exchange (version 1.0): one group named after the film, RGB global colors.
+ */
+function toAse(stats, name) {
+    const utf16 = (text) => {
+        const units = Array.from(`${text}\0`, (ch) => ch.charCodeAt(0));
+        const bytes = new Uint8Array(2 + units.length * 2);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, units.length);
+        units.forEach((unit, i) => view.setUint16(2 + i * 2, unit));
+        return bytes;
+    };
+
+    const block = (type, body) => {
+        const bytes = new Uint8Array(6 + body.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint16(0, type);
+        view.setUint32(2, body.length);
+        bytes.set(body, 6);
+        return bytes;
+    };
+
+    const colorBody = (entry) => {
+        const label = utf16(rgbToHex(entry));
+        const body = new Uint8Array(label.length + 4 + 12 + 2);
+        const view = new DataView(body.buffer);
+        body.set(label, 0);
+        body.set([82, 71, 66, 32], label.length); // "RGB "
+        [entry.r, entry.g, entry.b].forEach((v, i) => view.setFloat32(label.length + 4 + i * 4, v / 255));
+        view.setUint16(label.length + 16, 0); // Global
+        return body;
+    };
+
+    const blocks = [
+        block(0xC001, utf16(name)),
+        ...stats.palette.map((entry) => block(0x0001, colorBody(entry))),
+        block(0xC002, new Uint8Array(0))
+    ];
+
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    header.set([65, 83, 69, 70]); // "ASEF"
+    view.setUint16(4, 1);
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+
+    return new Blob([header, ...blocks]);
+}
+
+/**
+ * Exports the slices and their palette in one of DATA_FORMATS as a Blob.
+ * @param {string} format - a DATA_FORMATS id
+ * @param {{ r, g, b, start, duration }[]} colors - ribbon slices
+ * @param {{ name: string, paletteSize?: number }} options - name is the film title
+ */
+export function exportPaletteData(format, colors, { name, paletteSize } = {}) {
+    const stats = analyzeColors(colors, { paletteSize });
+    const { type } = DATA_FORMATS.find(({ id }) => id === format) || DATA_FORMATS[0];
+
+    switch (format) {
+        case 'csv':
+            return new Blob([toCsv(colors)], { type });
+        case 'ase':
+            return new Blob([toAse(stats, name)], { type });
+        case 'gpl':
+            return new Blob([toGpl(stats, name)], { type });
+        case 'css':
+            return new Blob([toCss(stats, name)], { type });
+        default:
+            return new Blob([toJson(colors, stats, name)], { type });
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * PDF backend for export scenes.
+ * Writes a single-page PDF 1.4 by hand: rectangles and polygons as filled paths and text in the
+ * standard Times-Roman and Courier fonts, so nothing needs embedding. Those fonts only
+ * cover WinAnsi (Western European) characters; anything else is written as '?'.
+ */
+
+const POINTS_PER_INCH = 72;
+
+// Largest page side readers accept (200 in); PDF 1.4 implementations limit it to this
+const MAX_PAGE_POINTS = 14400;
+
+const FONTS = {
+    serif: { resource: 'F1', base: 'Times-Roman' },
+    mono: { resource: 'F2', base: 'Courier' }
+};
+
+// Times-Roman advance widths (1/1000 em) for ASCII 32-126, from the standard AFM
+const TIMES_WIDTHS = [
+    250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+    921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+    556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+    333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+    500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+];
+const COURIER_WIDTH = 600;
+
+/**
+ * Text as WinAnsi bytes: printable Latin-1 characters map directly, anything else becomes '?'.
+ */
+const toWinAnsi = (text) => Array.from(text, (ch) => {
+    const code = ch.codePointAt(0);
+    return code >= 32 && code <= 255 && (code < 127 || code >= 160) ? code : 63;
+});
+
+function textWidth(codes, font, size) {
+    const units = codes.reduce((sum, code) => {
+        if (font === 'mono') return sum + COURIER_WIDTH;
+        return sum + (code >= 32 && code <= 126 ? TIMES_WIDTHS[code - 32] : 500);
+    }, 0);
+    return (units / 1000) * size;
+}
+
+const pdfString = (codes) => '(' + codes.map((code) => {
+    const ch = String.fromCharCode(code);
+    return ch === '(' || ch === ')' || ch === '\\' ? '\\' + ch : ch;
+}).join('') + ')';
+
+const num = (value) => (Math.round(value * 1000) / 1000).toString();
+const color = ({ r, g, b }) => `${num(r / 255)} ${num(g / 255)} ${num(b / 255)}`;
+
+/**
+ * Serializes a scene to PDF bytes. The page size is the scene size at its DPI, scaled down
+ * to fit MAX_PAGE_POINTS on the longer side if it's bigger than that.
+ */
+export function sceneToPdf(scene) {
+    const scale = Math.min(POINTS_PER_INCH / scene.dpi, MAX_PAGE_POINTS / Math.max(scene.width, scene.height));
+    const pageWidth = scene.width * scale;
+    const pageHeight = scene.height * scale;
+
+    // PDF's origin is bottom-left
+    const content = [`${color(scene.background)} rg 0 0 ${num(pageWidth)} ${num(pageHeight)} re f`];
+    scene.items.forEach((item) => {
+        if (item.type === 'rect') {
+            const y = pageHeight - (item.y + item.height) * scale;
+            content.push(`${color(item.fill)} rg ${num(item.x * scale)} ${num(y)} ${num(item.width * scale)} ${num(item.height * scale)} re f`);
+            return;
+        }
+        if (item.type === 'polygon') {
+            const points = [];
+            for (let i = 0; i < item.points.length; i += 2) {
+                points.push(`${num(item.points[i] * scale)} ${num(pageHeight - item.points[i + 1] * scale)} ${i === 0 ? 'm' : 'l'}`);
+            }
+            content.push(`${color(item.fill)} rg ${points.join(' ')} h f`);
+            return;
+        }
+
+        const codes = toWinAnsi(item.text);
+        const size = item.size * scale;
+        const width = textWidth(codes, item.font, size);
+        const x = item.x * scale - (item.align === 'center' ? width / 2 : 0);
+        const y = pageHeight - item.y * scale;
+        content.push(`BT ${color(item.fill)} rg /${FONTS[item.font].resource} ${num(size)} Tf ${num(x)} ${num(y)} Td ${pdfString(codes)} Tj ET`);
+    });
+    const stream = content.join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] `
+            + '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+        `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.serif.base} /Encoding /WinAnsiEncoding >>`,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.mono.base} /Encoding /WinAnsiEncoding >>`
+    ];
+
+    // Every character is a single byte, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+        pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Uint8Array.from(pdf, (ch) => ch.charCodeAt(0));
+}
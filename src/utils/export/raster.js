@@ -0,0 +1,245 @@
+/**
+ * Raster backends for export scenes (PNG and TIFF).
+ * The scene is drawn in horizontal bands, so large prints never need one huge canvas,
+ * and both encoders are hand-written so the DPI ends up in the file. Bands come from
+ * a canvas by default; rasterize.js draws them without a DOM.
+ */
+
+import { rgbToCss } from '../../core/analysis.js';
+import { crc32 } from './crc32.js';
+
+const BAND_HEIGHT = 256;
+const METERS_PER_INCH = 0.0254;
+
+const FONTS = {
+    serif: "'Playfair Display', Georgia, serif",
+    mono: "'Courier New', monospace"
+};
+
+function drawScene(ctx, scene) {
+    ctx.fillStyle = rgbToCss(scene.background);
+    ctx.fillRect(0, 0, scene.width, scene.height);
+
+    scene.items.forEach((item) => {
+        ctx.fillStyle = rgbToCss(item.fill);
+        if (item.type === 'rect') {
+            ctx.fillRect(item.x, item.y, item.width, item.height);
+        } else if (item.type === 'polygon') {
+            ctx.beginPath();
+            ctx.moveTo(item.points[0], item.points[1]);
+            for (let i = 2; i < item.points.length; i += 2) ctx.lineTo(item.points[i], item.points[i + 1]);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            ctx.font = `${item.size}px ${FONTS[item.font]}`;
+            ctx.textAlign = item.align === 'center' ? 'center' : 'left';
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillText(item.text, item.x, item.y);
+        }
+    });
+}
+
+/**
+ * Renders the scene band by band on a canvas, calling onBand(rgb, rows) with packed RGB rows.
+ */
+async function renderBands(scene, onBand) {
+    // Make sure the web font is ready, or canvas silently falls back to the default face
+    if (typeof document !== 'undefined' && document.fonts) {
+        await document.fonts.load(`16px ${FONTS.serif}`).catch(() => {});
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = scene.width;
+    canvas.height = Math.min(BAND_HEIGHT, scene.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    for (let top = 0; top < scene.height; top += BAND_HEIGHT) {
+        const rows = Math.min(BAND_HEIGHT, scene.height - top);
+        ctx.setTransform(1, 0, 0, 1, 0, -top);
+        drawScene(ctx, scene);
+
+        const { data } = ctx.getImageData(0, 0, scene.width, rows);
+        const rgb = new Uint8Array(scene.width * rows * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            rgb[j] = data[i];
+            rgb[j + 1] = data[i + 1];
+            rgb[j + 2] = data[i + 2];
+        }
+        await onBand(rgb, rows);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encodes the scene as an 8-bit RGB PNG with a pHYs chunk carrying its DPI.
+ * Rows use the Up filter: ribbon slices are vertical, so most rows filter to zeros.
+ */
+export async function sceneToPng(scene, render = renderBands) {
+    const { width, height, dpi } = scene;
+    const stride = width * 3;
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([8, 2, 0, 0, 0], 8); // 8-bit, truecolor, deflate, adaptive filtering, no interlace
+
+    const physical = new Uint8Array(9);
+    const physicalView = new DataView(physical.buffer);
+    const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+    physicalView.setUint32(0, pixelsPerMeter);
+    physicalView.setUint32(4, pixelsPerMeter);
+    physical[8] = 1; // Unit: meter
+
+    const deflate = new CompressionStream('deflate');
+    const writer = deflate.writable.getWriter();
+    const compressed = new Response(deflate.readable).arrayBuffer();
+
+    let previous = new Uint8Array(stride);
+    await render(scene, async (rgb, rows) => {
+        const filtered = new Uint8Array(rows * (stride + 1));
+        for (let y = 0; y < rows; y++) {
+            const row = rgb.subarray(y * stride, (y + 1) * stride);
+            const out = y * (stride + 1);
+            filtered[out] = 2; // Up
+            for (let x = 0; x < stride; x++) filtered[out + 1 + x] = row[x] - previous[x];
+            previous = row;
+        }
+        previous = previous.slice();
+        await writer.write(filtered);
+    });
+    await writer.close();
+
+    return new Blob([
+        new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+        pngChunk('IHDR', header),
+        pngChunk('pHYs', physical),
+        pngChunk('IDAT', new Uint8Array(await compressed)),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+}
+
+// ---------------------------------------------------------------------------
+// TIFF
+// ---------------------------------------------------------------------------
+
+/**
+ * Deflates one strip (zlib format, as TIFF compression 8 expects).
+ */
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const TIFF_SHORT = 3;
+const TIFF_LONG = 4;
+const TIFF_RATIONAL = 5;
+
+/**
+ * Encodes the scene as an RGB TIFF, Deflate-compressed with the horizontal predictor
+ * (ribbon slices are solid, so most of each row predicts to zeros), one strip per band,
+ * with X/YResolution set to the scene's DPI.
+ */
+export async function sceneToTiff(scene, render = renderBands) {
+    const { width, height, dpi } = scene;
+    const stride = width * 3;
+    const strips = [];
+
+    await render(scene, async (rgb, rows) => {
+        // Each sample becomes its difference from the same channel of the pixel to its left
+        const predicted = rgb.slice(0, rows * stride);
+        for (let y = 0; y < rows; y++) {
+            const row = y * stride;
+            for (let x = stride - 1; x >= 3; x--) predicted[row + x] -= predicted[row + x - 3];
+        }
+        strips.push(await deflate(predicted));
+    });
+
+    // Layout: header, strips, then the IFD and the values that don't fit in its entries
+    let offset = 8;
+    const stripOffsets = strips.map((strip) => {
+        const start = offset;
+        offset += strip.length + (strip.length % 2); // Keep word alignment
+        return start;
+    });
+
+    const entries = [
+        [256, TIFF_LONG, [width]],
+        [257, TIFF_LONG, [height]],
+        [258, TIFF_SHORT, [8, 8, 8]],
+        [259, TIFF_SHORT, [8]],               // Deflate
+        [262, TIFF_SHORT, [2]],               // RGB
+        [273, TIFF_LONG, stripOffsets],
+        [277, TIFF_SHORT, [3]],
+        [278, TIFF_LONG, [BAND_HEIGHT]],
+        [279, TIFF_LONG, strips.map((strip) => strip.length)],
+        [282, TIFF_RATIONAL, [Math.round(dpi), 1]],
+        [283, TIFF_RATIONAL, [Math.round(dpi), 1]],
+        [284, TIFF_SHORT, [1]],               // Chunky
+        [296, TIFF_SHORT, [2]],               // Inches
+        [317, TIFF_SHORT, [2]]                // Horizontal differencing
+    ];
+
+    const ifdOffset = offset;
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const valueSize = (type, values) => (type === TIFF_SHORT ? 2 : 4) * values.length;
+    let extraOffset = ifdOffset + ifdSize;
+    const extraTotal = entries.reduce((sum, [, type, values]) => {
+        const size = valueSize(type, values);
+        return size > 4 ? sum + size : sum;
+    }, 0);
+
+    const tail = new Uint8Array(ifdSize + extraTotal);
+    const view = new DataView(tail.buffer);
+    const write = (type, position, values) => {
+        values.forEach((value, i) => {
+            if (type === TIFF_SHORT) view.setUint16(position + i * 2, value, true);
+            else view.setUint32(position + i * 4, value, true);
+        });
+    };
+
+    view.setUint16(0, entries.length, true);
+    entries.forEach(([tag, type, values], i) => {
+        const entry = 2 + i * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, type === TIFF_RATIONAL ? values.length / 2 : values.length, true);
+
+        const size = valueSize(type, values);
+        if (size <= 4) {
+            write(type, entry + 8, values);
+        } else {
+            view.setUint32(entry + 8, extraOffset, true);
+            write(type, extraOffset - ifdOffset, values);
+            extraOffset += size;
+        }
+    });
+    view.setUint32(2 + entries.length * 12, 0, true); // No further IFDs
+
+    const header = new Uint8Array(8);
+    const headerView = new DataView(header.buffer);
+    header.set([0x49, 0x49, 42, 0]); // "II", little-endian
+    headerView.setUint32(4, ifdOffset, true);
+
+    const parts = [header];
+    strips.forEach((strip) => {
+        parts.push(strip);
+        if (strip.length % 2) parts.push(new Uint8Array(1));
+    });
+    parts.push(tail);
+
+    return new Blob(parts, { type: 'image/tiff' });
+}
@@ -0,0 +1,78 @@
+/**
+ * Software rasterizer for export scenes, for environments without a canvas (the CLI).
+ * Draws rects and polygons band by band with the same onBand(rgb, rows) contract as
+ * the canvas renderer in raster.js. Text needs a font engine, so text items are skipped.
+ */
+
+const BAND_HEIGHT = 256;
+
+function fillSpan(rgb, width, row, x0, x1, { r, g, b }) {
+    const from = Math.max(0, x0);
+    const to = Math.min(width, x1);
+    for (let x = from, i = (row * width + from) * 3; x < to; x++, i += 3) {
+        rgb[i] = r;
+        rgb[i + 1] = g;
+        rgb[i + 2] = b;
+    }
+}
+
+/**
+ * Fills the polygon's pixels in rows top..top+rows: a pixel is inside when its center is
+ * (even-odd rule). No antialiasing.
+ */
+function fillPolygon(rgb, width, top, rows, { points, fill }) {
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (let i = 1; i < points.length; i += 2) {
+        minY = Math.min(minY, points[i]);
+        maxY = Math.max(maxY, points[i]);
+    }
+    if (maxY < top || minY >= top + rows) return;
+
+    for (let row = 0; row < rows; row++) {
+        const y = top + row + 0.5;
+        const crossings = [];
+
+        for (let i = 0; i < points.length; i += 2) {
+            const x1 = points[i];
+            const y1 = points[i + 1];
+            const x2 = points[(i + 2) % points.length];
+            const y2 = points[(i + 3) % points.length];
+            if ((y1 <= y && y < y2) || (y2 <= y && y < y1)) {
+                crossings.push(x1 + ((y - y1) / (y2 - y1)) * (x2 - x1));
+            }
+        }
+
+        crossings.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            fillSpan(rgb, width, row, Math.ceil(crossings[i] - 0.5), Math.ceil(crossings[i + 1] - 0.5), fill);
+        }
+    }
+}
+
+/**
+ * Renders the scene band by band, calling onBand(rgb, rows) with packed RGB rows.
+ */
+export async function rasterizeBands(scene, onBand) {
+    const { width, height } = scene;
+
+    for (let top = 0; top < height; top += BAND_HEIGHT) {
+        const rows = Math.min(BAND_HEIGHT, height - top);
+        const rgb = new Uint8Array(width * rows * 3);
+        for (let row = 0; row < rows; row++) fillSpan(rgb, width, row, 0, width, scene.background);
+
+        scene.items.forEach((item) => {
+            if (item.type === 'rect') {
+                const y0 = Math.max(top, Math.round(item.y));
+                const y1 = Math.min(top + rows, Math.round(item.y + item.height));
+                const x0 = Math.round(item.x);
+                const x1 = Math.round(item.x + item.width);
+                for (let y = y0; y < y1; y++) fillSpan(rgb, width, y - top, x0, x1, item.fill);
+            } else if (item.type === 'polygon') {
+                fillPolygon(rgb, width, top, rows, item);
+            }
+        });
+
+        await onBand(rgb, rows);
+    }
+}
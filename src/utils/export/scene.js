@@ -0,0 +1,164 @@
+/**
+ * Export Scene
+ * Lays out the poster (title, ribbon, palette swatches) as a flat list of
+ * rectangles and text runs in output pixels. Every export format draws this
+ * same scene, so they all match.
+ */
+
+import { analyzeColors, rgbToHex } from '../../core/analysis.js';
+import { layoutItems, ribbonRects, LAYOUT_DEFAULTS } from './layouts.js';
+
+export const EXPORT_DEFAULTS = {
+    format: 'png',          // 'png' | 'tiff' | 'svg' | 'pdf'
+    unit: 'px',             // 'px', or 'in' / 'cm' for print sizes
+    width: 3000,            // In `unit`
+    height: 1500,
+    dpi: 300,               // Pixels per inch for print sizes, and recorded in PNG/TIFF/PDF
+    title: '',              // Empty = no title
+    swatches: true,         // Palette swatches with hex codes under the ribbon
+    background: '#F6F3EE',
+    margin: 6,              // Percent of the shorter side
+    paletteSize: 6,
+    ...LAYOUT_DEFAULTS      // How the ribbon itself is drawn, see layouts.js
+};
+
+// Browsers refuse canvases beyond roughly this size per side, and PNG/TIFF exports draw through
+// one; SVG and PDF are vector and have no such limit
+export const MAX_EXPORT_SIDE = 16384;
+
+const CM_PER_INCH = 2.54;
+
+// Screen exports are recorded at 72 DPI, so one pixel is one PDF point
+const SCREEN_DPI = 72;
+
+const DARK_TEXT = { r: 30, g: 30, b: 30 };
+const LIGHT_TEXT = { r: 246, g: 243, b: 238 };
+
+/**
+ * Converts the requested size to whole pixels.
+ * Returns { width, height, dpi }; dpi is SCREEN_DPI for pixel sizes.
+ */
+export function resolveExportSize({ unit, width, height, dpi }) {
+    if (unit === 'px') {
+        return { width: Math.round(width), height: Math.round(height), dpi: SCREEN_DPI };
+    }
+
+    const inches = (value) => (unit === 'cm' ? value / CM_PER_INCH : value);
+    return {
+        width: Math.round(inches(width) * dpi),
+        height: Math.round(inches(height) * dpi),
+        dpi
+    };
+}
+
+export const hexToRgb = (hex) => {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+const luminance = ({ r, g, b }) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+/**
+ * Lays out the export.
+ * @param {{ r, g, b, duration }[]} colors - ribbon slices
+ * @param {typeof EXPORT_DEFAULTS} options
+ * @returns {{ width, height, dpi, physical, background, items: object[] }} where items are
+ *   { type: 'rect', x, y, width, height, fill },
+ *   { type: 'polygon', points: [x0, y0, x1, y1, ...], fill } and
+ *   { type: 'text', x, y (baseline), text, size, font: 'serif' | 'mono', align: 'center' | 'left', fill }
+ */
+export function buildScene(colors, options) {
+    const settings = { ...EXPORT_DEFAULTS, ...options };
+    const { width, height, dpi } = resolveExportSize(settings);
+
+    if (!(width > 0 && height > 0)) throw new Error("Export size must be positive");
+
+    const background = hexToRgb(settings.background);
+    const textColor = luminance(background) > 128 ? DARK_TEXT : LIGHT_TEXT;
+    const items = [];
+
+    const margin = Math.round((settings.margin / 100) * Math.min(width, height));
+    const left = margin;
+    const right = width - margin;
+    let top = margin;
+    let bottom = height - margin;
+
+    if (settings.title) {
+        const size = Math.round(height * 0.06);
+        items.push({
+            type: 'text', x: width / 2, y: top + size, text: settings.title,
+            size, font: 'serif', align: 'center', fill: textColor
+        });
+        top += Math.round(size * 1.6);
+    }
+
+    if (settings.swatches) {
+        const { palette } = analyzeColors(colors, { paletteSize: settings.paletteSize });
+        const swatch = Math.round(height * 0.07);
+        const labelSize = Math.max(1, Math.round(swatch * 0.28));
+        const gap = swatch;
+        const rowWidth = palette.length * swatch + (palette.length - 1) * gap;
+        const rowTop = bottom - Math.round(labelSize * 1.8) - swatch;
+        let x = Math.round((width - rowWidth) / 2);
+
+        palette.forEach((entry) => {
+            items.push({ type: 'rect', x, y: rowTop, width: swatch, height: swatch, fill: entry });
+            items.push({
+                type: 'text', x: x + swatch / 2, y: rowTop + swatch + Math.round(labelSize * 1.5),
+                text: rgbToHex(entry), size: labelSize, font: 'mono', align: 'center', fill: textColor
+            });
+            x += swatch + gap;
+        });
+        bottom = rowTop - swatch;
+    }
+
+    if (bottom - top < 1) throw new Error("Export is too small for the ribbon with this title, swatches and margin");
+
+    items.push(...layoutItems(colors, { left, top, right, bottom }, settings));
+
+    return {
+        width,
+        height,
+        dpi,
+        physical: settings.unit !== 'px',
+        background,
+        items
+    };
+}
+
+export const STACK_DEFAULTS = {
+    width: 3000,            // Pixels
+    rowHeight: 160,         // Ribbon height per film, in pixels
+    background: EXPORT_DEFAULTS.background
+};
+
+/**
+ * Lays out several films as labeled ribbons stacked top to bottom, e.g. the episodes of a season.
+ * @param {{ title: string, colors: object[] }[]} films
+ * @param {typeof STACK_DEFAULTS} options
+ */
+export function buildStackScene(films, options) {
+    const { width, rowHeight, background: hex } = { ...STACK_DEFAULTS, ...options };
+    const background = hexToRgb(hex);
+    const textColor = luminance(background) > 128 ? DARK_TEXT : LIGHT_TEXT;
+
+    const margin = Math.round(width * 0.03);
+    const labelSize = Math.max(1, Math.round(rowHeight * 0.2));
+    const labelBlock = Math.round(labelSize * 1.6);
+    const gap = Math.round(rowHeight * 0.3);
+    const height = 2 * margin + films.length * (labelBlock + rowHeight) + Math.max(0, films.length - 1) * gap;
+
+    const items = [];
+    let top = margin;
+    films.forEach(({ title, colors }) => {
+        items.push({
+            type: 'text', x: margin, y: top + labelSize, text: title || 'Untitled Film',
+            size: labelSize, font: 'serif', align: 'left', fill: textColor
+        });
+        top += labelBlock;
+        items.push(...ribbonRects(colors, { left: margin, top, right: width - margin, bottom: top + rowHeight }));
+        top += rowHeight + gap;
+    });
+
+    return { width, height, dpi: SCREEN_DPI, physical: false, background, items };
+}
@@ -0,0 +1,49 @@
+/**
+ * SVG backend for export scenes.
+ */
+
+import { rgbToHex } from '../../core/analysis.js';
+
+const FONTS = {
+    serif: "'Playfair Display', Georgia, serif",
+    mono: "'Courier New', monospace"
+};
+
+const num = (value) => (Math.round(value * 100) / 100).toString();
+
+const escapeXml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Serializes a scene to an SVG document. Print sizes are written in inches,
+ * so the file opens at its physical size.
+ */
+export function sceneToSvg(scene) {
+    const { width, height, dpi, physical } = scene;
+    const size = physical
+        ? `width="${width / dpi}in" height="${height / dpi}in"`
+        : `width="${width}" height="${height}"`;
+
+    const elements = scene.items.map((item) => {
+        if (item.type === 'rect') {
+            return `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="${rgbToHex(item.fill)}"/>`;
+        }
+        if (item.type === 'polygon') {
+            // Curved edges need antialiasing, unlike the pixel-snapped rects
+            return `<polygon points="${item.points.map(num).join(' ')}" fill="${rgbToHex(item.fill)}" shape-rendering="geometricPrecision"/>`;
+        }
+        return `<text x="${item.x}" y="${item.y}" font-family="${FONTS[item.font]}" font-size="${item.size}" `
+            + `text-anchor="${item.align === 'center' ? 'middle' : 'start'}" fill="${rgbToHex(item.fill)}">${escapeXml(item.text)}</text>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" ${size} viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+        `<rect width="${width}" height="${height}" fill="${rgbToHex(scene.background)}"/>`,
+        ...elements,
+        '</svg>'
+    ].join('\n');
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal zip writer. Entries are stored uncompressed: the files we bundle
+ * (PNG ribbons) are already compressed.
+ */
+
+import { crc32 } from './crc32.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Date and time in MS-DOS format, as zip headers expect.
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Bundles files into a zip archive.
+ * @param {{ name: string, data: Blob }[]} files
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = new Uint8Array(await file.data.arrayBuffer());
+        const crc = crc32(data);
+
+        // Version 2.0, UTF-8 names (flag bit 11), stored
+        const fields = (view, at) => {
+            view.setUint16(at, 20, true);
+            view.setUint16(at + 2, 0x0800, true);
+            view.setUint16(at + 4, 0, true);
+            view.setUint16(at + 6, time, true);
+            view.setUint16(at + 8, date, true);
+            view.setUint32(at + 10, crc, true);
+            view.setUint32(at + 14, data.length, true);
+            view.setUint32(at + 18, data.length, true);
+            view.setUint16(at + 22, name.length, true);
+        };
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034B50, true);
+        fields(localView, 4);
+        local.set(name, 30);
+
+        const entry = new Uint8Array(46 + name.length);
+        const entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014B50, true);
+        entryView.setUint16(4, 20, true); // Made by
+        fields(entryView, 6);
+        entryView.setUint32(42, offset, true);
+        entry.set(name, 46);
+
+        parts.push(local, data);
+        central.push(entry);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
@@ -0,0 +1,193 @@
+/**
+ * FFmpeg Sampling
+ * Command lines and the frame extraction loop shared by ffmpeg.wasm in the browser and a
+ * local ffmpeg in the command-line tool. Callers pass `exec(args)`, which runs FFmpeg with
+ * these arguments plus its own output target and resolves with the raw bytes written.
+ * Must stay free of DOM and FFmpeg imports.
+ */
+
+import { isFullFrame } from './letterbox.js';
+import { failedFrame } from './sampling.js';
+
+// Frames per FFmpeg run; pause and cancel take effect between runs
+export const BATCH_FRAMES = 24;
+
+// Decoding rate when the duration can't be determined up front (see extractUntilEnd), and the
+// span scanned for letterboxing then
+export const UNKNOWN_DURATION_FPS = 1;
+export const UNKNOWN_DURATION_DETECTION_WINDOW = 600;
+
+/**
+ * Filter prefix (with its trailing comma) cropping to a normalized { x, y, width, height },
+ * or '' for the full frame.
+ */
+export function cropFilter(crop) {
+    return isFullFrame(crop) ? '' : `crop=iw*${crop.width}:ih*${crop.height}:iw*${crop.x}:ih*${crop.y},`;
+}
+
+const rawOutputArgs = (filter, width, height, output) => [
+    '-vf', `${filter}scale=${width}:${height}${output.scale}`,
+    '-f', 'rawvideo',
+    '-pix_fmt', output.pixFmt
+];
+
+/**
+ * Arguments for one `width` x `height` frame at `time`, passed through `filter` (e.g. a crop)
+ * before scaling.
+ * @param {{ videoStream: number, output: object }} source - output as from rawFrameFormat
+ */
+export function frameArgs(input, time, { width, height, filter = '' }, { videoStream, output }) {
+    return [
+        '-ss', `${time}`,
+        '-i', input,
+        '-map', `0:v:${videoStream}`,
+        '-frames:v', '1',
+        ...rawOutputArgs(filter, width, height, output)
+    ];
+}
+
+/**
+ * Arguments for `count` square frames `1 / fps` seconds apart from `start`.
+ * start_time=0 and round=up make frame n the one on screen at start + n / fps, as a video
+ * element seeked there shows it; a bare fps filter snaps to ticks of its own and can be
+ * off by up to half the interval.
+ */
+export function batchArgs(input, start, fps, count, { size, filter = '' }, { videoStream, output }) {
+    return [
+        '-ss', `${start}`,
+        '-i', input,
+        '-map', `0:v:${videoStream}`,
+        '-frames:v', `${count}`,
+        ...rawOutputArgs(`${filter}fps=${fps}:start_time=0:round=up,`, size, size, output)
+    ];
+}
+
+/**
+ * One frame at `time` as RGBA (see frameArgs), or null if none was decoded.
+ */
+export async function grabFrame(exec, input, time, size, source) {
+    const frameBytes = size.width * size.height * source.output.bytesPerPixel;
+    try {
+        const data = await exec(frameArgs(input, time, size, source));
+        return data.length >= frameBytes ? source.output.toRgba(data.subarray(0, frameBytes)) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Samples one frame at each of `times` (evenly spaced `1 / fps` apart, as from sampleTimes)
+ * in batches decoded front to back. Slots a batch leaves empty are retried with a seek of
+ * their own, and those that still fail come back as failedFrame(time), so the result always
+ * has exactly one frame per time, in order. Once a seek past where the batches stopped finds
+ * nothing, the rest is taken to be past the end of the video too.
+ * Errors from `exec` count as missing frames; beforeBatch() is awaited before every run, so
+ * it is where pause and cancel belong. onFrame(index, frame) is called as each slot is filled.
+ */
+export async function extractFrames(exec, input, times, { fps, sampleSize, filter = '' }, source, { beforeBatch, onFrame } = {}) {
+    const frameBytes = sampleSize * sampleSize * source.output.bytesPerPixel;
+    const frames = new Array(times.length);
+    let reached = times.length;
+
+    for (let first = 0; first < times.length; first += BATCH_FRAMES) {
+        await beforeBatch?.();
+
+        const count = Math.min(BATCH_FRAMES, times.length - first);
+        const data = await exec(batchArgs(input, times[first], fps, count, { size: sampleSize, filter }, source)).catch(() => null);
+        // A failed run leaves its slots to the retries below
+        if (!data) continue;
+
+        const received = Math.min(count, Math.floor(data.length / frameBytes));
+        for (let i = 0; i < received; i++) {
+            const index = first + i;
+            frames[index] = { time: times[index], pixels: source.output.toRgba(data.subarray(i * frameBytes, (i + 1) * frameBytes)) };
+            onFrame?.(index, frames[index]);
+        }
+
+        // Fewer frames than asked for: we've reached the end of the video
+        if (received < count) {
+            reached = first + received;
+            break;
+        }
+    }
+
+    let pastEnd = false;
+    for (let index = 0; index < times.length; index++) {
+        if (frames[index]) continue;
+        await beforeBatch?.();
+
+        const pixels = pastEnd ? null : await grabFrame(exec, input, times[index], { width: sampleSize, height: sampleSize, filter }, source);
+        if (!pixels && index >= reached) pastEnd = true;
+        frames[index] = pixels ? { time: times[index], pixels } : failedFrame(times[index]);
+        onFrame?.(index, frames[index]);
+    }
+
+    return frames;
+}
+
+/**
+ * The frame on screen at each of `times`, from frames decoded `1 / fps` seconds apart from
+ * `start` (for files whose length is only known once they've been decoded).
+ */
+export function framesAtTimes(frames, fps, times, start = 0) {
+    return times.map((time) => {
+        const index = Math.min(frames.length - 1, Math.max(0, Math.floor((time - start) * fps + 1e-6)));
+        return { ...frames[index], time, frameTime: frames[index].time };
+    });
+}
+
+/**
+ * Holds every `stride`-th of a run of decoded frames of unknown length, doubling the stride
+ * whenever more than `limit` are held: the memory stays bounded, and once the run is longer
+ * than `limit` at least limit / 2 frames remain, evenly spaced. Frames go in numbered from 0;
+ * add(n, frame) returns whether frame n was kept.
+ */
+export function keepEvenly(limit) {
+    let stride = 1;
+    let frames = [];
+
+    return {
+        get stride() {
+            return stride;
+        },
+        get frames() {
+            return frames;
+        },
+        add(n, frame) {
+            if (n % stride !== 0) return false;
+            frames.push(frame);
+            if (frames.length > limit) {
+                stride *= 2;
+                frames = frames.filter((_, i) => i % 2 === 0);
+            }
+            return n % stride === 0;
+        }
+    };
+}
+
+/**
+ * Decodes a video whose length isn't known up front, `fps` frames per second from `start` until
+ * it runs out, holding at most `limit` of them (see keepEvenly). Resolves with
+ * { end, frames, fps }: where the video ended, and the frames held, `1 / fps` apart from `start`,
+ * for framesAtTimes once the sample times are known.
+ * beforeBatch() is awaited before every run; onFrame(n, frame) is called for each frame held
+ * when it is decoded, n counting the frames decoded before it.
+ */
+export async function extractUntilEnd(exec, input, { start = 0, fps, limit, sampleSize, filter = '' }, source, { beforeBatch, onFrame } = {}) {
+    const frameBytes = sampleSize * sampleSize * source.output.bytesPerPixel;
+    const held = keepEvenly(limit);
+    let decoded = 0;
+
+    for (;;) {
+        await beforeBatch?.();
+        const data = await exec(batchArgs(input, start + decoded / fps, fps, BATCH_FRAMES, { size: sampleSize, filter }, source));
+        const received = Math.min(BATCH_FRAMES, Math.floor(data.length / frameBytes));
+        for (let i = 0; i < received; i++, decoded++) {
+            const frame = { time: start + decoded / fps, pixels: source.output.toRgba(data.subarray(i * frameBytes, (i + 1) * frameBytes)) };
+            if (held.add(decoded, frame)) onFrame?.(decoded, frame);
+        }
+        if (received < BATCH_FRAMES) break;
+    }
+
+    return { end: start + decoded / fps, frames: held.frames, fps: fps / held.stride };
+}
@@ -0,0 +1,186 @@
+/**
+ * Frame Reducers
+ * Collapse the RGBA pixels of one downsampled frame into a single color.
+ */
+
+export const REDUCERS = [
+    { id: 'mean', label: 'Mean' },
+    { id: 'median', label: 'Median' },
+    { id: 'dominant', label: 'Dominant' },
+    { id: 'saturated', label: 'Saturated' }
+];
+
+// Pixels darker/brighter than this on every channel count as letterbox or blown-out
+const BLACK_LEVEL = 16;
+const WHITE_LEVEL = 240;
+
+const DOMINANT_CLUSTERS = 3;
+const DOMINANT_ITERATIONS = 6;
+const SATURATED_FRACTION = 0.1;
+
+/**
+ * Collects the RGB triplets of a frame, optionally dropping near-black and near-white pixels.
+ * Falls back to every pixel if filtering would leave nothing.
+ */
+function collectPixels(pixels, ignoreExtremes) {
+    const all = [];
+    const kept = [];
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+        all.push([r, g, b]);
+
+        if (ignoreExtremes) {
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            if (max > BLACK_LEVEL && min < WHITE_LEVEL) {
+                kept.push([r, g, b]);
+            }
+        }
+    }
+
+    return ignoreExtremes && kept.length > 0 ? kept : all;
+}
+
+function meanOf(points) {
+    let r = 0, g = 0, b = 0;
+    points.forEach(p => {
+        r += p[0];
+        g += p[1];
+        b += p[2];
+    });
+    return {
+        r: Math.round(r / points.length),
+        g: Math.round(g / points.length),
+        b: Math.round(b / points.length)
+    };
+}
+
+function medianOf(points) {
+    const channel = (c) => {
+        const values = points.map(p => p[c]).sort((x, y) => x - y);
+        return values[Math.floor(values.length / 2)];
+    };
+    return { r: channel(0), g: channel(1), b: channel(2) };
+}
+
+/**
+ * Small k-means over a frame's pixels: { centers, counts } for `k` clusters.
+ * Seeds are taken at evenly spaced brightness quantiles so results are deterministic.
+ */
+function clusterPixels(points, k) {
+    const byBrightness = [...points].sort((p, q) => (p[0] + p[1] + p[2]) - (q[0] + q[1] + q[2]));
+    let centers = [];
+    for (let j = 0; j < k; j++) {
+        const index = Math.floor(((j + 0.5) / k) * byBrightness.length);
+        centers.push([...byBrightness[index]]);
+    }
+
+    let counts = [];
+    for (let iteration = 0; iteration < DOMINANT_ITERATIONS; iteration++) {
+        const sums = centers.map(() => [0, 0, 0]);
+        counts = centers.map(() => 0);
+
+        points.forEach(p => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((c, j) => {
+                const distance = (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2;
+                if (distance < bestDistance) {
+                    best = j;
+                    bestDistance = distance;
+                }
+            });
+            sums[best][0] += p[0];
+            sums[best][1] += p[1];
+            sums[best][2] += p[2];
+            counts[best]++;
+        });
+
+        centers = centers.map((c, j) => counts[j] > 0
+            ? [sums[j][0] / counts[j], sums[j][1] / counts[j], sums[j][2] / counts[j]]
+            : c);
+    }
+
+    return { centers, counts };
+}
+
+const toColor = ([r, g, b]) => ({ r: Math.round(r), g: Math.round(g), b: Math.round(b) });
+
+/**
+ * Centroid of the largest cluster.
+ */
+function dominantOf(points) {
+    const { centers, counts } = clusterPixels(points, DOMINANT_CLUSTERS);
+    return toColor(centers[counts.indexOf(Math.max(...counts))]);
+}
+
+/**
+ * Mean of the most chromatic pixels (largest max-min channel spread).
+ */
+function saturatedOf(points) {
+    const byChroma = [...points].sort((p, q) =>
+        (Math.max(...q) - Math.min(...q)) - (Math.max(...p) - Math.min(...p)));
+    const count = Math.max(1, Math.round(byChroma.length * SATURATED_FRACTION));
+    return meanOf(byChroma.slice(0, count));
+}
+
+/**
+ * Plain mean of all pixels in the frame.
+ */
+export function getAverageColor(pixels) {
+    let r = 0, g = 0, b = 0;
+    const pixelCount = pixels.length / 4;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        r += pixels[i];
+        g += pixels[i + 1];
+        b += pixels[i + 2];
+    }
+
+    return {
+        r: Math.round(r / pixelCount),
+        g: Math.round(g / pixelCount),
+        b: Math.round(b / pixelCount)
+    };
+}
+
+/**
+ * Reduces a frame's RGBA pixels to one { r, g, b } color.
+ * @param {Uint8ClampedArray} pixels - RGBA data, e.g. from getImageData
+ * @param {{ reducer?: string, ignoreExtremes?: boolean }} options
+ */
+export function reduceFrame(pixels, { reducer = 'mean', ignoreExtremes = false } = {}) {
+    if (reducer === 'mean' && !ignoreExtremes) {
+        return getAverageColor(pixels);
+    }
+
+    const points = collectPixels(pixels, ignoreExtremes);
+
+    switch (reducer) {
+        case 'median':
+            return medianOf(points);
+        case 'dominant':
+            return dominantOf(points);
+        case 'saturated':
+            return saturatedOf(points);
+        default:
+            return meanOf(points);
+    }
+}
+
+/**
+ * The frame's `count` main colors with the share of the frame each covers:
+ * [{ r, g, b, weight }], largest first, weights summing to 1.
+ * @param {Uint8ClampedArray} pixels - RGBA data
+ * @param {{ count?: number, ignoreExtremes?: boolean }} options
+ */
+export function frameBands(pixels, { count = DOMINANT_CLUSTERS, ignoreExtremes = false } = {}) {
+    const points = collectPixels(pixels, ignoreExtremes);
+    const { centers, counts } = clusterPixels(points, Math.min(count, points.length));
+
+    return centers
+        .map((center, j) => ({ ...toColor(center), weight: counts[j] / points.length }))
+        .filter(band => band.weight > 0)
+        .sort((p, q) => q.weight - p.weight);
+}
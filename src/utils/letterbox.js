@@ -0,0 +1,118 @@
+/**
+ * Letterbox / Pillarbox Detection
+ * Finds the active picture area inside black bars. Crop rects are normalized
+ * to the source frame (0-1), so they apply at any resolution.
+ */
+
+export const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+// Frames are scanned at this size; only relative positions matter
+export const DETECTION_WIDTH = 160;
+export const DETECTION_HEIGHT = 90;
+export const DETECTION_FRAMES = 6;
+
+// A row/column is a bar if it is dark on average and contains no bright pixels
+const BAR_MEAN_LUMA = 20;
+const BAR_MAX_LUMA = 60;
+
+// Insets smaller than this are treated as encoding noise
+const MIN_INSET = 0.01;
+
+/**
+ * Timestamps (seconds) to scan for bars: spread over the early part of the film,
+ * skipping the very start where logos and fades are common.
+ */
+export function detectionTimes(duration) {
+    const start = duration * 0.05;
+    const span = duration * 0.25;
+    return Array.from({ length: DETECTION_FRAMES }, (_, i) => start + (span * (i + 0.5)) / DETECTION_FRAMES);
+}
+
+const luma = (pixels, i) => 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+
+function isBar(pixels, start, step, count) {
+    let sum = 0;
+    for (let n = 0, i = start; n < count; n++, i += step) {
+        const y = luma(pixels, i * 4);
+        if (y > BAR_MAX_LUMA) return false;
+        sum += y;
+    }
+    return sum / count < BAR_MEAN_LUMA;
+}
+
+/**
+ * Active area of a single frame, or null if the whole frame is dark (fade, title card).
+ */
+function frameActiveArea(pixels, width, height) {
+    const rowIsBar = (y) => isBar(pixels, y * width, 1, width);
+    const colIsBar = (x) => isBar(pixels, x, width, height);
+
+    let top = 0;
+    while (top < height && rowIsBar(top)) top++;
+    if (top === height) return null;
+
+    let bottom = height - 1;
+    while (bottom > top && rowIsBar(bottom)) bottom--;
+
+    let left = 0;
+    while (left < width && colIsBar(left)) left++;
+
+    let right = width - 1;
+    while (right > left && colIsBar(right)) right--;
+
+    return {
+        top: top / height,
+        bottom: (bottom + 1) / height,
+        left: left / width,
+        right: (right + 1) / width
+    };
+}
+
+/**
+ * Finds the active picture area over several frames.
+ * The result is the union of each frame's active area, so a single dark scene
+ * can't shrink the crop. Returns a normalized { x, y, width, height } rect.
+ * @param {{ pixels: Uint8ClampedArray, width: number, height: number }[]} frames
+ */
+export function detectActiveArea(frames) {
+    let area = null;
+
+    frames.forEach(({ pixels, width, height }) => {
+        const frameArea = frameActiveArea(pixels, width, height);
+        if (!frameArea) return;
+
+        area = area
+            ? {
+                top: Math.min(area.top, frameArea.top),
+                bottom: Math.max(area.bottom, frameArea.bottom),
+                left: Math.min(area.left, frameArea.left),
+                right: Math.max(area.right, frameArea.right)
+            }
+            : frameArea;
+    });
+
+    if (!area) return FULL_FRAME;
+
+    const top = area.top < MIN_INSET ? 0 : area.top;
+    const left = area.left < MIN_INSET ? 0 : area.left;
+    const bottom = 1 - area.bottom < MIN_INSET ? 1 : area.bottom;
+    const right = 1 - area.right < MIN_INSET ? 1 : area.right;
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Resolves the `crop` option ('auto', 'none' or a rect) to a rect, running detection for 'auto'.
+ */
+export async function resolveCrop(crop, detect) {
+    if (crop === 'none') return FULL_FRAME;
+    if (crop && typeof crop === 'object') return crop;
+    return detectActiveArea(await detect());
+}
+
+/**
+ * Whether a crop rect removes anything at all.
+ */
+export function isFullFrame(crop) {
+    return crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1;
+}
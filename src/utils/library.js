@@ -0,0 +1,174 @@
+/**
+ * Film Library
+ * Finished analyses persisted in IndexedDB, so they survive reloads and can be
+ * reopened without the video. Records hold the same data as a project file
+ * plus the palette stats and a small ribbon thumbnail:
+ * { id, title, source, settings, colors, stats, thumbnail, createdAt, updatedAt }
+ */
+
+import { analyzeColors } from '../core/analysis.js';
+import { exportRibbon } from './export/index.js';
+
+const DB_NAME = 'palette-cut';
+const DB_VERSION = 1;
+const STORE = 'films';
+
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_HEIGHT = 40;
+
+// Quiet time before a scheduled save runs, so typing a title writes once rather than per key
+const SAVE_DELAY = 1000;
+const pendingSaves = new Map(); // Film id -> timer of its scheduled save
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+const settle = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs `fn(store)` in a transaction and resolves with its result once the transaction commits.
+ */
+async function withStore(mode, fn) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await fn(transaction.objectStore(STORE));
+    await done;
+    return result;
+}
+
+/**
+ * Whether this browser can store a library at all (IndexedDB can be missing in some private modes).
+ */
+export function isLibraryAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+async function renderThumbnail(colors) {
+    const blob = await exportRibbon(colors, {
+        format: 'png',
+        unit: 'px',
+        width: THUMBNAIL_WIDTH,
+        height: THUMBNAIL_HEIGHT,
+        title: '',
+        swatches: false,
+        margin: 0
+    });
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * All films, most recently updated first.
+ */
+export function listFilms() {
+    return withStore('readonly', async (store) => {
+        const films = await settle(store.index('updatedAt').getAll());
+        return films.reverse();
+    });
+}
+
+/**
+ * Creates or updates a film. Stats and the thumbnail are derived from `colors`.
+ * @param {{ id: string, title: string, source: object, settings: object, colors: object[] }} film
+ */
+export async function saveFilm({ id, title, source, settings, colors }) {
+    const stats = analyzeColors(colors, { paletteSize: settings.paletteSize });
+    const thumbnail = await renderThumbnail(colors);
+    const now = Date.now();
+
+    return withStore('readwrite', async (store) => {
+        const existing = await settle(store.get(id));
+        const film = {
+            id,
+            title,
+            source,
+            settings,
+            colors,
+            stats,
+            thumbnail,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        store.put(film);
+        return film;
+    });
+}
+
+/**
+ * Saves a film once SAVE_DELAY ms have passed without another call for the same id; only the
+ * last call's film is written. `prepare()` resolves with everything but the id, and only runs
+ * then, so whatever it computes isn't redone per call either.
+ */
+export function scheduleSaveFilm(id, prepare) {
+    clearTimeout(pendingSaves.get(id));
+    pendingSaves.set(id, setTimeout(() => {
+        pendingSaves.delete(id);
+        prepare()
+            .then((film) => saveFilm({ ...film, id }))
+            .catch((err) => console.warn("Could not save to the library", err));
+    }, SAVE_DELAY));
+}
+
+/**
+ * The film analyzed from the same source video, matched by its fingerprint, or null.
+ */
+export async function findFilmBySource(source) {
+    const hash = source?.hash;
+    if (!hash) return null;
+    const films = await listFilms();
+    return films.find((film) => film.source?.hash?.algorithm === hash.algorithm && film.source.hash.value === hash.value) ?? null;
+}
+
+export function renameFilm(id, title) {
+    return withStore('readwrite', async (store) => {
+        const film = await settle(store.get(id));
+        if (film) store.put({ ...film, title, updatedAt: Date.now() });
+    });
+}
+
+export function deleteFilm(id) {
+    return withStore('readwrite', (store) => settle(store.delete(id)));
+}
+
+/**
+ * Library id for an analysis of `source`: the film already saved from the same video, so
+ * analyzing it again, opening its project or re-running a batch updates that record instead
+ * of adding a copy, or a new id.
+ */
+export async function libraryIdFor(source) {
+    if (!isLibraryAvailable()) return crypto.randomUUID();
+    try {
+        return (await findFilmBySource(source))?.id ?? crypto.randomUUID();
+    } catch {
+        return crypto.randomUUID();
+    }
+}
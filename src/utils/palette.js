@@ -0,0 +1,239 @@
+/**
+ * Palette Extraction Utilities
+ * CIELAB conversion, CIEDE2000 distance and weighted k-means clustering.
+ */
+
+// D65 reference white
+const WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+function srgbToLinear(value) {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(c * 255)));
+}
+
+function labPivot(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+function labPivotInverse(t) {
+    const t3 = t * t * t;
+    return t3 > 216 / 24389 ? t3 : (116 * t - 16) / (24389 / 27);
+}
+
+/**
+ * Converts an sRGB color ({ r, g, b } in 0-255) to CIELAB ({ l, a, b }).
+ */
+export function rgbToLab({ r, g, b }) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const x = labPivot((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE.x);
+    const y = labPivot((0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE.y);
+    const z = labPivot((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE.z);
+
+    return {
+        l: 116 * y - 16,
+        a: 500 * (x - y),
+        b: 200 * (y - z)
+    };
+}
+
+/**
+ * Converts a CIELAB color back to sRGB, clamping out-of-gamut values.
+ */
+export function labToRgb({ l, a, b }) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const x = labPivotInverse(fx) * WHITE.x;
+    const y = labPivotInverse(fy) * WHITE.y;
+    const z = labPivotInverse(fz) * WHITE.z;
+
+    return {
+        r: linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        g: linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        b: linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    };
+}
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors.
+ */
+export function deltaE2000(lab1, lab2) {
+    const { l: l1, a: a1, b: b1 } = lab1;
+    const { l: l2, a: a2, b: b2 } = lab2;
+
+    const c1 = Math.hypot(a1, b1);
+    const c2 = Math.hypot(a2, b2);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.hypot(a1p, b1);
+    const c2p = Math.hypot(a2p, b2);
+
+    const hue = (a, b) => {
+        if (a === 0 && b === 0) return 0;
+        const h = toDegrees(Math.atan2(b, a));
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(a1p, b1);
+    const h2p = hue(a2p, b2);
+
+    const dLp = l2 - l1;
+    const dCp = c2p - c1p;
+
+    let dhp = 0;
+    if (c1p * c2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(dhp / 2));
+
+    const lMean = (l1 + l2) / 2;
+    const cMeanP = (c1p + c2p) / 2;
+
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hMean /= 2;
+        else hMean = (h1p + h2p < 360) ? (hMean + 360) / 2 : (hMean - 360) / 2;
+    }
+
+    const t = 1
+        - 0.17 * Math.cos(toRadians(hMean - 30))
+        + 0.24 * Math.cos(toRadians(2 * hMean))
+        + 0.32 * Math.cos(toRadians(3 * hMean + 6))
+        - 0.20 * Math.cos(toRadians(4 * hMean - 63));
+
+    const lMean50 = Math.pow(lMean - 50, 2);
+    const sl = 1 + (0.015 * lMean50) / Math.sqrt(20 + lMean50);
+    const sc = 1 + 0.045 * cMeanP;
+    const sh = 1 + 0.015 * cMeanP * t;
+
+    const cMeanP7 = Math.pow(cMeanP, 7);
+    const rt = -2 * Math.sqrt(cMeanP7 / (cMeanP7 + Math.pow(25, 7)))
+        * Math.sin(toRadians(60 * Math.exp(-Math.pow((hMean - 275) / 25, 2))));
+
+    return Math.sqrt(
+        Math.pow(dLp / sl, 2) +
+        Math.pow(dCp / sc, 2) +
+        Math.pow(dHp / sh, 2) +
+        rt * (dCp / sc) * (dHp / sh)
+    );
+}
+
+/**
+ * Deterministic farthest-point seeding (weighted k-means++ without randomness),
+ * so the palette does not depend on the order frames were sampled in.
+ */
+function seedCentroids(points, k) {
+    let l = 0, a = 0, b = 0, total = 0;
+    points.forEach(p => {
+        l += p.lab.l * p.weight;
+        a += p.lab.a * p.weight;
+        b += p.lab.b * p.weight;
+        total += p.weight;
+    });
+
+    const centroids = [{ l: l / total, a: a / total, b: b / total }];
+    const nearest = points.map(p => deltaE2000(p.lab, centroids[0]));
+
+    while (centroids.length < k) {
+        let best = -1;
+        let bestScore = 0;
+        points.forEach((p, i) => {
+            const score = p.weight * nearest[i] * nearest[i];
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        });
+        if (best === -1) break; // Fewer distinct colors than k
+
+        const centroid = { ...points[best].lab };
+        centroids.push(centroid);
+        points.forEach((p, i) => {
+            nearest[i] = Math.min(nearest[i], deltaE2000(p.lab, centroid));
+        });
+    }
+
+    return centroids;
+}
+
+/**
+ * Extracts a weighted palette of up to `size` colors using k-means in CIELAB with CIEDE2000 distance.
+ * Colors may carry a `duration`, which is used as their weight (e.g. per-shot slices).
+ * Returns entries of { r, g, b, weight } sorted by weight (descending), weights summing to 1.
+ */
+export function extractPalette(colors, { size = 6, maxIterations = 20 } = {}) {
+    if (!colors || colors.length === 0) return [];
+
+    const points = colors.map(c => ({
+        lab: rgbToLab(c),
+        weight: c.duration > 0 ? c.duration : 1
+    }));
+
+    // Sort by Lab so ties resolve the same way regardless of input order
+    points.sort((p, q) => (p.lab.l - q.lab.l) || (p.lab.a - q.lab.a) || (p.lab.b - q.lab.b));
+
+    let centroids = seedCentroids(points, Math.max(1, size));
+    const assignments = new Array(points.length).fill(-1);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = false;
+
+        points.forEach((p, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centroids.forEach((centroid, j) => {
+                const distance = deltaE2000(p.lab, centroid);
+                if (distance < bestDistance) {
+                    best = j;
+                    bestDistance = distance;
+                }
+            });
+            if (assignments[i] !== best) {
+                assignments[i] = best;
+                changed = true;
+            }
+        });
+
+        if (!changed) break;
+
+        centroids = centroids.map((centroid, j) => {
+            let l = 0, a = 0, b = 0, total = 0;
+            points.forEach((p, i) => {
+                if (assignments[i] !== j) return;
+                l += p.lab.l * p.weight;
+                a += p.lab.a * p.weight;
+                b += p.lab.b * p.weight;
+                total += p.weight;
+            });
+            return total > 0 ? { l: l / total, a: a / total, b: b / total } : centroid;
+        });
+    }
+
+    const weights = new Array(centroids.length).fill(0);
+    let totalWeight = 0;
+    points.forEach((p, i) => {
+        weights[assignments[i]] += p.weight;
+        totalWeight += p.weight;
+    });
+
+    return centroids
+        .map((centroid, j) => ({ ...labToRgb(centroid), weight: weights[j] / totalWeight }))
+        .filter(entry => entry.weight > 0)
+        .sort((p, q) => q.weight - p.weight);
+}
@@ -0,0 +1,63 @@
+/**
+ * Processing Control
+ * Cancellation goes through a standard AbortSignal; pausing through a
+ * PauseController, which the sampling paths check between frames (FFmpeg: between batches).
+ */
+
+/**
+ * Pause/resume switch for a running sampleVideo call.
+ * Dispatches 'pause' and 'resume' events so the worker path can forward them.
+ */
+export class PauseController extends EventTarget {
+    constructor() {
+        super();
+        this.paused = false;
+        this.waiters = [];
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.dispatchEvent(new Event('pause'));
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.waiters.forEach(resolve => resolve());
+        this.waiters = [];
+        this.dispatchEvent(new Event('resume'));
+    }
+
+    /**
+     * Resolves immediately unless paused, otherwise once resumed.
+     */
+    wait() {
+        if (!this.paused) return Promise.resolve();
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+}
+
+/**
+ * Waits out a pause, then throws if the signal was aborted meanwhile (or before).
+ * Either argument may be missing.
+ */
+export async function checkpoint(signal, pause) {
+    signal?.throwIfAborted();
+    if (pause?.paused) {
+        let onAbort;
+        try {
+            await Promise.race([
+                pause.wait(),
+                new Promise(resolve => {
+                    onAbort = resolve;
+                    signal?.addEventListener('abort', onAbort, { once: true });
+                })
+            ]);
+        } finally {
+            // A resume wins the race without firing the listener, so it would stay on the signal
+            signal?.removeEventListener('abort', onAbort);
+        }
+        signal?.throwIfAborted();
+    }
+}
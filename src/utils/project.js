@@ -0,0 +1,115 @@
+/**
+ * Project Files
+ * A `.palettecut.json` project stores a finished analysis (slices, settings,
+ * title and a fingerprint of the source video) so it can be reopened or
+ * shared without the video.
+ */
+
+import { ProcessingError, ERROR_CODES } from './errors.js';
+
+export const PROJECT_EXTENSION = '.palettecut.json';
+export const PROJECT_FORMAT = 'palettecut';
+export const PROJECT_VERSION = 1;
+
+// The fingerprint hashes the file size plus its first and last MiB: reading a
+// multi-GB film in full would take longer than analyzing it
+const FINGERPRINT_ALGORITHM = 'sha256-size-head-tail-1MiB';
+const FINGERPRINT_SPAN = 1024 * 1024;
+
+/**
+ * Whether a dropped or picked file is a project rather than a video.
+ */
+export function isProjectFile(file) {
+    return file.name.toLowerCase().endsWith(PROJECT_EXTENSION);
+}
+
+/**
+ * Identifies a source video: { name, size, hash: { algorithm, value } }.
+ */
+export async function fingerprintFile(file) {
+    const head = file.slice(0, FINGERPRINT_SPAN);
+    const tail = file.slice(Math.max(FINGERPRINT_SPAN, file.size - FINGERPRINT_SPAN));
+    const data = await new Blob([String(file.size), head, tail]).arrayBuffer();
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+
+    return {
+        name: file.name,
+        size: file.size,
+        hash: {
+            algorithm: FINGERPRINT_ALGORITHM,
+            value: Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('')
+        }
+    };
+}
+
+/**
+ * Builds a project document.
+ * @param {object} project
+ * @param {string} project.title - film title as edited in FilmInfo
+ * @param {object} project.source - from fingerprintFile, plus duration/videoWidth/videoHeight/crop/colorSpace when known
+ * @param {object} project.settings - sampling options the slices were produced with, including
+ *   the range sampled ({ start, end } in seconds, or null for the whole film) and videoStream
+ * @param {{ r, g, b, start, duration, frameTime? }[]} project.colors - ribbon slices
+ */
+export function createProject({ title, source, settings, colors }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        createdAt: new Date().toISOString(),
+        title,
+        source,
+        settings,
+        slices: colors.map(({ r, g, b, start, duration, frameTime }) => ({ start, duration, frameTime, r, g, b }))
+    };
+}
+
+export function serializeProject(project) {
+    return new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+}
+
+const invalid = (message) => new ProcessingError(ERROR_CODES.INVALID_PROJECT, message);
+
+const isChannel = (value) => Number.isInteger(value) && value >= 0 && value <= 255;
+
+/**
+ * Reads and validates a project file. Resolves with { title, source, settings, colors }.
+ * Throws a ProcessingError with code INVALID_PROJECT if the file can't be used.
+ */
+export async function readProject(file) {
+    let project;
+    try {
+        project = JSON.parse(await file.text());
+    } catch (err) {
+        throw new ProcessingError(ERROR_CODES.INVALID_PROJECT, "This project file is not valid JSON.", { cause: err });
+    }
+
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw invalid("This file is not a Palette Cut project.");
+    }
+    if (!Number.isInteger(project.version) || project.version > PROJECT_VERSION) {
+        throw invalid(`This project was saved by a newer version of Palette Cut (format ${project.version}).`);
+    }
+
+    const slices = Array.isArray(project.slices) ? project.slices : [];
+    const valid = slices.length > 0 && slices.every((s) =>
+        isChannel(s.r) && isChannel(s.g) && isChannel(s.b)
+        && Number.isFinite(s.start) && Number.isFinite(s.duration) && s.duration >= 0);
+    if (!valid) throw invalid("This project has no usable color data.");
+
+    return {
+        title: typeof project.title === 'string' ? project.title : '',
+        source: project.source || { name: file.name.slice(0, -PROJECT_EXTENSION.length) },
+        settings: project.settings || {},
+        colors: slices.map(({ r, g, b, start, duration, frameTime }) => ({
+            r, g, b, start, duration,
+            frameTime: Number.isFinite(frameTime) ? frameTime : start
+        }))
+    };
+}
+
+/**
+ * Download name for a project, e.g. "Heat.palettecut.json".
+ */
+export function projectFileName(title) {
+    return `${(title || 'Untitled Film').replace(/[\\/:*?"<>|]+/g, '_')}${PROJECT_EXTENSION}`;
+}
@@ -0,0 +1,85 @@
+/**
+ * Sampling Options
+ * Defaults and helpers shared by the main thread and the decoding worker.
+ * Must stay free of DOM and FFmpeg imports.
+ */
+
+// Configuration
+export const DEFAULT_OPTIONS = {
+    mode: 'count',          // 'count' = fixed frameCount, 'perMinute' = framesPerMinute * runtime
+    frameCount: 240,        // Total frames to sample in 'count' mode
+    framesPerMinute: 20,    // Sampling density in 'perMinute' mode
+    sampleSize: 32,         // Width and height of each downsampled frame
+    segmentation: 'interval', // 'interval' = one slice per sample, 'shots' = one slice per detected shot
+    sceneThreshold: 0.35,   // Histogram difference (0-1) treated as a cut
+    reducer: 'mean',        // Per-frame reducer, see REDUCERS in frameReducers.js
+    ignoreExtremes: false,  // Skip near-black/near-white (letterbox) pixels when reducing
+    bands: 0,               // Main colors kept per slice for the multi-band layout, 0 = none
+    crop: 'auto',           // 'auto' = detect bars, 'none' = full frame, or a normalized { x, y, width, height }
+    range: null,            // { start, end } in seconds to sample only part of the film, null = all of it
+    videoStream: 0,         // Which of the file's video streams to sample; only FFmpeg can decode others than the first
+    paletteSize: 6          // Number of colors extracted by analyzeColors
+};
+
+export const MIN_FRAMES = 10;
+export const MAX_FRAMES = 5000;
+
+/**
+ * Merges user options over the defaults and clamps them to sane ranges.
+ */
+export function normalizeOptions(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    settings.sampleSize = Math.max(1, Math.round(settings.sampleSize) || DEFAULT_OPTIONS.sampleSize);
+    return settings;
+}
+
+/**
+ * Number of frames to sample for a film of the given duration (seconds).
+ */
+export function resolveFrameCount(duration, options) {
+    const count = options.mode === 'perMinute'
+        ? (duration / 60) * options.framesPerMinute
+        : options.frameCount;
+    return Math.min(MAX_FRAMES, Math.max(MIN_FRAMES, Math.round(count) || MIN_FRAMES));
+}
+
+/**
+ * The span to sample in seconds: `range` clamped to the film, or the whole film.
+ */
+export function resolveRange(duration, range) {
+    if (!range) return { start: 0, end: duration };
+    const start = Math.min(Math.max(0, range.start), duration);
+    const end = Math.min(Math.max(start, range.end), duration);
+    return end > start ? { start, end } : { start: 0, end: duration };
+}
+
+/**
+ * Evenly spaced sample timestamps (seconds) across `range`, kept clear of the very last frame.
+ */
+export function sampleTimes(duration, frameCount, range = { start: 0, end: duration }) {
+    const interval = (range.end - range.start) / frameCount;
+    return Array.from({ length: frameCount }, (_, i) => Math.min(range.start + interval * i, duration - 0.1));
+}
+
+/**
+ * The frame for a sample time nothing could be decoded at. Paths return these in place of
+ * the frame rather than dropping the slot, so every result has one frame per sample time.
+ */
+export const failedFrame = (time) => ({ time, pixels: null, failed: true });
+
+// First pass of coarseToFineOrder: every PREVIEW_STRIDE-th slot (a power of two)
+export const PREVIEW_STRIDE = 16;
+
+/**
+ * Order in which to sample `count` slots so a preview appears early:
+ * every PREVIEW_STRIDE-th slot first, then the midpoints between them, and so on.
+ * E.g. stride 4, count 8 -> [0, 4, 2, 6, 1, 3, 5, 7].
+ */
+export function coarseToFineOrder(count, stride = PREVIEW_STRIDE) {
+    const order = [];
+    for (let i = 0; i < count; i += stride) order.push(i);
+    for (let step = stride / 2; step >= 1; step /= 2) {
+        for (let i = step; i < count; i += step * 2) order.push(i);
+    }
+    return order;
+}
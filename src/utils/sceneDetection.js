@@ -0,0 +1,90 @@
+/**
+ * Scene Detection Utilities
+ * Finds shot boundaries by comparing color histograms of successive samples.
+ */
+
+const HISTOGRAM_BINS = 16; // Bins per channel
+
+/**
+ * Builds a normalized per-channel RGB histogram from a frame's RGBA pixels.
+ * Layout: [r0..r15, g0..g15, b0..b15], each channel summing to 1.
+ */
+export function computeHistogram(data) {
+    const histogram = new Float32Array(HISTOGRAM_BINS * 3);
+    const pixelCount = data.length / 4;
+    const binSize = 256 / HISTOGRAM_BINS;
+
+    for (let i = 0; i < data.length; i += 4) {
+        histogram[Math.floor(data[i] / binSize)]++;
+        histogram[HISTOGRAM_BINS + Math.floor(data[i + 1] / binSize)]++;
+        histogram[HISTOGRAM_BINS * 2 + Math.floor(data[i + 2] / binSize)]++;
+    }
+
+    for (let i = 0; i < histogram.length; i++) {
+        histogram[i] /= pixelCount;
+    }
+
+    return histogram;
+}
+
+/**
+ * Difference between two histograms, from 0 (identical) to 1 (disjoint).
+ */
+export function histogramDistance(h1, h2) {
+    let sum = 0;
+    for (let i = 0; i < h1.length; i++) {
+        sum += Math.abs(h1[i] - h2[i]);
+    }
+    // Each channel contributes at most 2
+    return sum / 6;
+}
+
+/**
+ * Groups time-ordered samples, taken across `range` ({ start, end } in seconds), into shots.
+ * A cut is placed halfway between two samples whose histograms differ by more than `threshold`,
+ * so it's only as precise as the sampling: off by up to half the interval, and shots that fall
+ * between two samples are missed.
+ * Returns one entry per shot: { r, g, b, start, duration, frame, frameTime },
+ * where frame and frameTime are those of the shot's first sample.
+ */
+export function detectShots(samples, range, threshold) {
+    if (!samples || samples.length === 0) return [];
+
+    const shots = [];
+    let members = [samples[0]];
+    let start = range.start;
+
+    const closeShot = (end) => {
+        let r = 0, g = 0, b = 0;
+        members.forEach(({ color }) => {
+            r += color.r;
+            g += color.g;
+            b += color.b;
+        });
+        shots.push({
+            r: Math.round(r / members.length),
+            g: Math.round(g / members.length),
+            b: Math.round(b / members.length),
+            start,
+            duration: end - start,
+            frame: members[0].frame,
+            frameTime: members[0].frameTime
+        });
+    };
+
+    for (let i = 1; i < samples.length; i++) {
+        const prev = samples[i - 1];
+        const current = samples[i];
+
+        if (histogramDistance(prev.histogram, current.histogram) > threshold) {
+            const cut = (prev.time + current.time) / 2;
+            closeShot(cut);
+            start = cut;
+            members = [];
+        }
+        members.push(current);
+    }
+
+    closeShot(range.end);
+    return shots;
+}
@@ -0,0 +1,103 @@
+/**
+ * Opening and Credits Detection
+ * Finds the black leader / studio logos at the head of a film and the rolling
+ * credits at its tail from the sampled frames, so they can be left out of the ribbon.
+ * Must stay free of DOM imports.
+ */
+
+import { formatTimecode } from '../core/analysis.js';
+
+// A pixel this dark (max channel) counts as black
+const BLACK_LEVEL = 40;
+// Share of black pixels for a frame to count as leader/logo (a logo is a small shape on black)
+const LEADER_BLACK_SHARE = 0.85;
+// Share of black pixels for a frame to count as credits (text takes more room than a logo)
+const CREDITS_BLACK_SHARE = 0.7;
+// Mean saturation (0-1) of the non-black pixels in a credits frame: white or gray text
+const CREDITS_MAX_SATURATION = 0.2;
+// How far into the film the opening, and how far back from the end the credits, may reach
+const MAX_OPENING_SHARE = 0.15;
+const MAX_CREDITS_SHARE = 0.25;
+// Shorter runs are a fade or a dark scene, not an opening or credits
+const MIN_OPENING_SECONDS = 2;
+const MIN_CREDITS_SECONDS = 30;
+// Non-credits frames tolerated inside the credits (a late scene cut in, a colored card)
+const CREDITS_GAP_FRAMES = 2;
+
+/**
+ * Share of black pixels and the mean saturation of the others in one RGBA frame.
+ */
+function frameTone(pixels) {
+    let black = 0;
+    let saturation = 0;
+    let count = 0;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        const max = Math.max(pixels[i], pixels[i + 1], pixels[i + 2]);
+        const min = Math.min(pixels[i], pixels[i + 1], pixels[i + 2]);
+        count++;
+        if (max < BLACK_LEVEL) black++;
+        else saturation += (max - min) / max;
+    }
+
+    return {
+        blackShare: count > 0 ? black / count : 0,
+        saturation: count > black ? saturation / (count - black) : 0
+    };
+}
+
+const isLeader = ({ blackShare }) => blackShare >= LEADER_BLACK_SHARE;
+const isCredits = ({ blackShare, saturation }) => blackShare >= CREDITS_BLACK_SHARE && saturation <= CREDITS_MAX_SATURATION;
+
+/**
+ * Suggests in/out points that leave out the opening leader/logos and the end credits.
+ * @param {{ frames: { time, pixels }[], range: { start, end } }} sampling - as from sampleVideo
+ * @returns {{ start: number, end: number, opening: boolean, credits: boolean } | null}
+ *   start/end in seconds; opening/credits tell which were found. Null if neither was.
+ */
+export function suggestTrim({ frames, range }) {
+    const sampled = frames.filter((frame) => frame?.pixels);
+    if (sampled.length === 0) return null;
+
+    const span = range.end - range.start;
+    const tones = sampled.map(({ time, pixels }) => ({ time, ...frameTone(pixels) }));
+
+    // Opening: the run of leader frames from the first sample
+    let start = range.start;
+    const firstPicture = tones.findIndex((tone) => !isLeader(tone));
+    if (firstPicture > 0) {
+        const end = tones[firstPicture].time;
+        if (end - range.start >= MIN_OPENING_SECONDS && end - range.start <= span * MAX_OPENING_SHARE) start = end;
+    }
+
+    // Credits: walk back from the last sample while frames look like credits, allowing short gaps
+    let end = range.end;
+    let creditsFrom = -1;
+    let gap = 0;
+    for (let i = tones.length - 1; i >= 0 && range.end - tones[i].time <= span * MAX_CREDITS_SHARE; i--) {
+        if (isCredits(tones[i])) {
+            creditsFrom = i;
+            gap = 0;
+        } else if (++gap > CREDITS_GAP_FRAMES || creditsFrom === -1) {
+            break;
+        }
+    }
+    if (creditsFrom !== -1 && range.end - tones[creditsFrom].time >= MIN_CREDITS_SECONDS) {
+        end = tones[creditsFrom].time;
+    }
+
+    const opening = start > range.start;
+    const credits = end < range.end;
+    return opening || credits ? { start, end, opening, credits } : null;
+}
+
+/**
+ * What suggestTrim found, as one line for the UI.
+ */
+export function describeTrim(trim) {
+    if (!trim) return 'No opening leader or end credits found';
+    return [
+        trim.opening && `Opening until ${formatTimecode(trim.start)}`,
+        trim.credits && `credits from ${formatTimecode(trim.end)}`
+    ].filter(Boolean).join(' · ');
+}
@@ -1,302 +1,580 @@
 /**
  * Video Processing Utilities
- * Handles loading video, extracting frames, and analyzing colors.
- * Supports native codecs + MKV via FFmpeg.wasm
+ * Handles loading video and extracting frames in the browser.
+ * Supports native codecs + MKV via FFmpeg.wasm. The color analysis lives in
+ * core/analysis.js and is re-exported here.
  */
 
-import { FFmpeg } from '@ffmpeg/ffmpeg';
-import { fetchFile } from '@ffmpeg/util';
-
-// Configuration
-const FRAME_COUNT = 240; // Total frames to sample
-const SAMPLE_WIDTH = 32;
-const SAMPLE_HEIGHT = 32;
+import { FFmpeg, FFFSType } from '@ffmpeg/ffmpeg';
+// Bundled by Vite and served from our own origin, so FFmpeg works offline and nothing is fetched from a CDN
+import coreURL from '@ffmpeg/core?url';
+import wasmURL from '@ffmpeg/core/wasm?url';
+import { reduceFrame } from './frameReducers.js';
+import { resolveCrop, detectionTimes, DETECTION_WIDTH, DETECTION_HEIGHT } from './letterbox.js';
+import { PREVIEW_STRIDE, normalizeOptions, resolveFrameCount, resolveRange, sampleTimes, coarseToFineOrder, failedFrame } from './sampling.js';
+import { canUseWorker, processVideoWorker } from './workerSampler.js';
+import { checkpoint } from './processingControl.js';
+import { ProcessingError, ERROR_CODES, isAbortError } from './errors.js';
+import { parseColorInfo, needsToneMapping, rawFrameFormat } from './colorManagement.js';
+import {
+    UNKNOWN_DURATION_FPS,
+    UNKNOWN_DURATION_DETECTION_WINDOW,
+    cropFilter,
+    grabFrame,
+    extractFrames,
+    extractUntilEnd,
+    framesAtTimes
+} from './ffmpegSampling.js';
+import { buildSlices } from '../core/analysis.js';
+
+export { DEFAULT_OPTIONS, MIN_FRAMES, MAX_FRAMES, normalizeOptions, resolveFrameCount } from './sampling.js';
+export {
+    analyzeColors,
+    rgbToCss,
+    rgbToHex,
+    formatTimecode,
+    parseTimecode,
+    buildSlices,
+    buildPreviewSlices,
+    sliceRange
+} from '../core/analysis.js';
 
 // Singleton FFmpeg instance
 let ffmpeg = null;
 
 /**
- * Calculates Euclidean distance between two colors
+ * Passes one freshly sampled frame to the onSample callback as { index, count, time, color }.
+ * Failed frames aren't passed on; the preview fills their slots from the neighbors.
  */
-function colorDistance(c1, c2) {
-    return Math.sqrt(
-        Math.pow(c1.r - c2.r, 2) +
-        Math.pow(c1.g - c2.g, 2) +
-        Math.pow(c1.b - c2.b, 2)
-    );
+function reportSample(onSample, settings, index, count, { time, pixels }) {
+    if (pixels) onSample?.({ index, count, time, color: reduceFrame(pixels, settings) });
 }
 
 /**
- * Analyzes the color palette to find dominant and least used colors.
+ * Decodes the video and returns its downsampled frames:
+ * { frames: [{ time, frameTime?, pixels, failed? }], duration, range, sampleSize, crop, videoWidth, videoHeight, colorSpace },
+ * where range is the { start, end } span sampled (see options.range).
+ * Every path samples the same times (see sampleTimes) and returns exactly one frame per
+ * time; a frame that couldn't be decoded has `failed: true` and null pixels (see failedFrame).
+ * Pixels are always sRGB; colorSpace records the source's { range, matrix, primaries, transfer }
+ * (null where unknown) and how it got there: conversion is 'none', 'tone-map' (FFmpeg, see
+ * colorManagement.js) or 'browser' (drawn into an sRGB canvas). The worker leaves it null when
+ * the decoder reports nothing.
+ * frameTime is set when the decoded frame isn't exactly at `time`: the worker takes the first
+ * frame at or after it, the unknown-duration FFmpeg fallback the one on screen there.
+ * The FFmpeg path also returns videoStreams, the file's video streams (see probeFFmpeg).
+ * Tries the WebCodecs worker first, then the native video element, then FFmpeg.
+ * onProgress(percent, stage?) - stage is 'loading-decoder' while FFmpeg loads, 'decoding' after.
+ * options.signal (AbortSignal) cancels, rejecting with an AbortError;
+ * options.pause (PauseController) suspends sampling while keeping the frames decoded so far.
+ * options.onSample({ index, count, time, color }) receives each color as it is sampled,
+ * coarse-to-fine (see coarseToFineOrder), for a live preview.
  */
-export function analyzeColors(colors) {
-    if (!colors || colors.length === 0) return null;
-
-    // 1. Calculate overall average
-    let totalR = 0, totalG = 0, totalB = 0;
-    colors.forEach(c => {
-        totalR += c.r;
-        totalG += c.g;
-        totalB += c.b;
-    });
-    const average = {
-        r: Math.round(totalR / colors.length),
-        g: Math.round(totalG / colors.length),
-        b: Math.round(totalB / colors.length)
-    };
-
-    // 2. Quantize and count frequencies
-    const clusters = [];
-    const THRESHOLD = 30;
-
-    colors.forEach(color => {
-        let found = false;
-        for (let cluster of clusters) {
-            if (colorDistance(color, cluster.center) < THRESHOLD) {
-                cluster.count++;
-                cluster.center.r = (cluster.center.r * (cluster.count - 1) + color.r) / cluster.count;
-                cluster.center.g = (cluster.center.g * (cluster.count - 1) + color.g) / cluster.count;
-                cluster.center.b = (cluster.center.b * (cluster.count - 1) + color.b) / cluster.count;
-                found = true;
-                break;
-            }
+export async function sampleVideo(videoFile, onProgress, options = {}) {
+    const { signal, pause, onSample, ...rest } = options;
+    const settings = normalizeOptions(rest);
+    const control = { signal, pause, onSample };
+
+    // The worker and the video element can only decode a file's first video stream
+    if (settings.videoStream > 0) {
+        return processVideoFFmpeg(videoFile, onProgress, settings, control);
+    }
+
+    if (canUseWorker()) {
+        try {
+            return await processVideoWorker(videoFile, onProgress, settings, control);
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.warn("Worker processing failed. Falling back to the video element...", err);
+            onProgress(0);
         }
-        if (!found) {
-            clusters.push({ center: { ...color }, count: 1 });
+    }
+
+    try {
+        return await processVideoNative(videoFile, onProgress, settings, control);
+    } catch (err) {
+        if (!isAbortError(err) && err.message && (err.message.includes("supported") || err.message.includes("video duration") || err.message.includes("format"))) {
+            console.warn("Native processing failed. Falling back to FFmpeg...", err);
+            return await processVideoFFmpeg(videoFile, onProgress, settings, control);
         }
-    });
+        throw err;
+    }
+}
 
-    clusters.sort((a, b) => b.count - a.count);
+/**
+ * Main entry point for video processing.
+ * Samples the video and reduces it to ribbon slices in one go.
+ */
+export async function processVideo(videoFile, onProgress, options = {}) {
+    const sampling = await sampleVideo(videoFile, onProgress, options);
+    return buildSlices(sampling, options);
+}
 
-    const dominant = clusters[0].center;
-    const least = clusters[clusters.length - 1].center;
+// How long to wait for the end-of-file seek used to discover an unknown duration
+const NATIVE_DURATION_TIMEOUT = 10000;
 
-    return {
-        average,
-        dominant: { r: Math.round(dominant.r), g: Math.round(dominant.g), b: Math.round(dominant.b) },
-        least: { r: Math.round(least.r), g: Math.round(least.g), b: Math.round(least.b) }
-    };
+/**
+ * Seeks the video element and resolves once the frame is ready to draw.
+ */
+function seekTo(video, time) {
+    return new Promise((resolve) => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.currentTime = time;
+    });
 }
 
-function getAverageColor(imageData) {
-    const data = imageData.data;
-    let r = 0, g = 0, b = 0;
-    const pixelCount = data.length / 4;
-
-    for (let i = 0; i < data.length; i += 4) {
-        r += data[i];
-        g += data[i + 1];
-        b += data[i + 2];
+/**
+ * Grabs a few early frames at detection size for letterbox detection.
+ */
+async function grabDetectionFramesNative(video, duration) {
+    const canvas = document.createElement('canvas');
+    canvas.width = DETECTION_WIDTH;
+    canvas.height = DETECTION_HEIGHT;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true, colorSpace: 'srgb' });
+    const frames = [];
+
+    for (const time of detectionTimes(duration)) {
+        await seekTo(video, time);
+        ctx.drawImage(video, 0, 0, DETECTION_WIDTH, DETECTION_HEIGHT);
+        try {
+            const { data } = ctx.getImageData(0, 0, DETECTION_WIDTH, DETECTION_HEIGHT);
+            frames.push({ pixels: data, width: DETECTION_WIDTH, height: DETECTION_HEIGHT });
+        } catch {
+            // Unreadable frame, skip it
+        }
     }
 
-    return {
-        r: Math.round(r / pixelCount),
-        g: Math.round(g / pixelCount),
-        b: Math.round(b / pixelCount)
-    };
+    return frames;
 }
 
-export const rgbToCss = ({ r, g, b }) => `rgb(${r}, ${g}, ${b})`;
-
-export const rgbToHex = ({ r, g, b }) => {
-    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
-};
-
 /**
- * Main entry point for video processing.
- * Tries native first, falls back to FFmpeg.
+ * Duration of a video element. Files without a duration in their header (e.g. MediaRecorder
+ * WebM) report Infinity until the end has been seen, so seek far past the end first.
+ * Returns 0 if it still can't be determined.
  */
-export async function processVideo(videoFile, onProgress) {
-    try {
-        console.log("Attempting native processing...");
-        return await processVideoNative(videoFile, onProgress);
-    } catch (err) {
-        if (err.message && (err.message.includes("supported") || err.message.includes("video duration") || err.message.includes("format"))) {
-            console.warn("Native processing failed. Falling back to FFmpeg...", err);
-            return await processVideoFFmpeg(videoFile, onProgress);
-        }
-        throw err;
+async function resolveNativeDuration(video) {
+    if (isFinite(video.duration) && video.duration > 0) return video.duration;
+    if (video.duration !== Infinity) return 0;
+
+    await Promise.race([
+        seekTo(video, Number.MAX_SAFE_INTEGER),
+        new Promise(resolve => setTimeout(resolve, NATIVE_DURATION_TIMEOUT))
+    ]);
+
+    let duration = video.duration;
+    if (!isFinite(duration) && video.seekable.length > 0) {
+        duration = video.seekable.end(video.seekable.length - 1);
     }
+
+    await seekTo(video, 0);
+    return isFinite(duration) && duration > 0 ? duration : 0;
 }
 
 /**
  * Native video element processing
  */
-async function processVideoNative(videoFile, onProgress) {
+async function processVideoNative(videoFile, onProgress, settings, { signal, pause, onSample } = {}) {
+    const { sampleSize } = settings;
+    signal?.throwIfAborted();
+
     return new Promise((resolve, reject) => {
         const video = document.createElement('video');
         const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const ctx = canvas.getContext('2d', { willReadFrequently: true, colorSpace: 'srgb' });
 
         video.src = URL.createObjectURL(videoFile);
         video.muted = true;
         video.playsInline = true;
         video.crossOrigin = "anonymous";
 
-        const cleanup = () => URL.revokeObjectURL(video.src);
+        const cleanup = () => {
+            URL.revokeObjectURL(video.src);
+            signal?.removeEventListener('abort', onAbort);
+        };
 
-        video.onerror = (e) => {
+        const onAbort = () => {
+            video.onseeked = null;
+            cleanup();
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        video.onerror = () => {
             cleanup();
             // Force fallback
             reject(new Error("Format not supported"));
         };
 
-        video.onloadedmetadata = async () => {
-            canvas.width = SAMPLE_WIDTH;
-            canvas.height = SAMPLE_HEIGHT;
+        const start = async () => {
+            canvas.width = sampleSize;
+            canvas.height = sampleSize;
 
-            const duration = video.duration;
-            if (!duration || duration === Infinity) {
-                cleanup();
-                reject(new Error("Could not determine video duration"));
-                return;
-            }
+            const duration = await resolveNativeDuration(video);
+            if (!duration) throw new Error("Could not determine video duration");
 
-            const colors = [];
-            const interval = duration / FRAME_COUNT;
-            let currentFrame = 0;
+            const crop = await resolveCrop(settings.crop, () => grabDetectionFramesNative(video, duration));
+            const sx = crop.x * video.videoWidth;
+            const sy = crop.y * video.videoHeight;
+            const sw = crop.width * video.videoWidth;
+            const sh = crop.height * video.videoHeight;
+
+            const range = resolveRange(duration, settings.range);
+            const frameCount = resolveFrameCount(range.end - range.start, settings);
+            const times = sampleTimes(duration, frameCount, range);
+            const order = coarseToFineOrder(frameCount);
+            const frames = new Array(frameCount);
+            let step = 0;
 
             const processFrame = async () => {
-                if (currentFrame >= FRAME_COUNT) {
+                try {
+                    await checkpoint(signal, pause);
+                } catch {
+                    return; // Aborted, already rejected by onAbort
+                }
+
+                if (step >= frameCount) {
                     cleanup();
-                    resolve(colors);
+                    if (frames.every((frame) => frame.failed)) {
+                        // Force fallback
+                        reject(new Error("Format not supported: no frame could be read"));
+                        return;
+                    }
+                    resolve({
+                        frames,
+                        duration,
+                        range,
+                        sampleSize,
+                        crop,
+                        videoWidth: video.videoWidth,
+                        videoHeight: video.videoHeight,
+                        // The element doesn't expose the source's color description; the
+                        // browser has already converted it for the sRGB canvas
+                        colorSpace: { range: null, matrix: null, primaries: null, transfer: null, conversion: 'browser' }
+                    });
                     return;
                 }
 
-                const seekTime = Math.min(interval * currentFrame, duration - 0.1);
-                video.currentTime = seekTime;
+                video.currentTime = times[order[step]];
             };
 
             video.onseeked = () => {
-                ctx.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+                const index = order[step];
+                ctx.drawImage(video, sx, sy, sw, sh, 0, 0, sampleSize, sampleSize);
                 try {
-                    const imageData = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
-                    colors.push(getAverageColor(imageData));
-                } catch (e) {
-                    colors.push({ r: 0, g: 0, b: 0 });
+                    const imageData = ctx.getImageData(0, 0, sampleSize, sampleSize);
+                    frames[index] = { time: times[index], pixels: imageData.data };
+                } catch {
+                    frames[index] = failedFrame(times[index]);
                 }
+                reportSample(onSample, settings, index, frameCount, frames[index]);
 
-                currentFrame++;
-                onProgress(Math.round((currentFrame / FRAME_COUNT) * 100));
+                step++;
+                onProgress(Math.round((step / frameCount) * 100));
                 setTimeout(processFrame, 0);
             };
 
             processFrame();
         };
+
+        video.onloadedmetadata = () => {
+            // Anything the setup throws must settle the promise, and fall back like the errors above
+            start().catch((err) => {
+                cleanup();
+                reject(isAbortError(err) || err.message?.includes("video duration") ? err : new Error(`Format not supported: ${err.message}`, { cause: err }));
+            });
+        };
     });
 }
 
+// Without a duration up front, progress can only creep towards 90%: it's halfway there after this many seconds of video
+const UNKNOWN_DURATION_HALF_PROGRESS = 3600;
+
+// WORKERFS mount point: the File is read lazily by the FFmpeg worker instead of copied into wasm memory
+const INPUT_DIR = '/input';
+const RAW_OUTPUT = 'frames.raw';
+
 /**
- * FFmpeg.wasm processing
+ * Runs FFmpeg with a single rawvideo output and returns its bytes (the `exec` of ffmpegSampling.js).
+ * ffmpeg.wasm has no stdout pipe, so one raw file stands in for it: no per-frame
+ * image encoding, and its size is bounded by frame count x sample size.
  */
-async function processVideoFFmpeg(videoFile, onProgress) {
-    onProgress(1); // Started
-
-    if (!ffmpeg) {
-        ffmpeg = new FFmpeg();
+async function execRawVideo(args) {
+    await ffmpeg.exec([...args, RAW_OUTPUT]);
+    try {
+        return await ffmpeg.readFile(RAW_OUTPUT);
+    } finally {
+        await ffmpeg.deleteFile(RAW_OUTPUT).catch(() => {});
     }
+}
 
-    if (!ffmpeg.loaded) {
-        console.log("Loading FFmpeg...");
-        // Just usage default CDN
-        await ffmpeg.load();
-        console.log("FFmpeg loaded successfully.");
-    }
+/**
+ * Extracts a few early frames at detection size through FFmpeg for letterbox detection.
+ */
+async function grabDetectionFramesFFmpeg(inputName, duration, source) {
+    const frames = [];
 
-    // File size check: > 1GB might be dangerous
-    if (videoFile.size > 1024 * 1024 * 1024) {
-        if (!confirm("This file is large (>1GB) and might crash your browser memory. Continue anyway?")) {
-            throw new Error("Processing cancelled by user due to file size.");
+    for (const time of detectionTimes(duration)) {
+        const pixels = await grabFrame(execRawVideo, inputName, time, { width: DETECTION_WIDTH, height: DETECTION_HEIGHT }, source);
+        if (pixels) {
+            frames.push({ pixels, width: DETECTION_WIDTH, height: DETECTION_HEIGHT });
         }
     }
 
-    const inputName = 'input.' + (videoFile.name.split('.').pop() || 'mkv');
-    console.log("Writing file to memory...", inputName);
-    await ffmpeg.writeFile(inputName, await fetchFile(videoFile));
+    return frames;
+}
+
+/**
+ * Runs an FFmpeg command and feeds every log line to `onLine`.
+ * Non-zero exit codes are expected here (e.g. `-i` without an output).
+ */
+async function execWithLog(args, onLine) {
+    const handler = ({ message }) => onLine(message);
+    ffmpeg.on('log', handler);
+    try {
+        await ffmpeg.exec(args);
+    } finally {
+        ffmpeg.off('log', handler);
+    }
+}
+
+const timecodeToSeconds = (hours, minutes, seconds) =>
+    parseFloat(hours) * 3600 + parseFloat(minutes) * 60 + parseFloat(seconds);
 
-    // 1. Probe for duration
+/**
+ * Reads duration and video streams from FFmpeg's input summary.
+ * Streams are listed in `-map 0:v:N` order as { index, codec, width, height, attachedPic, color };
+ * attachedPic marks cover art, which FFmpeg counts as a video stream too, and color is the
+ * stream's color description (see parseColorInfo).
+ * Falls back to per-stream DURATION tags (written by mkvmerge and others) when the
+ * container-level Duration is N/A. Duration is 0 when neither is present.
+ */
+async function probeFFmpeg(inputName) {
     let duration = 0;
-    const logHandler = ({ message }) => {
+    let tagDuration = 0;
+    const videoStreams = [];
+
+    await execWithLog(['-i', inputName], (message) => {
+        // Parse Stream #0:0(eng): Video: h264 (High) ..., 1920x1080
+        const stream = message.match(/Stream #\d+:\d+.*?: Video: (\w+).*?, (\d{2,5})x(\d{2,5})/);
+        if (stream) {
+            videoStreams.push({
+                index: videoStreams.length,
+                codec: stream[1],
+                width: parseInt(stream[2], 10),
+                height: parseInt(stream[3], 10),
+                attachedPic: message.includes('(attached pic)'),
+                color: parseColorInfo(message)
+            });
+        }
+
         // Parse Duration: 00:00:00.00
-        const match = message.match(/Duration: (\d{2}):(\d{2}):(\d{2}\.\d{2})/);
+        const match = message.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+        if (match) {
+            duration = timecodeToSeconds(match[1], match[2], match[3]);
+        }
+
+        // Parse stream metadata, e.g. "DURATION        : 01:52:03.125000000"
+        const tag = message.match(/^\s*DURATION\s*: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+        if (tag) {
+            tagDuration = Math.max(tagDuration, timecodeToSeconds(tag[1], tag[2], tag[3]));
+        }
+    });
+
+    return { duration: duration || tagDuration, videoStreams };
+}
+
+/**
+ * Measures duration by remuxing the video stream's packets to the null muxer
+ * (no decoding) and reading the last reported timestamp. Returns 0 on failure.
+ */
+async function countPacketsDuration(inputName, videoStream) {
+    let duration = 0;
+
+    await execWithLog(['-i', inputName, '-map', `0:v:${videoStream}`, '-c', 'copy', '-f', 'null', '-'], (message) => {
+        const match = message.match(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
         if (match) {
-            const hours = parseFloat(match[1]);
-            const minutes = parseFloat(match[2]);
-            const seconds = parseFloat(match[3]);
-            duration = hours * 3600 + minutes * 60 + seconds;
+            duration = Math.max(duration, timecodeToSeconds(match[1], match[2], match[3]));
         }
-    };
-
-    ffmpeg.on('log', logHandler);
-    await ffmpeg.exec(['-i', inputName]);
-    ffmpeg.off('log', logHandler);
-
-    if (duration === 0) {
-        // If probe failed, assume default or fail?
-        // Let's guess 2 hours if we really can't find it to avoid crash, but better to fail.
-        // Sometimes duration is not in metadata.
-        console.warn("Could not determine duration from FFmpeg probe.");
-        // try to proceed with a fixed fps guess? No.
-        // We can try to just extract frames at 1fps?
-        // Let's throw.
-        // throw new Error("Could not determine duration.");
-        // Fallback: Just assume standard film length?
-        duration = 7200; // 2 hours
+    });
+
+    return duration;
+}
+
+/**
+ * Loads the self-hosted FFmpeg core once, reporting the 'loading-decoder' stage meanwhile.
+ */
+async function loadFFmpeg(onProgress) {
+    if (ffmpeg && ffmpeg.loaded) return;
+
+    onProgress(1, 'loading-decoder');
+    if (!ffmpeg) {
+        ffmpeg = new FFmpeg();
     }
 
-    console.log("Duration:", duration);
+    try {
+        await ffmpeg.load({ coreURL, wasmURL });
+    } catch (err) {
+        // Drop the half-initialized instance so the next attempt starts clean
+        ffmpeg.terminate();
+        ffmpeg = null;
+        throw new ProcessingError(
+            ERROR_CODES.FFMPEG_LOAD_FAILED,
+            "The FFmpeg decoder needed for this format could not be loaded.",
+            { cause: err }
+        );
+    }
+}
 
-    // 2. Extract Frames
-    // We want FRAME_COUNT frames.
-    // FPS = FRAME_COUNT / Duration.
-    const fps = FRAME_COUNT / duration;
+/**
+ * Mounts the file read-only for FFmpeg and runs fn(inputName), unmounting afterwards.
+ */
+async function withMountedFile(videoFile, fn) {
+    await ffmpeg.createDir(INPUT_DIR);
+    await ffmpeg.mount(FFFSType.WORKERFS, { files: [videoFile] }, INPUT_DIR);
+    try {
+        return await fn(`${INPUT_DIR}/${videoFile.name}`);
+    } finally {
+        await ffmpeg.unmount(INPUT_DIR).catch(() => {});
+        await ffmpeg.deleteDir(INPUT_DIR).catch(() => {});
+    }
+}
 
-    console.log("Extracting with fps:", fps);
-    onProgress(10); // Prep done
+/**
+ * Lists the file's video streams (see probeFFmpeg); `index` is what options.videoStream takes.
+ * Loads FFmpeg first if needed, reporting through onProgress like sampleVideo.
+ */
+export async function probeVideoStreams(videoFile, onProgress = () => {}) {
+    await loadFFmpeg(onProgress);
+    return withMountedFile(videoFile, async (inputName) => (await probeFFmpeg(inputName)).videoStreams);
+}
 
-    // Output filename pattern: out001.png
-    await ffmpeg.exec([
-        '-i', inputName,
-        '-vf', `fps=${fps},scale=${SAMPLE_WIDTH}:${SAMPLE_HEIGHT}`,
-        'out%03d.png'
-    ]);
+/**
+ * FFmpeg.wasm processing. Cancelling terminates FFmpeg mid-command.
+ */
+async function processVideoFFmpeg(videoFile, onProgress, settings, { signal, pause, onSample } = {}) {
+    signal?.throwIfAborted();
 
-    // 3. Read Frames and analyze
-    const colors = [];
-    const canvas = document.createElement('canvas');
-    canvas.width = SAMPLE_WIDTH;
-    canvas.height = SAMPLE_HEIGHT;
-    const ctx = canvas.getContext('2d');
+    // Terminating drops the worker along with its whole MEMFS; the next run loads a fresh one
+    const onAbort = () => ffmpeg?.terminate();
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-    // Attempt to read up to FRAME_COUNT + buffer, or until file not found
-    for (let i = 1; i <= FRAME_COUNT + 10; i++) {
-        const num = i.toString().padStart(3, '0');
-        const fileName = `out${num}.png`;
+    try {
+        return await extractFramesFFmpeg(videoFile, onProgress, settings, { signal, pause, onSample });
+    } catch (err) {
+        signal?.throwIfAborted();
+        throw err;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
 
-        try {
-            const data = await ffmpeg.readFile(fileName);
+/**
+ * Probes, crops and extracts frames with the (loaded) FFmpeg instance.
+ */
+async function extractFramesFFmpeg(videoFile, onProgress, settings, { signal, pause, onSample }) {
+    const { sampleSize, videoStream } = settings;
+    onProgress(1); // Started
+
+    await loadFFmpeg(onProgress);
+    onProgress(1, 'decoding');
+
+    return withMountedFile(videoFile, async (inputName) => {
+        // 1. Probe for duration and the chosen stream's frame size
+        const probe = await probeFFmpeg(inputName);
+        const stream = probe.videoStreams[videoStream];
+        if (!stream && videoStream > 0) {
+            throw new ProcessingError(
+                ERROR_CODES.STREAM_NOT_FOUND,
+                `This file has no video stream ${videoStream}.`
+            );
+        }
+        const { width: videoWidth = 0, height: videoHeight = 0, color = null } = stream || {};
+        const source = { videoStream, output: rawFrameFormat(color) };
+        let duration = probe.duration;
+
+        if (!duration) {
+            console.warn("No duration in container metadata, counting packets...");
+            duration = await countPacketsDuration(inputName, videoStream);
+        }
 
-            // Convert to Blob and then ImageBitmap
-            const blob = new Blob([data.buffer], { type: 'image/png' });
-            const bmp = await createImageBitmap(blob);
+        // A range re-sample only needs to reach the end of the range (an open-ended trim has none)
+        if (!duration && isFinite(settings.range?.end)) duration = settings.range.end;
+
+        // Without any duration, decode at a fixed rate and resample once we know the length
+        const durationKnown = duration > 0;
+
+        // 2. Find the active picture area; crop is normalized so it maps onto iw/ih directly
+        const crop = await resolveCrop(settings.crop, () =>
+            grabDetectionFramesFFmpeg(inputName, durationKnown ? duration : UNKNOWN_DURATION_DETECTION_WINDOW, source));
+        const filter = cropFilter(crop);
+
+        // 3. Extract the frames at the same times as the other paths, in batches so that
+        // pause and cancel take effect between runs. FPS = frameCount / length of the range.
+        let range = resolveRange(duration, settings.range);
+        let frames;
+        onProgress(10); // Prep done
+
+        if (durationKnown) {
+            const frameCount = resolveFrameCount(range.end - range.start, settings);
+            const fps = frameCount / (range.end - range.start);
+            const times = sampleTimes(duration, frameCount, range);
+            const size = { width: sampleSize, height: sampleSize, filter };
+
+            // Batches run front to back, so grab a coarse preview with single-frame seeks first.
+            // These slots are sampled again (and reported again) by the batches.
+            if (onSample) {
+                for (let index = 0; index < frameCount; index += PREVIEW_STRIDE) {
+                    await checkpoint(signal, pause);
+                    const pixels = await grabFrame(execRawVideo, inputName, times[index], size, source);
+                    if (pixels) reportSample(onSample, settings, index, frameCount, { time: times[index], pixels });
+                }
+            }
 
-            ctx.drawImage(bmp, 0, 0);
-            const imageData = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
-            colors.push(getAverageColor(imageData));
+            let done = 0;
+            frames = await extractFrames(execRawVideo, inputName, times, { fps, sampleSize, filter }, source, {
+                beforeBatch: () => checkpoint(signal, pause),
+                onFrame: (index, frame) => {
+                    reportSample(onSample, settings, index, frameCount, frame);
+                    onProgress(Math.round(10 + (++done / frameCount) * 80));
+                }
+            });
+        } else {
+            // Without any duration, decode at a fixed rate from the start of the range until the
+            // video runs out, holding only as many frames as the sample times can need
+            const start = Math.max(0, settings.range?.start ?? 0);
+            const decoded = await extractUntilEnd(execRawVideo, inputName, {
+                start,
+                fps: UNKNOWN_DURATION_FPS,
+                limit: 2 * resolveFrameCount(Infinity, settings),
+                sampleSize,
+                filter
+            }, source, {
+                beforeBatch: () => checkpoint(signal, pause),
+                onFrame: (n, frame) => {
+                    // The preview grows a slot per decoded second, as the length is only known at the end
+                    reportSample(onSample, settings, n, n + 1, frame);
+                    onProgress(Math.round(10 + 80 * (1 - UNKNOWN_DURATION_HALF_PROGRESS / (UNKNOWN_DURATION_HALF_PROGRESS + n / UNKNOWN_DURATION_FPS))));
+                }
+            });
 
-            // Cleanup file from memfs immediately to free memory
-            await ffmpeg.deleteFile(fileName);
+            if (decoded.frames.length === 0) {
+                throw new ProcessingError(
+                    ERROR_CODES.DURATION_UNKNOWN,
+                    "Could not determine how long this video is, and no frames could be decoded."
+                );
+            }
 
-            onProgress(Math.round(10 + (i / FRAME_COUNT) * 80));
-        } catch (e) {
-            // File not found -> done
-            break;
+            // Now the length is known, pick the frames on screen at the usual sample times
+            duration = decoded.end;
+            range = { start, end: decoded.end };
+            const times = sampleTimes(duration, resolveFrameCount(range.end - range.start, settings), range);
+            frames = framesAtTimes(decoded.frames, decoded.fps, times, start);
         }
-    }
 
-    // Cleanup input
-    await ffmpeg.deleteFile(inputName);
+        if (frames.every((frame) => frame.failed)) throw new Error("No frame could be decoded");
 
-    onProgress(100);
-    return colors;
+        onProgress(100);
+        const colorSpace = color && { ...color, conversion: needsToneMapping(color) ? 'tone-map' : 'none' };
+        return { frames, duration, range, sampleSize, crop, videoWidth, videoHeight, colorSpace, videoStreams: probe.videoStreams };
+    });
 }
@@ -0,0 +1,69 @@
+/**
+ * Main-thread side of the decoding worker (see workers/sampler.worker.js).
+ */
+
+import { deserializeError } from './errors.js';
+
+/**
+ * Whether this browser can run the WebCodecs worker pipeline.
+ */
+export function canUseWorker() {
+    return typeof Worker !== 'undefined'
+        && typeof VideoDecoder !== 'undefined'
+        && typeof EncodedVideoChunk !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Samples the video in a worker. Resolves with the same shape as the
+ * native and FFmpeg paths: { frames, duration, sampleSize, crop, videoWidth, videoHeight }.
+ * Aborting `signal` terminates the worker; `pause` is forwarded to it.
+ * `onSample` receives each { index, count, time, color } as the worker produces it.
+ */
+export function processVideoWorker(videoFile, onProgress, settings, { signal, pause, onSample } = {}) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+
+        const worker = new Worker(new URL('../workers/sampler.worker.js', import.meta.url), { type: 'module' });
+        const onPause = () => worker.postMessage({ type: 'pause' });
+        const onResume = () => worker.postMessage({ type: 'resume' });
+
+        const finish = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', onAbort);
+            pause?.removeEventListener('pause', onPause);
+            pause?.removeEventListener('resume', onResume);
+        };
+
+        const onAbort = () => {
+            finish();
+            reject(signal.reason);
+        };
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                onProgress(data.value);
+            } else if (data.type === 'sample') {
+                onSample?.(data.sample);
+            } else if (data.type === 'done') {
+                finish();
+                resolve(data.result);
+            } else if (data.type === 'error') {
+                finish();
+                reject(deserializeError(data));
+            }
+        };
+
+        worker.onerror = (e) => {
+            finish();
+            reject(new Error(e.message || "Worker failed"));
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        pause?.addEventListener('pause', onPause);
+        pause?.addEventListener('resume', onResume);
+
+        worker.postMessage({ type: 'start', file: videoFile, settings });
+        if (pause?.paused) onPause();
+    });
+}
@@ -0,0 +1,37 @@
+/**
+ * Container sniffing for the decoding worker.
+ */
+
+import { demuxMp4 } from './mp4.js';
+import { demuxWebm } from './webm.js';
+
+/**
+ * @typedef {Object} Demuxed
+ * @property {number} duration - Seconds
+ * @property {number} width
+ * @property {number} height
+ * @property {VideoDecoderConfig} decoderConfig
+ * @property {{ time: number }[]} keyframes - Sorted by time (seconds)
+ * @property {(keyframe: object) => AsyncIterable<{ type: 'key' | 'delta', timestamp: number, data: Uint8Array }>} readFrames -
+ *   the video track's frames in decoding order, from `keyframe` to the end of the file, as
+ *   EncodedVideoChunk init objects (timestamps in microseconds)
+ */
+
+/**
+ * Picks a demuxer from the file's magic bytes rather than its extension.
+ * @returns {Promise<Demuxed>}
+ */
+export async function demux(file) {
+    const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+
+    if (head[0] === 0x1A && head[1] === 0x45 && head[2] === 0xDF && head[3] === 0xA3) {
+        return demuxWebm(file);
+    }
+
+    const boxType = String.fromCharCode(...head.subarray(4, 8));
+    if (boxType === 'ftyp' || boxType === 'moov' || boxType === 'mdat' || boxType === 'wide' || boxType === 'free') {
+        return demuxMp4(file);
+    }
+
+    throw new Error("Unsupported container format");
+}
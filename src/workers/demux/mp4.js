@@ -0,0 +1,94 @@
+/**
+ * MP4 / MOV demuxing for the decoding worker, built on mp4box.js.
+ * Only the moov box is parsed; sample payloads are read straight from the File by offset.
+ */
+
+import { createFile, DataStream, Endianness, MP4BoxBuffer } from 'mp4box';
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Serializes the codec configuration box (avcC, hvcC, vpcC, av1C) for VideoDecoder.configure.
+ */
+function getDescription(trak) {
+    for (const entry of trak.mdia.minf.stbl.stsd.entries) {
+        const box = entry.avcC || entry.hvcC || entry.vpcC || entry.av1C;
+        if (box) {
+            const stream = new DataStream(undefined, 0, Endianness.BIG_ENDIAN);
+            box.write(stream);
+            return new Uint8Array(stream.buffer, 8); // Strip the box header
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Feeds the file to mp4box until the movie header is parsed.
+ * mp4box tells us where it wants to read next, so a trailing moov is found without reading mdat.
+ */
+async function readMovieInfo(file) {
+    const mp4 = createFile();
+    let info = null;
+    let error = null;
+    mp4.onReady = (movie) => { info = movie; };
+    mp4.onError = (module, message) => { error = message; };
+
+    let offset = 0;
+    while (!info && !error && offset < file.size) {
+        const buffer = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        const next = mp4.appendBuffer(MP4BoxBuffer.fromArrayBuffer(buffer, offset));
+        offset = next > offset ? next : offset + buffer.byteLength;
+    }
+    mp4.flush();
+
+    if (error || !info) {
+        throw new Error("Could not parse MP4 header" + (error ? `: ${error}` : ''));
+    }
+    return { mp4, info };
+}
+
+/**
+ * @returns {Promise<import('./index.js').Demuxed>}
+ */
+export async function demuxMp4(file) {
+    const { mp4, info } = await readMovieInfo(file);
+    const track = info.videoTracks[0];
+    if (!track) throw new Error("No video track found");
+
+    // Samples are listed in decoding order
+    const trak = mp4.getTrackById(track.id);
+    const { samples } = trak;
+    const timestampOf = (sample) => Math.round((sample.cts * 1e6) / sample.timescale);
+    const keyframes = samples
+        .map((sample, sampleIndex) => ({ sample, sampleIndex }))
+        .filter(({ sample }) => sample.is_sync)
+        .map(({ sample, sampleIndex }) => ({ time: sample.cts / sample.timescale, sampleIndex }))
+        .sort((a, b) => a.time - b.time);
+
+    // Fragmented files keep their sample tables in moof boxes, which we don't index
+    if (keyframes.length === 0) throw new Error("No keyframe index in MP4 (fragmented file?)");
+
+    const duration = track.duration && track.timescale
+        ? track.duration / track.timescale
+        : info.duration / info.timescale;
+
+    return {
+        duration,
+        width: track.video.width,
+        height: track.video.height,
+        decoderConfig: {
+            codec: track.codec,
+            codedWidth: track.video.width,
+            codedHeight: track.video.height,
+            description: getDescription(trak)
+        },
+        keyframes,
+        async *readFrames(keyframe) {
+            for (let i = keyframe.sampleIndex; i < samples.length; i++) {
+                const sample = samples[i];
+                const buffer = await file.slice(sample.offset, sample.offset + sample.size).arrayBuffer();
+                yield { type: sample.is_sync ? 'key' : 'delta', timestamp: timestampOf(sample), data: new Uint8Array(buffer) };
+            }
+        }
+    };
+}
@@ -0,0 +1,592 @@
+/**
+ * WebM / Matroska demuxing for the decoding worker.
+ * A minimal EBML reader: it parses Info, Tracks and Cues (or scans Cluster headers
+ * when there are no Cues) and reads blocks on demand, from a keyframe's cluster onwards.
+ */
+
+const IDS = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    VIDEO: 0xE0,
+    PIXEL_WIDTH: 0xB0,
+    PIXEL_HEIGHT: 0xBA,
+    COLOUR: 0x55B0,
+    MATRIX_COEFFICIENTS: 0x55B1,
+    BITS_PER_CHANNEL: 0x55B2,
+    CHROMA_SUBSAMPLING_HORZ: 0x55B3,
+    CHROMA_SUBSAMPLING_VERT: 0x55B4,
+    RANGE: 0x55B9,
+    TRANSFER_CHARACTERISTICS: 0x55BA,
+    PRIMARIES: 0x55BB,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    CLUSTER: 0x1F43B675,
+    TIMECODE: 0xE7,
+    SIMPLE_BLOCK: 0xA3,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    REFERENCE_BLOCK: 0xFB
+};
+
+const TOP_LEVEL_IDS = new Set([IDS.SEEK_HEAD, IDS.INFO, IDS.TRACKS, IDS.CUES, IDS.CLUSTER]);
+
+const TRACK_TYPE_VIDEO = 1;
+const WINDOW_SIZE = 1024 * 1024;
+const MAX_ELEMENT_SIZE = 32 * 1024 * 1024;
+const UNKNOWN_SIZE = -1;
+
+// Colour values share their numbering with the codec strings (ISO/IEC 23091-4); 2 is "unspecified"
+const COLOUR_UNSPECIFIED = 2;
+const RANGE_FULL = 2;
+
+// VP9 levels by the largest picture size (luma samples) they allow
+const VP9_LEVELS = [
+    [36864, 10], [73728, 11], [122880, 20], [245760, 21], [552960, 30], [983040, 31],
+    [2228224, 41], [8912896, 52], [35651584, 62]
+];
+
+/**
+ * Random access over a File through a cached read window.
+ */
+class WindowedReader {
+    constructor(file) {
+        this.file = file;
+        this.start = 0;
+        this.bytes = new Uint8Array(0);
+    }
+
+    async read(position, length) {
+        const end = Math.min(position + length, this.file.size);
+        if (position < this.start || end > this.start + this.bytes.length) {
+            const windowEnd = Math.min(this.file.size, position + Math.max(length, WINDOW_SIZE));
+            this.bytes = new Uint8Array(await this.file.slice(position, windowEnd).arrayBuffer());
+            this.start = position;
+        }
+        return this.bytes.subarray(position - this.start, end - this.start);
+    }
+}
+
+function hex(value) {
+    return value.toString(16).padStart(2, '0');
+}
+
+const twoDigits = (value) => String(value).padStart(2, '0');
+
+/**
+ * Reads an element ID (marker bits kept) at `pos`.
+ */
+function readId(bytes, pos) {
+    const first = bytes[pos];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 4 && !(first & mask)) {
+        mask >>= 1;
+        length++;
+    }
+    if (length > 4 || pos + length > bytes.length) return null;
+
+    let id = 0;
+    for (let i = 0; i < length; i++) id = id * 256 + bytes[pos + i];
+    return { id, length };
+}
+
+/**
+ * Reads a variable-length integer (marker bit stripped) at `pos`.
+ * All value bits set means "unknown size".
+ */
+function readVint(bytes, pos) {
+    const first = bytes[pos];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+        mask >>= 1;
+        length++;
+    }
+    if (length > 8 || pos + length > bytes.length) return null;
+
+    let value = first & (mask - 1);
+    let allOnes = value === mask - 1;
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[pos + i];
+        if (bytes[pos + i] !== 0xFF) allOnes = false;
+    }
+    return { value: allOnes ? UNKNOWN_SIZE : value, length };
+}
+
+function readHeader(bytes, pos) {
+    const id = readId(bytes, pos);
+    if (!id) return null;
+    const size = readVint(bytes, pos + id.length);
+    if (!size) return null;
+    return { id: id.id, size: size.value, headerLength: id.length + size.length };
+}
+
+function readUint(bytes, pos, size) {
+    let value = 0;
+    for (let i = 0; i < size; i++) value = value * 256 + bytes[pos + i];
+    return value;
+}
+
+function readFloat(bytes, pos, size) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + pos, size);
+    return size === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function readString(bytes, pos, size) {
+    return String.fromCharCode(...bytes.subarray(pos, pos + size)).replace(/\0+$/, '');
+}
+
+/**
+ * Iterates the child elements of an in-memory element body.
+ */
+function* children(bytes, start = 0, end = bytes.length) {
+    let pos = start;
+    while (pos < end) {
+        const header = readHeader(bytes, pos);
+        if (!header) return;
+        const dataStart = pos + header.headerLength;
+        const size = header.size === UNKNOWN_SIZE ? end - dataStart : header.size;
+        yield { id: header.id, dataStart, size };
+        pos = dataStart + size;
+    }
+}
+
+function parseInfo(bytes) {
+    const info = { timecodeScale: 1000000, duration: 0 };
+    for (const el of children(bytes)) {
+        if (el.id === IDS.TIMECODE_SCALE) info.timecodeScale = readUint(bytes, el.dataStart, el.size);
+        if (el.id === IDS.DURATION) info.duration = readFloat(bytes, el.dataStart, el.size);
+    }
+    return info;
+}
+
+/**
+ * The Colour element of a video track: { matrix, primaries, transfer, range, bitsPerChannel,
+ * subsamplingHorz, subsamplingVert }, each undefined when absent.
+ */
+function parseColour(bytes, start, end) {
+    const fields = {
+        [IDS.MATRIX_COEFFICIENTS]: 'matrix',
+        [IDS.PRIMARIES]: 'primaries',
+        [IDS.TRANSFER_CHARACTERISTICS]: 'transfer',
+        [IDS.RANGE]: 'range',
+        [IDS.BITS_PER_CHANNEL]: 'bitsPerChannel',
+        [IDS.CHROMA_SUBSAMPLING_HORZ]: 'subsamplingHorz',
+        [IDS.CHROMA_SUBSAMPLING_VERT]: 'subsamplingVert'
+    };
+    const colour = {};
+    for (const el of children(bytes, start, end)) {
+        if (fields[el.id]) colour[fields[el.id]] = readUint(bytes, el.dataStart, el.size);
+    }
+    return colour;
+}
+
+function parseVideoTrack(bytes) {
+    for (const entry of children(bytes)) {
+        if (entry.id !== IDS.TRACK_ENTRY) continue;
+
+        const track = {};
+        for (const el of children(bytes, entry.dataStart, entry.dataStart + entry.size)) {
+            if (el.id === IDS.TRACK_NUMBER) track.number = readUint(bytes, el.dataStart, el.size);
+            if (el.id === IDS.TRACK_TYPE) track.type = readUint(bytes, el.dataStart, el.size);
+            if (el.id === IDS.CODEC_ID) track.codecId = readString(bytes, el.dataStart, el.size);
+            if (el.id === IDS.CODEC_PRIVATE) track.codecPrivate = bytes.slice(el.dataStart, el.dataStart + el.size);
+            if (el.id === IDS.VIDEO) {
+                for (const v of children(bytes, el.dataStart, el.dataStart + el.size)) {
+                    if (v.id === IDS.PIXEL_WIDTH) track.width = readUint(bytes, v.dataStart, v.size);
+                    if (v.id === IDS.PIXEL_HEIGHT) track.height = readUint(bytes, v.dataStart, v.size);
+                    if (v.id === IDS.COLOUR) track.colour = parseColour(bytes, v.dataStart, v.dataStart + v.size);
+                }
+            }
+        }
+
+        if (track.type === TRACK_TYPE_VIDEO) return track;
+    }
+    return null;
+}
+
+function parseSeekHead(bytes) {
+    const positions = new Map();
+    for (const seek of children(bytes)) {
+        if (seek.id !== IDS.SEEK) continue;
+        let id = 0, position = 0;
+        for (const el of children(bytes, seek.dataStart, seek.dataStart + seek.size)) {
+            if (el.id === IDS.SEEK_ID) id = readUint(bytes, el.dataStart, el.size);
+            if (el.id === IDS.SEEK_POSITION) position = readUint(bytes, el.dataStart, el.size);
+        }
+        positions.set(id, position);
+    }
+    return positions;
+}
+
+function parseCues(bytes, trackNumber) {
+    const cues = [];
+    for (const point of children(bytes)) {
+        if (point.id !== IDS.CUE_POINT) continue;
+        let time = 0;
+        for (const el of children(bytes, point.dataStart, point.dataStart + point.size)) {
+            if (el.id === IDS.CUE_TIME) time = readUint(bytes, el.dataStart, el.size);
+            if (el.id !== IDS.CUE_TRACK_POSITIONS) continue;
+
+            let track = 0, clusterPosition = -1;
+            for (const p of children(bytes, el.dataStart, el.dataStart + el.size)) {
+                if (p.id === IDS.CUE_TRACK) track = readUint(bytes, p.dataStart, p.size);
+                if (p.id === IDS.CUE_CLUSTER_POSITION) clusterPosition = readUint(bytes, p.dataStart, p.size);
+            }
+            if (track === trackNumber && clusterPosition >= 0) {
+                cues.push({ time, clusterPosition });
+            }
+        }
+    }
+    return cues;
+}
+
+/**
+ * Primaries, transfer and matrix from the Colour element when all three are given, else null:
+ * the codec strings either carry all of them or leave them to their defaults.
+ */
+function colourCodes(colour) {
+    const { primaries, transfer, matrix, range } = colour || {};
+    const known = [primaries, transfer, matrix].every((value) => value !== undefined && value !== COLOUR_UNSPECIFIED);
+    return known ? { primaries, transfer, matrix, fullRange: range === RANGE_FULL } : null;
+}
+
+/**
+ * Profile, bit depth and chroma subsampling from a VP9 keyframe's uncompressed header,
+ * or null if `data` doesn't start with one.
+ */
+function parseVp9Header(data) {
+    let bit = 0;
+    const read = (count) => {
+        let value = 0;
+        for (let i = 0; i < count; i++, bit++) {
+            if (bit >> 3 >= data.length) throw new RangeError("VP9 header ends early");
+            value = (value << 1) | ((data[bit >> 3] >> (7 - (bit & 7))) & 1);
+        }
+        return value;
+    };
+
+    try {
+        if (read(2) !== 2) return null; // frame_marker
+        const low = read(1);
+        const profile = (read(1) << 1) | low;
+        if (profile === 3) read(1);
+        if (read(1)) return null; // show_existing_frame
+        if (read(1) !== 0) return null; // frame_type: only keyframes carry the color config
+        read(2); // show_frame, error_resilient_mode
+        if (read(24) !== 0x498342) return null; // frame_sync_code
+
+        const bitDepth = profile >= 2 ? (read(1) ? 12 : 10) : 8;
+        const rgb = read(3) === 7;
+        let subsamplingX = 1;
+        let subsamplingY = 1;
+        if (!rgb) read(1); // color_range
+        if (profile === 1 || profile === 3) {
+            subsamplingX = rgb ? 0 : read(1);
+            subsamplingY = rgb ? 0 : read(1);
+        }
+        return { profile, bitDepth, subsamplingX, subsamplingY };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * vp09.PP.LL.DD, plus .CC.cp.tc.mc.FF when the track describes its colour. CodecPrivate's
+ * feature list (profile, level, bit depth, chroma) wins; the first keyframe's header fills in
+ * the rest, then the Colour element.
+ */
+function vp9CodecString(track, keyframe) {
+    const features = {};
+    const codecPrivate = track.codecPrivate || new Uint8Array(0);
+    for (let pos = 0; pos + 2 < codecPrivate.length; pos += 2 + codecPrivate[pos + 1]) {
+        features[codecPrivate[pos]] = readUint(codecPrivate, pos + 2, codecPrivate[pos + 1]);
+    }
+    const header = keyframe ? parseVp9Header(keyframe) : null;
+    const colour = track.colour || {};
+
+    const profile = features[1] ?? header?.profile ?? 0;
+    const pictureSize = track.width * track.height;
+    const level = features[2] ?? (VP9_LEVELS.find(([maxSize]) => pictureSize <= maxSize) ?? VP9_LEVELS[VP9_LEVELS.length - 1])[1];
+    const bitDepth = features[3] ?? header?.bitDepth ?? colour.bitsPerChannel ?? 8;
+    const codec = `vp09.${twoDigits(profile)}.${twoDigits(level)}.${twoDigits(bitDepth)}`;
+
+    const codes = colourCodes(colour);
+    if (!codes) return codec;
+
+    // 4:2:0 (sited with the first luma sample, the default), 4:2:2 or 4:4:4
+    const horizontal = header?.subsamplingX ?? colour.subsamplingHorz ?? 1;
+    const vertical = header?.subsamplingY ?? colour.subsamplingVert ?? 1;
+    const chroma = features[4] ?? (horizontal && vertical ? 1 : horizontal ? 2 : 3);
+    return `${codec}.${twoDigits(chroma)}.${twoDigits(codes.primaries)}.${twoDigits(codes.transfer)}.${twoDigits(codes.matrix)}.${codes.fullRange ? '01' : '00'}`;
+}
+
+/**
+ * av01.P.LLT.DD from the AV1CodecConfigurationRecord in CodecPrivate, plus .M.CCC.cp.tc.mc.F
+ * when the track describes its colour. Null without a configuration record.
+ */
+function av1CodecString(track) {
+    const av1C = track.codecPrivate;
+    if (!av1C || av1C.length < 4) return null;
+
+    const profile = av1C[1] >> 5;
+    const level = av1C[1] & 0x1F;
+    const tier = av1C[2] & 0x80 ? 'H' : 'M';
+    const highBitDepth = (av1C[2] >> 6) & 1;
+    const twelveBit = (av1C[2] >> 5) & 1;
+    const bitDepth = highBitDepth ? (profile === 2 && twelveBit ? 12 : 10) : 8;
+    const codec = `av01.${profile}.${twoDigits(level)}${tier}.${twoDigits(bitDepth)}`;
+
+    const codes = colourCodes(track.colour);
+    if (!codes) return codec;
+
+    const monochrome = (av1C[2] >> 4) & 1;
+    const subsamplingX = (av1C[2] >> 3) & 1;
+    const subsamplingY = (av1C[2] >> 2) & 1;
+    const position = subsamplingX && subsamplingY ? av1C[2] & 3 : 0;
+    return `${codec}.${monochrome}.${subsamplingX}${subsamplingY}${position}.${twoDigits(codes.primaries)}.${twoDigits(codes.transfer)}.${twoDigits(codes.matrix)}.${codes.fullRange ? 1 : 0}`;
+}
+
+/**
+ * Maps a Matroska codec ID (+ CodecPrivate and Colour) to a WebCodecs decoder config.
+ * `keyframe` is the data of the track's first keyframe, for what VP9 only records there.
+ */
+function decoderConfigFor(track, keyframe) {
+    const base = { codedWidth: track.width, codedHeight: track.height };
+
+    switch (track.codecId) {
+        case 'V_VP8':
+            return { ...base, codec: 'vp8' };
+        case 'V_VP9':
+            return { ...base, codec: vp9CodecString(track, keyframe) };
+        case 'V_AV1': {
+            const codec = av1CodecString(track);
+            if (!codec) break;
+            return { ...base, codec, description: track.codecPrivate };
+        }
+        case 'V_MPEG4/ISO/AVC': {
+            const avcC = track.codecPrivate;
+            if (!avcC || avcC.length < 4) break;
+            return { ...base, codec: `avc1.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`, description: avcC };
+        }
+        default:
+            break;
+    }
+    throw new Error(`Unsupported Matroska codec: ${track.codecId}`);
+}
+
+/**
+ * Parses a Block / SimpleBlock body. Laced blocks are skipped (video is virtually never laced).
+ */
+function parseBlock(bytes, start, size) {
+    const track = readVint(bytes, start);
+    if (!track) return null;
+    const pos = start + track.length;
+    const relative = new DataView(bytes.buffer, bytes.byteOffset + pos, 2).getInt16(0);
+    const flags = bytes[pos + 2];
+    if (flags & 0x06) return null;
+
+    return {
+        track: track.value,
+        relative,
+        keyframe: (flags & 0x80) !== 0,
+        data: bytes.slice(pos + 3, start + size)
+    };
+}
+
+/**
+ * @returns {Promise<import('./index.js').Demuxed>}
+ */
+export async function demuxWebm(file) {
+    const reader = new WindowedReader(file);
+
+    // EBML header, then the Segment
+    let bytes = await reader.read(0, 64);
+    const ebml = readHeader(bytes, 0);
+    if (!ebml || ebml.id !== IDS.EBML) throw new Error("Not an EBML file");
+
+    let pos = ebml.headerLength + ebml.size;
+    bytes = await reader.read(pos, 16);
+    const segment = readHeader(bytes, 0);
+    if (!segment || segment.id !== IDS.SEGMENT) throw new Error("Missing Matroska segment");
+
+    const segmentStart = pos + segment.headerLength;
+    const segmentEnd = segment.size === UNKNOWN_SIZE ? file.size : segmentStart + segment.size;
+
+    const readElement = async (position) => {
+        const head = readHeader(await reader.read(position, 16), 0);
+        if (!head) return null;
+        const size = head.size === UNKNOWN_SIZE ? 0 : Math.min(head.size, MAX_ELEMENT_SIZE);
+        const body = (await reader.read(position + head.headerLength, size)).slice();
+        return { ...head, body };
+    };
+
+    let info = null;
+    let track = null;
+    let cues = null;
+    let cuesPosition = -1;
+    const clusters = [];
+
+    // Walk top-level elements. Clusters are only indexed if no Cues turn up.
+    pos = segmentStart;
+    while (pos < segmentEnd) {
+        const head = readHeader(await reader.read(pos, 16), 0);
+        if (!head) break;
+        const dataStart = pos + head.headerLength;
+
+        if (head.id === IDS.CLUSTER) {
+            if (cuesPosition >= 0 && info && track) break; // Cues will give us the index
+
+            const clusterBytes = await reader.read(dataStart, 64);
+            for (const el of children(clusterBytes)) {
+                if (el.id === IDS.TIMECODE) {
+                    clusters.push({ time: readUint(clusterBytes, el.dataStart, el.size), clusterPosition: pos - segmentStart });
+                    break;
+                }
+            }
+
+            if (head.size === UNKNOWN_SIZE) {
+                // Live recordings: step through the cluster's children until the next top-level element
+                let child = dataStart;
+                while (child < segmentEnd) {
+                    const childHead = readHeader(await reader.read(child, 16), 0);
+                    if (!childHead || TOP_LEVEL_IDS.has(childHead.id)) break;
+                    child += childHead.headerLength + childHead.size;
+                }
+                pos = child;
+                continue;
+            }
+        } else if (head.id === IDS.SEEK_HEAD || head.id === IDS.INFO || head.id === IDS.TRACKS || head.id === IDS.CUES) {
+            const element = await readElement(pos);
+            if (head.id === IDS.SEEK_HEAD) {
+                const seeks = parseSeekHead(element.body);
+                if (seeks.has(IDS.CUES)) cuesPosition = seeks.get(IDS.CUES);
+            }
+            if (head.id === IDS.INFO) info = parseInfo(element.body);
+            if (head.id === IDS.TRACKS) track = parseVideoTrack(element.body);
+            if (head.id === IDS.CUES && track) cues = parseCues(element.body, track.number);
+        }
+
+        if (head.size === UNKNOWN_SIZE) break;
+        pos = dataStart + head.size;
+    }
+
+    if (!info || !track) throw new Error("Missing Matroska Info or video track");
+
+    if (!cues && cuesPosition >= 0) {
+        const element = await readElement(segmentStart + cuesPosition);
+        if (element && element.id === IDS.CUES) cues = parseCues(element.body, track.number);
+    }
+
+    const index = cues && cues.length > 0 ? cues : clusters;
+    if (index.length === 0) throw new Error("No keyframe index in Matroska file");
+
+    const toSeconds = (timecode) => (timecode * info.timecodeScale) / 1e9;
+    const keyframes = index
+        .map(entry => ({ time: toSeconds(entry.time), clusterPosition: segmentStart + entry.clusterPosition }))
+        .sort((a, b) => a.time - b.time);
+
+    let duration = toSeconds(info.duration);
+    if (!duration) {
+        // No Duration element (common for MediaRecorder output): estimate from the index
+        const last = keyframes[keyframes.length - 1].time;
+        duration = keyframes.length > 1 ? last + last / (keyframes.length - 1) : last;
+    }
+
+    /**
+     * The video track's blocks in file order, from the cluster at `position` to the end of the segment.
+     */
+    async function* readBlocks(position) {
+        let pos = position;
+        while (pos < segmentEnd) {
+            const head = readHeader(await reader.read(pos, 16), 0);
+            if (!head) return;
+            const dataStart = pos + head.headerLength;
+
+            // Cues, Tags and the like can sit between or after the clusters
+            if (head.id !== IDS.CLUSTER) {
+                if (head.size === UNKNOWN_SIZE) return;
+                pos = dataStart + head.size;
+                continue;
+            }
+
+            const end = head.size === UNKNOWN_SIZE ? segmentEnd : dataStart + head.size;
+            let clusterTime = 0;
+            let child = dataStart;
+
+            while (child < end) {
+                const childHead = readHeader(await reader.read(child, 16), 0);
+                if (!childHead || (head.size === UNKNOWN_SIZE && TOP_LEVEL_IDS.has(childHead.id))) break;
+                const childStart = child + childHead.headerLength;
+
+                if (childHead.id === IDS.TIMECODE) {
+                    clusterTime = readUint(await reader.read(childStart, childHead.size), 0, childHead.size);
+                } else if (childHead.id === IDS.SIMPLE_BLOCK || childHead.id === IDS.BLOCK_GROUP) {
+                    const body = await reader.read(childStart, childHead.size);
+                    let block = null;
+
+                    if (childHead.id === IDS.SIMPLE_BLOCK) {
+                        block = parseBlock(body, 0, body.length);
+                    } else {
+                        // Inside a BlockGroup, a block without ReferenceBlock is a keyframe
+                        let hasReference = false;
+                        for (const el of children(body)) {
+                            if (el.id === IDS.BLOCK) block = parseBlock(body, el.dataStart, el.size);
+                            if (el.id === IDS.REFERENCE_BLOCK) hasReference = true;
+                        }
+                        if (block) block.keyframe = !hasReference;
+                    }
+
+                    if (block && block.track === track.number) {
+                        const timestamp = Math.round(((clusterTime + block.relative) * info.timecodeScale) / 1000);
+                        yield { type: block.keyframe ? 'key' : 'delta', timestamp, data: block.data };
+                    }
+                }
+
+                child = childStart + childHead.size;
+            }
+
+            pos = head.size === UNKNOWN_SIZE ? child : end;
+        }
+    }
+
+    /**
+     * Frames from the keyframe's cluster on, starting at its first keyframe.
+     */
+    async function* readFrames(keyframe) {
+        let started = false;
+        for await (const frame of readBlocks(keyframe.clusterPosition)) {
+            started ||= frame.type === 'key';
+            if (started) yield frame;
+        }
+    }
+
+    // VP9 only records its profile and bit depth in the bitstream
+    const firstKeyframe = track.codecId === 'V_VP9' ? (await readFrames(keyframes[0]).next().catch(() => null))?.value : null;
+
+    return {
+        duration,
+        width: track.width,
+        height: track.height,
+        decoderConfig: decoderConfigFor(track, firstKeyframe?.data),
+        keyframes,
+        readFrames
+    };
+}
@@ -0,0 +1,234 @@
+/**
+ * Frame sampling for the decoding worker: decodes the demuxed video with WebCodecs from the
+ * keyframe before each sample time up to the first frame at or after it, and crops +
+ * downsamples that frame. Kept apart from sampler.worker.js so it can run outside a worker.
+ */
+
+import { resolveFrameCount, resolveRange, sampleTimes, coarseToFineOrder, failedFrame } from '../utils/sampling.js';
+import { reduceFrame } from '../utils/frameReducers.js';
+import { resolveCrop, detectionTimes, DETECTION_WIDTH, DETECTION_HEIGHT } from '../utils/letterbox.js';
+import { checkpoint } from '../utils/processingControl.js';
+import { fromVideoColorSpace, needsToneMapping } from '../utils/colorManagement.js';
+import { ProcessingError, ERROR_CODES } from '../utils/errors.js';
+
+// Containers round timestamps to whole microseconds (or coarser), so allow for that when matching
+const TIMESTAMP_TOLERANCE = 1;
+
+/**
+ * Index of the last keyframe at or before `time` (keyframes sorted by time), or 0.
+ */
+function keyframeBefore(keyframes, time) {
+    let low = 0;
+    let high = keyframes.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (keyframes[mid].time <= time) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+/**
+ * Decodes runs of frames from a keyframe on. Frames come out of the decoder in presentation
+ * order, so each wanted time is matched by the first frame at or after it.
+ */
+class ForwardDecoder {
+    constructor(config) {
+        this.config = config;
+        this.onFrame = null;
+        this.wake = null;
+        this.reset();
+    }
+
+    // A decoding error closes the VideoDecoder, so start over with a fresh one
+    reset() {
+        this.error = null;
+        this.decoder = new VideoDecoder({
+            output: (frame) => {
+                if (this.onFrame) this.onFrame(frame);
+                frame.close();
+            },
+            error: (e) => {
+                this.error = e;
+                this.wake?.();
+            }
+        });
+        this.decoder.configure(this.config);
+    }
+
+    // Waits for the decoder to take every queued chunk, so it's never fed far ahead of its output
+    async drain() {
+        while (this.decoder.decodeQueueSize > 0 && !this.error) {
+            await new Promise((resolve) => {
+                this.wake = resolve;
+                this.decoder.addEventListener('dequeue', resolve, { once: true });
+            });
+        }
+        this.wake = null;
+    }
+
+    /**
+     * Feeds `chunks` (decoding order, starting at a keyframe) until every one of `times`
+     * (seconds, ascending) has a frame, calling onMatch(frame, indices) with each frame that is
+     * the first at or after times[indices]. Resolves with the timestamp of the first frame
+     * decoded (microseconds, or null), so callers can tell whether they started late.
+     */
+    async decodeAt(chunks, times, onMatch) {
+        if (this.decoder.state === 'closed') this.reset();
+
+        let next = 0;
+        let firstTimestamp = null;
+        this.onFrame = (frame) => {
+            firstTimestamp ??= frame.timestamp;
+            const indices = [];
+            while (next < times.length && frame.timestamp >= times[next] * 1e6 - TIMESTAMP_TOLERANCE) indices.push(next++);
+            if (indices.length > 0) onMatch(frame, indices);
+        };
+
+        try {
+            for await (const chunk of chunks) {
+                if (next === times.length || this.error) break;
+                this.decoder.decode(new EncodedVideoChunk(chunk));
+                await this.drain();
+            }
+            if (!this.error) await this.decoder.flush().catch(() => {});
+        } finally {
+            this.onFrame = null;
+        }
+
+        if (this.error) throw this.error;
+        return firstTimestamp;
+    }
+
+    close() {
+        if (this.decoder.state !== 'closed') this.decoder.close();
+    }
+}
+
+/**
+ * Samples a demuxed video (see demux/index.js) and resolves with the same shape as the
+ * native and FFmpeg paths. Each frame's frameTime is that of the frame decoded for it, the
+ * first at or after its sample time. Samples that can't be decoded are failedFrame()s.
+ * onProgress(percent); onSample({ index, count, time, color }), coarse-to-fine.
+ */
+export async function sampleDemuxed(demuxed, settings, { pause, onProgress, onSample }) {
+    const { duration, keyframes } = demuxed;
+    if (!duration || !isFinite(duration)) throw new ProcessingError(ERROR_CODES.DURATION_UNKNOWN, "Could not determine video duration");
+
+    const support = await VideoDecoder.isConfigSupported(demuxed.decoderConfig);
+    if (!support.supported) throw new Error(`Codec not supported: ${demuxed.decoderConfig.codec}`);
+
+    const decoder = new ForwardDecoder(demuxed.decoderConfig);
+    let color = null; // Source color description, from the first decoded frame
+
+    /**
+     * Decodes the first frame at or after each of `times` (ascending), from the keyframe before
+     * the first of them, calling onMatch(frame, indices) as in decodeAt. An index of cluster
+     * positions can point past the keyframe we need; then it starts one keyframe earlier.
+     */
+    const decodeAt = async (times, onMatch) => {
+        const match = (frame, indices) => {
+            color ??= frame.colorSpace ? fromVideoColorSpace(frame.colorSpace) : null;
+            onMatch(frame, indices);
+        };
+        for (let k = keyframeBefore(keyframes, times[0]); ; k--) {
+            const first = await decoder.decodeAt(demuxed.readFrames(keyframes[k]), times, match);
+            // Anything matched from a late start is redone from the earlier keyframe
+            if (k === 0 || first === null || first <= times[0] * 1e6 + TIMESTAMP_TOLERANCE) return;
+        }
+    };
+
+    try {
+        // Letterbox detection on a few early frames
+        const crop = await resolveCrop(settings.crop, async () => {
+            const canvas = new OffscreenCanvas(DETECTION_WIDTH, DETECTION_HEIGHT);
+            const ctx = canvas.getContext('2d', { willReadFrequently: true, colorSpace: 'srgb' });
+            const frames = [];
+            for (const time of detectionTimes(duration)) {
+                try {
+                    let pixels = null;
+                    await decodeAt([time], (frame) => {
+                        ctx.drawImage(frame, 0, 0, DETECTION_WIDTH, DETECTION_HEIGHT);
+                        pixels = ctx.getImageData(0, 0, DETECTION_WIDTH, DETECTION_HEIGHT).data;
+                    });
+                    if (pixels) frames.push({ pixels, width: DETECTION_WIDTH, height: DETECTION_HEIGHT });
+                } catch {
+                    // Undecodable frame, skip it
+                }
+            }
+            return frames;
+        });
+
+        const { sampleSize } = settings;
+        const canvas = new OffscreenCanvas(sampleSize, sampleSize);
+        const ctx = canvas.getContext('2d', { willReadFrequently: true, colorSpace: 'srgb' });
+
+        const range = resolveRange(duration, settings.range);
+        const frameCount = resolveFrameCount(range.end - range.start, settings);
+        const times = sampleTimes(duration, frameCount, range);
+        const frames = new Array(times.length);
+
+        // Samples sharing a keyframe are decoded in one forward pass, when the first of them comes up
+        const groups = new Map(); // Keyframe index -> sample indices, ascending
+        times.forEach((time, i) => {
+            const k = keyframeBefore(keyframes, time);
+            if (!groups.has(k)) groups.set(k, []);
+            groups.get(k).push(i);
+        });
+
+        let done = 0;
+        for (const i of coarseToFineOrder(times.length)) {
+            if (frames[i]) continue;
+            await checkpoint(null, pause);
+
+            const group = groups.get(keyframeBefore(keyframes, times[i]));
+            try {
+                await decodeAt(group.map((j) => times[j]), (frame, indices) => {
+                    ctx.drawImage(
+                        frame,
+                        crop.x * frame.displayWidth,
+                        crop.y * frame.displayHeight,
+                        crop.width * frame.displayWidth,
+                        crop.height * frame.displayHeight,
+                        0, 0, sampleSize, sampleSize
+                    );
+                    const pixels = ctx.getImageData(0, 0, sampleSize, sampleSize).data;
+                    indices.forEach((index) => {
+                        const j = group[index];
+                        // Each frame needs its own buffer so all of them can be transferred
+                        frames[j] = { time: times[j], frameTime: frame.timestamp / 1e6, pixels: pixels.slice() };
+                    });
+                });
+            } catch {
+                // Undecodable stretch: whatever it didn't reach is marked failed below
+            }
+
+            group.forEach((j) => {
+                if (frames[j]) {
+                    onSample({ index: j, count: times.length, time: times[j], color: reduceFrame(frames[j].pixels, settings) });
+                } else {
+                    frames[j] = failedFrame(times[j]);
+                }
+            });
+            done += group.length;
+            onProgress(Math.round((done / times.length) * 100));
+        }
+
+        // Nothing decoded at all: let the caller fall back to another path
+        if (frames.every((frame) => frame.failed)) throw new Error("No frame could be decoded");
+
+        return {
+            frames,
+            duration,
+            range,
+            sampleSize,
+            crop,
+            videoWidth: demuxed.width,
+            videoHeight: demuxed.height,
+            // drawImage converts HDR and wide-gamut frames into the sRGB canvas
+            colorSpace: color && { ...color, conversion: needsToneMapping(color) ? 'browser' : 'none' }
+        };
+    } finally {
+        decoder.close();
+    }
+}
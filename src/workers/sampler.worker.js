@@ -0,0 +1,38 @@
+/**
+ * Decoding Worker
+ * Demuxes MP4/WebM, decodes forward from the keyframe before each sample point to the
+ * frame on screen there with WebCodecs, and crops + downsamples it off the main thread
+ * (see frameSampler.js).
+ *
+ * Messages in:  { type: 'start', file, settings } | { type: 'pause' } | { type: 'resume' }
+ * Messages out: { type: 'progress', value } | { type: 'sample', sample } | { type: 'done', result } |
+ *               { type: 'error', message, code? } (see serializeError)
+ * Cancelling is done by terminating the worker.
+ */
+
+import { demux } from './demux/index.js';
+import { sampleDemuxed } from './frameSampler.js';
+import { PauseController } from '../utils/processingControl.js';
+import { serializeError } from '../utils/errors.js';
+
+const pause = new PauseController();
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'pause') pause.pause();
+    if (data.type === 'resume') pause.resume();
+    if (data.type !== 'start') return;
+
+    try {
+        const result = await sampleDemuxed(await demux(data.file), data.settings, {
+            pause,
+            onProgress: (value) => self.postMessage({ type: 'progress', value }),
+            onSample: (sample) => self.postMessage({ type: 'sample', sample })
+        });
+        self.postMessage(
+            { type: 'done', result },
+            result.frames.filter(frame => frame.pixels).map(frame => frame.pixels.buffer)
+        );
+    } catch (err) {
+        self.postMessage({ type: 'error', ...serializeError(err) });
+    }
+};
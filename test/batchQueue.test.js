@@ -0,0 +1,25 @@
+import { describe, it, expect, vi } from 'vitest';
+import { BatchQueue } from '../src/utils/batchQueue.js';
+
+/**
+ * A process() that only settles when aborted, as sampleVideo does when cancelled.
+ */
+const untilAborted = (file, onProgress, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+describe('BatchQueue', () => {
+    it('stays quiet about an item removed while it was processing', async () => {
+        const queue = new BatchQueue(untilAborted);
+        queue.add([new File([], 'a.mp4')], {});
+        const [item] = queue.getSnapshot();
+        const onChange = vi.fn();
+        queue.subscribe(onChange);
+
+        queue.remove(item.id);
+        await vi.waitFor(() => expect(queue.running).toBe(false));
+
+        expect(queue.getSnapshot()).toEqual([]);
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { needsToneMapping, createToneMapper, rawFrameFormat } from '../src/utils/colorManagement.js';
+
+const SDR = { range: 'tv', matrix: 'bt709', transfer: 'bt709' };
+
+// One rgb48 pixel per color, code values 0-65535
+const convert = (color, pixels) => Array.from(createToneMapper(color)(Uint16Array.from(pixels.flat())))
+    .filter((_, i) => i % 4 !== 3);
+
+describe('wide-gamut primaries', () => {
+    it('converts BT.2020, Display-P3 and DCI-P3 sources, and passes BT.709 through', () => {
+        ['bt2020', 'smpte432', 'smpte431'].forEach((primaries) => {
+            expect(needsToneMapping({ ...SDR, primaries })).toBe(true);
+            expect(rawFrameFormat({ ...SDR, primaries }).pixFmt).toBe('rgb48le');
+        });
+        expect(needsToneMapping({ ...SDR, primaries: 'bt709' })).toBe(false);
+    });
+
+    it('maps DCI-P3 white to sRGB white and its saturated red inside the sRGB gamut', () => {
+        const rgb = convert({ ...SDR, primaries: 'smpte431' }, [[65535, 65535, 65535], [65535, 0, 0]]);
+        const white = rgb.slice(0, 3);
+        const red = rgb.slice(3);
+
+        white.forEach((channel) => expect(channel).toBeGreaterThanOrEqual(254));
+        expect(red[0]).toBe(255);
+        expect(red[1]).toBeLessThan(red[0]);
+        expect(red[2]).toBeLessThan(red[0]);
+    });
+});
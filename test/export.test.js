@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { buildScene, buildStackScene } from '../src/utils/export/scene.js';
+import { sceneToPdf } from '../src/utils/export/pdf.js';
+import { sceneToTiff } from '../src/utils/export/raster.js';
+import { rasterizeBands } from '../src/utils/export/rasterize.js';
+import { exceedsRasterLimit, MAX_EXPORT_SIDE } from '../src/utils/export/index.js';
+
+const colors = [
+    { r: 200, g: 40, b: 40, duration: 5 },
+    { r: 30, g: 120, b: 200, duration: 5 }
+];
+
+const mediaBox = (pdf) => new TextDecoder().decode(pdf).match(/\/MediaBox \[0 0 ([\d.]+) ([\d.]+)\]/).slice(1).map(Number);
+
+describe('export size limits', () => {
+    it('only holds raster formats to the canvas limit', () => {
+        const size = { width: MAX_EXPORT_SIDE * 2, height: 1000 };
+        expect(exceedsRasterLimit('png', size)).toBe(true);
+        expect(exceedsRasterLimit('tiff', size)).toBe(true);
+        expect(exceedsRasterLimit('svg', size)).toBe(false);
+        expect(exceedsRasterLimit('pdf', size)).toBe(false);
+    });
+
+    it('lays out vector exports beyond the canvas limit', () => {
+        const scene = buildScene(colors, { unit: 'in', width: 120, height: 60, dpi: 300, swatches: false });
+        expect(scene.width).toBe(36000);
+        const films = Array.from({ length: 200 }, (_, i) => ({ title: `Film ${i}`, colors }));
+        expect(buildStackScene(films, {}).height).toBeGreaterThan(MAX_EXPORT_SIDE);
+    });
+
+    it('keeps PDF pages at their print size', () => {
+        const scene = buildScene(colors, { unit: 'in', width: 24, height: 12, dpi: 300, swatches: false });
+        expect(mediaBox(sceneToPdf(scene))).toEqual([24 * 72, 12 * 72]);
+    });
+
+    it('scales PDF pages down to the 200 in maximum, keeping their proportions', () => {
+        const scene = buildScene(colors, { unit: 'in', width: 400, height: 100, dpi: 100, swatches: false });
+        expect(mediaBox(sceneToPdf(scene))).toEqual([14400, 3600]);
+    });
+});
+
+/**
+ * Decodes a TIFF as sceneToTiff writes it (little-endian, Deflate, horizontal predictor)
+ * back to packed RGB.
+ */
+async function readTiff(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ifd = view.getUint32(4, true);
+    const tags = new Map();
+    for (let i = 0; i < view.getUint16(ifd, true); i++) {
+        const entry = ifd + 2 + i * 12;
+        const type = view.getUint16(entry + 2, true);
+        const count = view.getUint32(entry + 4, true);
+        const size = type === 3 ? 2 : 4;
+        const at = count * size > 4 ? view.getUint32(entry + 8, true) : entry + 8;
+        const values = Array.from({ length: count }, (_, j) => (size === 2 ? view.getUint16(at + j * 2, true) : view.getUint32(at + j * 4, true)));
+        tags.set(view.getUint16(entry, true), values);
+    }
+
+    const [width] = tags.get(256);
+    const [height] = tags.get(257);
+    const stride = width * 3;
+    const rgb = new Uint8Array(stride * height);
+    let offset = 0;
+    for (const [i, start] of tags.get(273).entries()) {
+        const strip = bytes.subarray(start, start + tags.get(279)[i]);
+        const stream = new Blob([strip]).stream().pipeThrough(new DecompressionStream('deflate'));
+        const rows = new Uint8Array(await new Response(stream).arrayBuffer());
+        for (let row = 0; row < rows.length; row += stride) {
+            for (let x = 3; x < stride; x++) rows[row + x] += rows[row + x - 3];
+        }
+        rgb.set(rows, offset);
+        offset += rows.length;
+    }
+    return { width, height, compression: tags.get(259)[0], predictor: tags.get(317)[0], rgb };
+}
+
+describe('TIFF export', () => {
+    it('compresses a banded ribbon far below its raw size, losslessly', async () => {
+        const slices = Array.from({ length: 240 }, (_, i) => ({ r: (i * 37) % 256, g: (i * 91) % 256, b: (i * 53) % 256, duration: 1 }));
+        const scene = buildScene(slices, { unit: 'px', width: 3000, height: 1500, swatches: false });
+        const tiff = new Uint8Array(await (await sceneToTiff(scene, rasterizeBands)).arrayBuffer());
+
+        expect(tiff.length).toBeLessThan((scene.width * scene.height * 3) / 100);
+
+        const rows = [];
+        await rasterizeBands(scene, (rgb) => rows.push(rgb));
+        const decoded = await readTiff(tiff);
+        expect(decoded).toMatchObject({ width: 3000, height: 1500, compression: 8, predictor: 2 });
+        expect(Buffer.compare(Buffer.from(decoded.rgb), Buffer.concat(rows))).toBe(0);
+    });
+});
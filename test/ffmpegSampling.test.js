@@ -0,0 +1,145 @@
+import { describe, it, expect, vi } from 'vitest';
+import { batchArgs, frameArgs, cropFilter, extractFrames, extractUntilEnd, framesAtTimes, keepEvenly, BATCH_FRAMES } from '../src/utils/ffmpegSampling.js';
+import { rawFrameFormat } from '../src/utils/colorManagement.js';
+import { sampleTimes } from '../src/utils/sampling.js';
+import { FULL_FRAME } from '../src/utils/letterbox.js';
+
+const SIZE = 2;
+const source = { videoStream: 0, output: rawFrameFormat(null) };
+
+/**
+ * An `exec` standing in for ffmpeg on a video `duration` seconds long whose frame at time t
+ * is solid gray level floor(t): honors -ss, -frames:v and the fps filter of batchArgs.
+ * `fail(args)` makes a run throw.
+ */
+function fakeExec(duration, { fail = () => false } = {}) {
+    return vi.fn(async (args) => {
+        if (fail(args)) throw new Error('ffmpeg failed');
+        const option = (name) => args[args.indexOf(name) + 1];
+        const start = parseFloat(option('-ss'));
+        const count = parseInt(option('-frames:v'), 10);
+        const fps = parseFloat(option('-vf').match(/fps=([\d.e-]+)/)?.[1] ?? Infinity);
+
+        const frames = [];
+        for (let n = 0; n < count; n++) {
+            const time = start + (isFinite(fps) ? n / fps : 0);
+            if (time >= duration) break;
+            frames.push(new Uint8Array(SIZE * SIZE * 4).fill(Math.floor(time)));
+        }
+        const data = new Uint8Array(frames.length * SIZE * SIZE * 4);
+        frames.forEach((frame, i) => data.set(frame, i * frame.length));
+        return data;
+    });
+}
+
+const isBatch = (args) => args.includes('-vf') && args[args.indexOf('-vf') + 1].includes('fps=');
+
+describe('FFmpeg command lines', () => {
+    it('steps a batch at the sample interval from the frame on screen at its start', () => {
+        const args = batchArgs('in.mkv', 12.5, 0.4, 24, { size: 32, filter: 'crop=iw*0.5:ih*0.5:iw*0.25:ih*0.25,' }, { videoStream: 2, output: source.output });
+        expect(args.slice(0, 6)).toEqual(['-ss', '12.5', '-i', 'in.mkv', '-map', '0:v:2']);
+        expect(args).toContain('-frames:v');
+        expect(args[args.indexOf('-vf') + 1]).toBe('crop=iw*0.5:ih*0.5:iw*0.25:ih*0.25,fps=0.4:start_time=0:round=up,scale=32:32');
+        expect(args.slice(-4)).toEqual(['-f', 'rawvideo', '-pix_fmt', 'rgba']);
+    });
+
+    it('asks for 16-bit output when frames are tone-mapped', () => {
+        const hdr = rawFrameFormat({ range: 'tv', matrix: 'bt2020nc', primaries: 'bt2020', transfer: 'smpte2084' });
+        const args = frameArgs('in.mkv', 3, { width: 160, height: 90 }, { videoStream: 0, output: hdr });
+        expect(args[args.indexOf('-vf') + 1]).toBe('scale=160:90:in_color_matrix=bt2020:in_range=tv');
+        expect(args[args.indexOf('-pix_fmt') + 1]).toBe('rgb48le');
+    });
+
+    it('leaves the crop out for the full frame', () => {
+        expect(cropFilter(FULL_FRAME)).toBe('');
+    });
+});
+
+describe('extractFrames', () => {
+    const extract = (exec, times, fps, hooks) => extractFrames(exec, 'in.mkv', times, { fps, sampleSize: SIZE }, source, hooks);
+
+    it('returns one frame per time, at exactly those times', async () => {
+        const times = sampleTimes(100, 50);
+        const frames = await extract(fakeExec(100), times, 0.5);
+
+        expect(frames).toHaveLength(50);
+        expect(frames.map(({ time }) => time)).toEqual(times);
+        frames.forEach(({ time, pixels }) => expect(pixels[0]).toBe(Math.floor(time)));
+    });
+
+    it('retries what a failed batch missed with single seeks', async () => {
+        const times = sampleTimes(100, 50);
+        const exec = fakeExec(100, { fail: (args) => isBatch(args) && args[1] === `${times[BATCH_FRAMES]}` });
+        const frames = await extract(exec, times, 0.5);
+
+        expect(frames).toHaveLength(50);
+        expect(frames.some((frame) => frame.failed)).toBe(false);
+        expect(exec.mock.calls.filter(([args]) => !isBatch(args))).toHaveLength(BATCH_FRAMES);
+    });
+
+    it('marks frames nothing could be decoded at as failed, and stops seeking past the end', async () => {
+        // The container claims 100 s but the video stops at 80
+        const times = sampleTimes(100, 50);
+        const exec = fakeExec(80);
+        const frames = await extract(exec, times, 0.5);
+
+        expect(frames).toHaveLength(50);
+        expect(frames.map(({ time }) => time)).toEqual(times);
+        frames.forEach((frame) => {
+            if (frame.time < 80) expect(frame.pixels).not.toBeNull();
+            else expect(frame).toEqual({ time: frame.time, pixels: null, failed: true });
+        });
+        // One seek to confirm the end, none for the slots after it
+        expect(exec.mock.calls.filter(([args]) => !isBatch(args))).toHaveLength(1);
+    });
+
+    it('waits on beforeBatch before every run and reports every slot', async () => {
+        const times = sampleTimes(100, 50);
+        const beforeBatch = vi.fn();
+        const onFrame = vi.fn();
+        await extract(fakeExec(100), times, 0.5, { beforeBatch, onFrame });
+
+        expect(beforeBatch).toHaveBeenCalledTimes(Math.ceil(50 / BATCH_FRAMES));
+        expect(onFrame.mock.calls.map(([index]) => index)).toEqual(times.map((_, i) => i));
+    });
+
+    it('lets an abort from beforeBatch through', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const beforeBatch = () => controller.signal.throwIfAborted();
+        await expect(extract(fakeExec(100), sampleTimes(100, 50), 0.5, { beforeBatch })).rejects.toThrow(/abort/i);
+    });
+});
+
+describe('keepEvenly', () => {
+    it('holds at most `limit` evenly spaced frames of a run of any length', () => {
+        const held = keepEvenly(10);
+        for (let n = 0; n < 1000; n++) held.add(n, n);
+
+        expect(held.frames.length).toBeLessThanOrEqual(10);
+        expect(held.frames.length).toBeGreaterThanOrEqual(5);
+        held.frames.forEach((n, i) => expect(n).toBe(i * held.stride));
+    });
+});
+
+describe('extractUntilEnd', () => {
+    it('decodes from the start of the range to the end of the video within the limit', async () => {
+        const onFrame = vi.fn();
+        const decoded = await extractUntilEnd(fakeExec(200), 'in.mkv', { start: 30, fps: 1, limit: 40, sampleSize: SIZE }, source, { onFrame });
+
+        expect(decoded.end).toBe(200);
+        expect(decoded.frames.length).toBeLessThanOrEqual(40);
+        decoded.frames.forEach(({ time, pixels }, i) => {
+            expect(time).toBe(30 + i / decoded.fps);
+            expect(pixels[0]).toBe(Math.floor(time));
+        });
+        expect(onFrame.mock.calls[0][0]).toBe(0);
+
+        const times = sampleTimes(decoded.end, 20, { start: 30, end: decoded.end });
+        const frames = framesAtTimes(decoded.frames, decoded.fps, times, 30);
+        frames.forEach(({ time, frameTime }) => {
+            expect(frameTime).toBeLessThanOrEqual(time);
+            expect(time - frameTime).toBeLessThan((decoded.end - 30) / 20);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { sampleDemuxed } from '../src/workers/frameSampler.js';
+import { normalizeOptions, sampleTimes } from '../src/utils/sampling.js';
+import { PauseController } from '../src/utils/processingControl.js';
+import { syntheticVideo, meanColor } from './helpers/syntheticVideo.js';
+import { fakeDemuxed, fakeWebCodecs, timestampOf } from './helpers/fakeWebCodecs.js';
+
+const OPTIONS = { frameCount: 120, sampleSize: 4 };
+
+/**
+ * The worker's sampling of `video`, demuxed as by fakeDemuxed(video, demuxOptions).
+ */
+async function sampleWorker(video, demuxOptions, options = OPTIONS) {
+    Object.entries(fakeWebCodecs(video)).forEach(([name, value]) => vi.stubGlobal(name, value));
+    const demuxed = fakeDemuxed(video, demuxOptions);
+    const onSample = vi.fn();
+    const sampling = await sampleDemuxed(demuxed, normalizeOptions(options), { pause: new PauseController(), onProgress: () => {}, onSample });
+    return { ...sampling, demuxed, onSample };
+}
+
+/**
+ * Index of the first frame at or after `time`.
+ */
+function frameAtOrAfter(video, time) {
+    let k = 0;
+    while (k < video.frameCount - 1 && timestampOf(video, k) < time * 1e6 - 1) k++;
+    return k;
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('worker path', () => {
+    describe.each([
+        { name: '24 fps', fps: [24, 1], frameCount: 24 * 40 },
+        { name: '29.97 fps', fps: [30000, 1001], frameCount: 1000 }
+    ])('$name', (spec) => {
+        const video = syntheticVideo(spec);
+
+        it('decodes forward from the keyframe before each sample time to the first frame at or after it', async () => {
+            const { frames, range, onSample } = await sampleWorker(video, { gop: 48 });
+
+            expect(frames.map(({ time }) => time)).toEqual(sampleTimes(video.duration, OPTIONS.frameCount, range));
+            frames.forEach(({ time, frameTime, pixels }) => {
+                const k = frameAtOrAfter(video, time);
+                expect(frameTime).toBe(timestampOf(video, k) / 1e6);
+                expect(meanColor(pixels)).toEqual(video.colorAt(k));
+            });
+            expect(onSample).toHaveBeenCalledTimes(OPTIONS.frameCount);
+        });
+    });
+
+    it('decodes each keyframe interval once for all the samples in it', async () => {
+        const video = syntheticVideo({ fps: [24, 1], frameCount: 24 * 40 });
+        const { demuxed } = await sampleWorker(video, { gop: 96 }, { ...OPTIONS, crop: 'none' });
+
+        expect([...demuxed.reads].sort((a, b) => a - b)).toEqual(demuxed.keyframes.map(({ key }) => key));
+    });
+
+    it('starts a keyframe earlier when an index entry comes before its keyframe', async () => {
+        const video = syntheticVideo({ fps: [24, 1], frameCount: 24 * 40 });
+        const { frames } = await sampleWorker(video, { gop: 48, clusterLead: 10 });
+
+        frames.forEach(({ time, pixels }) => expect(meanColor(pixels)).toEqual(video.colorAt(frameAtOrAfter(video, time))));
+    });
+
+    it('marks the samples an undecodable stretch holds as failed and keeps the rest', async () => {
+        const video = syntheticVideo({ fps: [24, 1], frameCount: 24 * 40 });
+        // The keyframe interval from 8 s to 10 s can't be decoded
+        const { frames } = await sampleWorker(video, { gop: 48, corrupt: (k) => k === 4 * 48 + 1 });
+
+        frames.forEach((frame) => {
+            if (frame.time >= 8 && frame.time < 10) expect(frame.failed).toBe(true);
+            else expect(meanColor(frame.pixels)).toEqual(video.colorAt(frameAtOrAfter(video, frame.time)));
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Just enough of IndexedDB for library.js to run under Node: object stores with a keyPath,
+ * indexes read back in key order, and transactions that complete once their requests have
+ * settled and nothing new was queued. Values are stored as structured clones, in memory.
+ */
+
+class FakeRequest {
+    settle(run) {
+        setTimeout(() => {
+            try {
+                this.result = run();
+                this.onsuccess?.();
+            } catch (err) {
+                this.error = err;
+                this.onerror?.();
+            }
+        }, 0);
+        return this;
+    }
+}
+
+class FakeStore {
+    constructor(keyPath) {
+        this.keyPath = keyPath;
+        this.records = new Map();
+        this.indexes = new Map();
+    }
+
+    createIndex(name, keyPath) {
+        this.indexes.set(name, keyPath);
+    }
+}
+
+class FakeTransaction {
+    constructor(store) {
+        this.store = store;
+        this.pending = 0;
+        // Like a real transaction, one that queues nothing still completes
+        this.track(() => {});
+    }
+
+    // Runs `run` as a request of this transaction; the transaction completes after the last one
+    track(run) {
+        this.pending++;
+        return new FakeRequest().settle(() => {
+            try {
+                return run();
+            } finally {
+                this.pending--;
+                setTimeout(() => {
+                    if (this.pending === 0 && !this.done) {
+                        this.done = true;
+                        this.oncomplete?.();
+                    }
+                }, 0);
+            }
+        });
+    }
+
+    objectStore() {
+        const { store } = this;
+        return {
+            get: (key) => this.track(() => structuredClone(store.records.get(key))),
+            put: (value) => this.track(() => store.records.set(value[store.keyPath], structuredClone(value))),
+            index: (name) => ({
+                getAll: () => this.track(() => {
+                    const keyPath = store.indexes.get(name);
+                    return [...store.records.values()]
+                        .sort((a, b) => a[keyPath] - b[keyPath])
+                        .map((value) => structuredClone(value));
+                })
+            })
+        };
+    }
+}
+
+class FakeDatabase {
+    constructor() {
+        this.stores = new Map();
+    }
+
+    createObjectStore(name, { keyPath }) {
+        const store = new FakeStore(keyPath);
+        this.stores.set(name, store);
+        return store;
+    }
+
+    transaction(name) {
+        return new FakeTransaction(this.stores.get(name));
+    }
+}
+
+/**
+ * A stand-in for `indexedDB` with no databases yet.
+ */
+export function fakeIndexedDB() {
+    const databases = new Map();
+    return {
+        open(name) {
+            const request = new FakeRequest();
+            setTimeout(() => {
+                if (!databases.has(name)) {
+                    databases.set(name, new FakeDatabase());
+                    request.result = databases.get(name);
+                    request.onupgradeneeded?.();
+                }
+                request.result = databases.get(name);
+                request.onsuccess?.();
+            }, 0);
+            return request;
+        }
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * Just enough of `document` for the native sampling path to run under Node: every
+ * <video> plays the given synthetic video, showing the frame on screen at currentTime
+ * like a browser does, and a <canvas> 2D context draws and reads back that frame.
+ * `failAt(time)` makes getImageData throw for frames drawn at that time, as it does
+ * for a tainted canvas or a frame the browser couldn't decode, `unsupported` makes
+ * every <video> fail to load, as for a format the browser can't play, and `drawFails` makes
+ * every drawImage throw, as for a video that loads but never decodes a frame.
+ * With `file` (the video written out, see writeY4m), the frame drawn is decoded from it by the
+ * local ffmpeg (the one on screen at the video's currentTime) instead of taken from the synthetic video.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { FFMPEG } from './ffmpeg.js';
+import { meanColor } from './syntheticVideo.js';
+
+/**
+ * Mean color of the frame on screen at `time` in `file` (`width` x `height`), like a seeked
+ * video element shows: the last one ffmpeg decodes with a timestamp at or before it. (Seeking
+ * ffmpeg itself with -ss lands on the nearest frame instead.)
+ */
+function decodeColorAt(file, time, width, height) {
+    const { stdout, stderr, status } = spawnSync(FFMPEG, [
+        '-v', 'error', '-ss', String(Math.max(0, time - 1)), '-copyts', '-i', file,
+        // Allowing for the rounding of a frame's timestamp when `time` is exactly its start
+        '-vf', `select='lte(t,${time + 1e-6})'`, '-f', 'rawvideo', '-pix_fmt', 'rgba', 'pipe:1'
+    ]);
+    const size = width * height * 4;
+    if (status !== 0 || stdout.length < size) throw new Error(`ffmpeg could not decode ${file} at ${time}s: ${stderr.toString().trim()}`);
+    return meanColor(stdout.subarray(stdout.length - size));
+}
+
+class FakeVideo extends EventTarget {
+    constructor(video, unsupported) {
+        super();
+        this.video = video;
+        this.unsupported = unsupported;
+        this.time = 0;
+        this.duration = video.duration;
+        this.videoWidth = video.width;
+        this.videoHeight = video.height;
+        this.seekable = { length: 0 };
+    }
+
+    set src(url) {
+        this.url = url;
+        setTimeout(() => (this.unsupported ? this.onerror?.() : this.onloadedmetadata?.()), 0);
+    }
+
+    get src() {
+        return this.url;
+    }
+
+    get currentTime() {
+        return this.time;
+    }
+
+    set currentTime(time) {
+        this.time = Math.min(time, this.duration);
+        setTimeout(() => {
+            this.onseeked?.();
+            this.dispatchEvent(new Event('seeked'));
+        }, 0);
+    }
+}
+
+class FakeContext {
+    constructor(canvas, { failAt, drawFails, file }) {
+        this.canvas = canvas;
+        this.failAt = failAt;
+        this.drawFails = drawFails;
+        this.file = file;
+        this.drawn = null;
+    }
+
+    drawImage(source) {
+        if (this.drawFails) throw new DOMException('The video has no frame to draw', 'InvalidStateError');
+        const time = source.currentTime;
+        const { video } = source;
+        const color = this.file ? decodeColorAt(this.file, time, video.width, video.height) : video.colorAt(video.frameIndexAt(time));
+        this.drawn = { time, color };
+    }
+
+    getImageData(x, y, width, height) {
+        if (!this.drawn || this.failAt(this.drawn.time)) throw new DOMException('The canvas has been tainted', 'SecurityError');
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = this.drawn.color.r;
+            data[i + 1] = this.drawn.color.g;
+            data[i + 2] = this.drawn.color.b;
+            data[i + 3] = 255;
+        }
+        return { data, width, height };
+    }
+}
+
+/**
+ * A stand-in for `document` whose videos play `video` (see syntheticVideo).
+ */
+export function fakeDocument(video, { failAt = () => false, unsupported = false, drawFails = false, file = null } = {}) {
+    return {
+        createElement(tag) {
+            if (tag === 'video') return new FakeVideo(video, unsupported);
+            if (tag === 'canvas') {
+                const canvas = { width: 0, height: 0 };
+                canvas.getContext = () => new FakeContext(canvas, { failAt, drawFails, file });
+                return canvas;
+            }
+            throw new Error(`fakeDocument can't create <${tag}>`);
+        }
+    };
+}
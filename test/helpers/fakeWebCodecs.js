@@ -0,0 +1,155 @@
+/**
+ * Just enough of WebCodecs and OffscreenCanvas for the decoding worker's sampling to run
+ * under Node, playing a synthetic video (see syntheticVideo). Each chunk's data is its frame
+ * index; the decoder works like a real one with B-frames: it needs a keyframe after
+ * configure() and flush(), outputs frames asynchronously in presentation order, and a chunk
+ * it can't decode closes it through the error callback.
+ */
+
+// Frames held back for reordering, as a decoder for a stream with one B-frame in a row does
+const REORDER_DEPTH = 2;
+
+/**
+ * Frame k's presentation timestamp in microseconds, rounded as containers store it.
+ */
+export const timestampOf = (video, k) => Math.round((k / video.fps) * 1e6);
+
+/**
+ * A Demuxed (see demux/index.js) for `video`, with a keyframe every `gop` frames.
+ * Each GOP is stored in decoding order, keyframe first and then each pair of following
+ * frames swapped, as with B-frames. `clusterLead` frames puts every index entry that many
+ * frames before its keyframe, as a WebM cluster index does when clusters don't start on one;
+ * reading from such an entry starts at the next keyframe. Chunks of frames for which
+ * `corrupt(k)` holds fail to decode.
+ */
+export function fakeDemuxed(video, { gop = 12, clusterLead = 0, corrupt = () => false } = {}) {
+    const order = [];
+    for (let key = 0; key < video.frameCount; key += gop) {
+        order.push(key);
+        for (let k = key + 1; k < Math.min(key + gop, video.frameCount); k += 2) {
+            if (k + 1 < Math.min(key + gop, video.frameCount)) order.push(k + 1);
+            order.push(k);
+        }
+    }
+
+    const keyframes = [];
+    for (let key = 0; key < video.frameCount; key += gop) {
+        const entry = Math.max(0, key - clusterLead);
+        keyframes.push({ time: timestampOf(video, entry) / 1e6, key });
+    }
+
+    const demuxed = {
+        duration: video.duration,
+        width: video.width,
+        height: video.height,
+        decoderConfig: { codec: 'fake', codedWidth: video.width, codedHeight: video.height },
+        keyframes,
+        reads: [],
+        async *readFrames({ key }) {
+            demuxed.reads.push(key);
+            for (let i = order.indexOf(key); i < order.length; i++) {
+                const k = order[i];
+                yield {
+                    type: k % gop === 0 ? 'key' : 'delta',
+                    timestamp: timestampOf(video, k),
+                    data: new Uint32Array([corrupt(k) ? 0xFFFFFFFF : k])
+                };
+            }
+        }
+    };
+    return demuxed;
+}
+
+class FakeVideoDecoder extends EventTarget {
+    constructor({ output, error }) {
+        super();
+        this.output = output;
+        this.error = error;
+        this.state = 'unconfigured';
+        this.decodeQueueSize = 0;
+        this.held = [];
+        this.needsKey = true;
+    }
+
+    static async isConfigSupported(config) {
+        return { supported: config.codec === 'fake', config };
+    }
+
+    configure() {
+        this.state = 'configured';
+        this.needsKey = true;
+    }
+
+    decode(chunk) {
+        if (this.state !== 'configured') throw new DOMException('Decoder is not configured', 'InvalidStateError');
+        if (this.needsKey && chunk.type !== 'key') throw new DOMException('A key frame is required', 'DataError');
+        this.needsKey = false;
+        this.decodeQueueSize++;
+
+        setTimeout(() => {
+            if (this.state !== 'configured') return;
+            this.decodeQueueSize--;
+            this.dispatchEvent(new Event('dequeue'));
+
+            const index = new Uint32Array(chunk.data.buffer)[0];
+            if (index === 0xFFFFFFFF) {
+                this.close();
+                this.error(new DOMException('Decoding error', 'EncodingError'));
+                return;
+            }
+            this.held.push({ index, timestamp: chunk.timestamp });
+            this.held.sort((a, b) => a.timestamp - b.timestamp);
+            if (this.held.length > REORDER_DEPTH) this.emit(this.held.shift());
+        }, 0);
+    }
+
+    async flush() {
+        while (this.decodeQueueSize > 0) await new Promise((resolve) => setTimeout(resolve, 0));
+        if (this.state !== 'configured') throw new DOMException('Decoder was closed', 'AbortError');
+        this.held.splice(0).forEach((frame) => this.emit(frame));
+        this.needsKey = true;
+    }
+
+    emit({ index, timestamp }) {
+        this.output({ index, timestamp, displayWidth: 64, displayHeight: 36, colorSpace: null, close() {} });
+    }
+
+    close() {
+        this.state = 'closed';
+        this.held = [];
+    }
+}
+
+class FakeEncodedVideoChunk {
+    constructor({ type, timestamp, data }) {
+        Object.assign(this, { type, timestamp, data });
+    }
+}
+
+/**
+ * Globals to stub (VideoDecoder, EncodedVideoChunk, OffscreenCanvas) so decoded frames of
+ * `video` draw as their solid color.
+ */
+export function fakeWebCodecs(video) {
+    class FakeOffscreenCanvas {
+        constructor(width, height) {
+            Object.assign(this, { width, height });
+        }
+
+        getContext() {
+            let color = null;
+            return {
+                drawImage(frame) {
+                    color = video.colorAt(frame.index);
+                },
+                getImageData(x, y, width, height) {
+                    const data = new Uint8ClampedArray(width * height * 4);
+                    for (let i = 0; i < data.length; i += 4) data.set([color.r, color.g, color.b, 255], i);
+                    return { data, width, height };
+                }
+            };
+        }
+    }
+
+    return { VideoDecoder: FakeVideoDecoder, EncodedVideoChunk: FakeEncodedVideoChunk, OffscreenCanvas: FakeOffscreenCanvas };
+}
@@ -0,0 +1,33 @@
+/**
+ * A local ffmpeg for the tests, found like the CLI finds it ($FFMPEG_PATH or ffmpeg on
+ * the PATH). Tests that need one are skipped when there is none, unless REQUIRE_FFMPEG is
+ * set (as CI does): then a missing ffmpeg fails the run.
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+
+export const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+export const hasFfmpeg = !spawnSync(FFMPEG, ['-version'], { stdio: 'ignore' }).error;
+
+if (process.env.REQUIRE_FFMPEG && !hasFfmpeg) {
+    throw new Error(`REQUIRE_FFMPEG is set but ${FFMPEG} could not be run`);
+}
+
+/**
+ * The `exec` of ffmpegSampling.js for a local ffmpeg: runs it with the output on stdout.
+ */
+export function execFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(FFMPEG, ['-v', 'error', ...args, 'pipe:1'], { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', (chunk) => stdout.push(chunk));
+        child.stderr.on('data', (chunk) => stderr.push(chunk));
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) resolve(Buffer.concat(stdout));
+            else reject(new Error(`ffmpeg exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+        });
+    });
+}
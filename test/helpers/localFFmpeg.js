@@ -0,0 +1,90 @@
+/**
+ * A stand-in for @ffmpeg/ffmpeg that runs the local ffmpeg (see ffmpeg.js), so the FFmpeg
+ * path of videoProcessor.js can be tested with the command lines it really builds:
+ * vi.mock('@ffmpeg/ffmpeg', () => import('./helpers/localFFmpeg.js')).
+ * Mounted files are read from their `path` property; others are written to the temporary
+ * directory, named after the process. Log lines reach 'log' listeners as ffmpeg.wasm sends them.
+ */
+
+import { spawn } from 'node:child_process';
+import { readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { FFMPEG } from './ffmpeg.js';
+
+export const FFFSType = { WORKERFS: 'WORKERFS' };
+
+// Every command line run, for tests to inspect
+export const commands = [];
+
+export class FFmpeg {
+    constructor() {
+        this.loaded = false;
+        this.listeners = new Set();
+        this.mounted = new Map();
+    }
+
+    async load() {
+        this.loaded = true;
+    }
+
+    terminate() {
+        this.loaded = false;
+    }
+
+    on(event, listener) {
+        if (event === 'log') this.listeners.add(listener);
+    }
+
+    off(event, listener) {
+        this.listeners.delete(listener);
+    }
+
+    async createDir() {}
+
+    async deleteDir() {}
+
+    async mount(type, { files }, dir) {
+        files.forEach((file) => this.mounted.set(`${dir}/${file.name}`, file.path));
+    }
+
+    async unmount(dir) {
+        [...this.mounted.keys()].filter((name) => name.startsWith(`${dir}/`)).forEach((name) => this.mounted.delete(name));
+    }
+
+    resolve(name) {
+        return this.mounted.get(name) ?? path.join(tmpdir(), `palette-cut-${process.pid}-${name}`);
+    }
+
+    async readFile(name) {
+        return new Uint8Array(await readFile(this.resolve(name)));
+    }
+
+    async deleteFile(name) {
+        await rm(this.resolve(name));
+    }
+
+    /**
+     * Resolves with ffmpeg's exit code like ffmpeg.wasm; failing commands don't reject.
+     */
+    exec(args) {
+        commands.push(args);
+        // Paths are the mounted inputs and the output, last unless it's the null muxer's '-'
+        const files = args.map((arg, i) => (this.mounted.has(arg) || (i === args.length - 1 && arg !== '-') ? this.resolve(arg) : arg));
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(FFMPEG, ['-nostdin', '-y', ...files], { stdio: ['ignore', 'ignore', 'pipe'] });
+            let pending = '';
+            child.stderr.on('data', (chunk) => {
+                const lines = (pending + chunk).split(/\r\n|\r|\n/);
+                pending = lines.pop();
+                lines.forEach((message) => this.listeners.forEach((listener) => listener({ type: 'stderr', message })));
+            });
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (pending) this.listeners.forEach((listener) => listener({ type: 'stderr', message: pending }));
+                resolve(code);
+            });
+        });
+    }
+}
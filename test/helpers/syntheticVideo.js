@@ -0,0 +1,78 @@
+/**
+ * Synthetic test videos: solid-color frames whose color is a known function of the frame
+ * index, written as uncompressed YUV4MPEG2 (.y4m) so ffmpeg can read them without an encoder.
+ * Scenes change color every few seconds, and within a scene the color drifts by one level
+ * per frame, so a frame off by one is close but distinguishable and a wrong scene is not.
+ */
+
+import { writeFile } from 'node:fs/promises';
+
+const SCENE_COLORS = [
+    { r: 200, g: 40, b: 40 },
+    { r: 30, g: 120, b: 200 },
+    { r: 230, g: 200, b: 60 },
+    { r: 20, g: 20, b: 24 },
+    { r: 60, g: 170, b: 90 },
+    { r: 150, g: 90, b: 180 }
+];
+
+/**
+ * @param {{ fps: [number, number], frameCount: number, sceneSeconds?: number, width?: number, height?: number }} spec
+ *   fps as a [numerator, denominator] pair, e.g. [30000, 1001]
+ */
+export function syntheticVideo({ fps: [num, den], frameCount, sceneSeconds = 4, width = 32, height = 18 }) {
+    const fps = num / den;
+    const sceneFrames = Math.round(sceneSeconds * fps);
+
+    const colorAt = (k) => {
+        const base = SCENE_COLORS[Math.floor(k / sceneFrames) % SCENE_COLORS.length];
+        const drift = Math.min(k % sceneFrames, 50);
+        return { r: base.r + (base.r < 128 ? drift : -drift), g: base.g, b: base.b + (base.b < 128 ? drift : -drift) };
+    };
+
+    return {
+        fps,
+        frameCount,
+        duration: frameCount / fps,
+        width,
+        height,
+        colorAt,
+        // The frame a seeked video element shows at `time`: the last one starting at or before it
+        frameIndexAt: (time) => Math.min(frameCount - 1, Math.floor(time * fps + 1e-9)),
+
+        /**
+         * Writes the video as 4:4:4 limited-range BT.601 Y4M, ffmpeg's default reading of it.
+         */
+        async writeY4m(file) {
+            const plane = width * height;
+            const parts = [Buffer.from(`YUV4MPEG2 W${width} H${height} F${num}:${den} Ip A1:1 C444\n`)];
+            for (let k = 0; k < frameCount; k++) {
+                const { r, g, b } = colorAt(k);
+                const y = 16 + (65.481 * r + 128.553 * g + 24.966 * b) / 255;
+                const u = 128 + (-37.797 * r - 74.203 * g + 112 * b) / 255;
+                const v = 128 + (112 * r - 93.786 * g - 18.214 * b) / 255;
+                parts.push(Buffer.from('FRAME\n'), Buffer.alloc(plane, Math.round(y)), Buffer.alloc(plane, Math.round(u)), Buffer.alloc(plane, Math.round(v)));
+            }
+            await writeFile(file, Buffer.concat(parts));
+        }
+    };
+}
+
+/**
+ * Mean RGB of an RGBA frame.
+ */
+export function meanColor(pixels) {
+    let r = 0, g = 0, b = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        r += pixels[i];
+        g += pixels[i + 1];
+        b += pixels[i + 2];
+    }
+    const count = pixels.length / 4;
+    return { r: r / count, g: g / count, b: b / count };
+}
+
+/**
+ * Largest per-channel difference between two colors.
+ */
+export const colorDistance = (a, b) => Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b));
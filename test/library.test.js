@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { saveFilm, listFilms, libraryIdFor } from '../src/utils/library.js';
+import { fingerprintFile } from '../src/utils/project.js';
+import { fakeIndexedDB } from './helpers/fakeIndexedDB.js';
+
+// Thumbnails need a canvas; their content doesn't matter here
+vi.mock('../src/utils/export/index.js', () => ({
+    exportRibbon: async () => new Blob(['thumbnail'], { type: 'image/png' })
+}));
+
+class FakeFileReader {
+    async readAsDataURL(blob) {
+        this.result = `data:${blob.type};base64,${Buffer.from(await blob.arrayBuffer()).toString('base64')}`;
+        this.onload();
+    }
+}
+
+const colors = [
+    { r: 200, g: 40, b: 40, start: 0, duration: 5 },
+    { r: 30, g: 120, b: 200, start: 5, duration: 5 }
+];
+
+beforeAll(() => {
+    vi.stubGlobal('indexedDB', fakeIndexedDB());
+    vi.stubGlobal('FileReader', FakeFileReader);
+});
+
+afterAll(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('library', () => {
+    it('saves a video analyzed again to the record it already has', async () => {
+        const bytes = new Uint8Array(4096).map((_, i) => i * 7);
+        // As the app sees it: a new upload of the same video, fingerprinted afresh each time
+        const analyze = async (title) => {
+            const source = await fingerprintFile(new File([bytes], 'film.mp4'));
+            return saveFilm({ id: await libraryIdFor(source), title, source, settings: { paletteSize: 2 }, colors });
+        };
+
+        const first = await analyze('First run');
+        const second = await analyze('Second run');
+
+        expect(second.id).toBe(first.id);
+        const films = await listFilms();
+        expect(films).toHaveLength(1);
+        expect(films[0].title).toBe('Second run');
+    });
+
+    it('gives a different video a record of its own', async () => {
+        const source = await fingerprintFile(new File([new Uint8Array(4096).fill(1)], 'other.mp4'));
+        const id = await libraryIdFor(source);
+
+        expect((await listFilms()).map((film) => film.id)).not.toContain(id);
+    });
+});
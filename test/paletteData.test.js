@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { exportPaletteData } from '../src/utils/export/paletteData.js';
+
+const colors = [
+    { r: 200, g: 40, b: 40, start: 0, duration: 5 },
+    { r: 30, g: 120, b: 200, start: 5, duration: 5 }
+];
+
+describe('CSV export', () => {
+    it('names every column uniquely', async () => {
+        const [header, first] = (await exportPaletteData('csv', colors, { paletteSize: 2 }).text()).split('\n');
+        const columns = header.split(',');
+
+        expect(new Set(columns).size).toBe(columns.length);
+        expect(columns.slice(-4)).toEqual(['hex', 'lab_l', 'lab_a', 'lab_b']);
+        expect(first.split(',')).toHaveLength(columns.length);
+    });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { sampleVideo } from '../src/utils/videoProcessor.js';
+import { extractFrames, BATCH_FRAMES } from '../src/utils/ffmpegSampling.js';
+import { rawFrameFormat } from '../src/utils/colorManagement.js';
+import { sampleTimes } from '../src/utils/sampling.js';
+import { buildSlices } from '../src/core/analysis.js';
+import { syntheticVideo, meanColor, colorDistance } from './helpers/syntheticVideo.js';
+import { fakeDocument } from './helpers/fakeVideoElement.js';
+import { hasFfmpeg, execFfmpeg } from './helpers/ffmpeg.js';
+import { commands } from './helpers/localFFmpeg.js';
+
+vi.mock('@ffmpeg/ffmpeg', () => import('./helpers/localFFmpeg.js'));
+
+const OPTIONS = { frameCount: 120, sampleSize: 4, crop: 'none' };
+// Per-channel difference allowed for the same frame: ffmpeg's YUV -> RGB conversion rounds
+const ROUNDING = 3;
+// How far the FFmpeg path's times can be off: ffmpeg prints the duration it probes to the centisecond
+const DURATION_ROUNDING = 0.005;
+
+const VIDEOS = [
+    { name: '24 fps', fps: [24, 1], frameCount: 24 * 40 },
+    { name: '29.97 fps', fps: [30000, 1001], frameCount: 1000 }
+];
+
+/**
+ * The native path (video element and canvas), sampling a synthetic video through fakeDocument;
+ * with fakeOptions.file, its frames are decoded from that file at the times the path seeks to.
+ */
+function sampleNative(video, fakeOptions, options = OPTIONS) {
+    vi.stubGlobal('document', fakeDocument(video, fakeOptions));
+    return sampleVideo(new File([], 'synthetic.y4m'), () => {}, options);
+}
+
+/**
+ * The FFmpeg path, as sampleVideo falls back to it for a format the video element can't play,
+ * with a local ffmpeg running its command lines instead of ffmpeg.wasm.
+ */
+function sampleFFmpeg(video, file, options = OPTIONS) {
+    vi.stubGlobal('document', fakeDocument(video, { unsupported: true }));
+    return sampleVideo(Object.assign(new File([], path.basename(file)), { path: file }), () => {}, options);
+}
+
+/**
+ * The FFmpeg path's extraction alone, for a file claimed to be `duration` seconds long.
+ */
+function extractFFmpeg(file, duration) {
+    const times = sampleTimes(duration, OPTIONS.frameCount);
+    return extractFrames(execFfmpeg, file, times, { fps: OPTIONS.frameCount / duration, sampleSize: OPTIONS.sampleSize }, { videoStream: 0, output: rawFrameFormat(null) });
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('native path', () => {
+    const video = syntheticVideo(VIDEOS[0]);
+
+    it('samples exactly the frame on screen at each sample time', async () => {
+        const { frames, range } = await sampleNative(video);
+
+        expect(frames).toHaveLength(OPTIONS.frameCount);
+        expect(frames.map(({ time }) => time)).toEqual(sampleTimes(video.duration, OPTIONS.frameCount, range));
+        frames.forEach(({ time, pixels }) => expect(meanColor(pixels)).toEqual(video.colorAt(video.frameIndexAt(time))));
+    });
+
+    it('marks unreadable frames as failed instead of returning black', async () => {
+        const unreadable = (time) => Math.floor(time) % 9 === 4;
+        const sampling = await sampleNative(video, { failAt: unreadable });
+
+        expect(sampling.frames).toHaveLength(OPTIONS.frameCount);
+        sampling.frames.forEach((frame) => expect(Boolean(frame.failed)).toBe(unreadable(frame.time)));
+        expect(buildSlices(sampling).some(({ r, g, b }) => r + g + b === 0)).toBe(false);
+    });
+
+    it('falls back to FFmpeg when setting up the video element throws', async () => {
+        commands.length = 0;
+        vi.stubGlobal('document', fakeDocument(video, { drawFails: true }));
+        // Letterbox detection draws frames before sampling starts
+        await sampleVideo(new File([], 'synthetic.y4m'), () => {}, { ...OPTIONS, crop: 'auto' }).catch(() => {});
+
+        expect(commands.length).toBeGreaterThan(0);
+    });
+});
+
+describe.skipIf(!hasFfmpeg)('native and FFmpeg paths agree', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'palette-cut-'));
+    });
+
+    afterAll(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    describe.each(VIDEOS)('$name', (spec) => {
+        const video = syntheticVideo(spec);
+        const file = () => path.join(dir, `${spec.frameCount}-${spec.fps.join('-')}.y4m`);
+
+        beforeAll(() => video.writeY4m(file()));
+
+        it('on the number of samples and their times', async () => {
+            const native = await sampleNative(video, { file: file() });
+            commands.length = 0;
+            const { frames: ffmpeg, duration } = await sampleFFmpeg(video, file());
+
+            expect(Math.abs(duration - video.duration)).toBeLessThanOrEqual(DURATION_ROUNDING);
+            expect(ffmpeg).toHaveLength(native.frames.length);
+            ffmpeg.forEach(({ time }, i) => expect(Math.abs(time - native.frames[i].time)).toBeLessThanOrEqual(DURATION_ROUNDING));
+            expect(ffmpeg.some((frame) => frame.failed)).toBe(false);
+
+            // One batch per BATCH_FRAMES samples, each starting at its first sample time
+            const batches = commands.filter((args) => args.includes('-vf') && args[args.indexOf('-vf') + 1].includes('fps='));
+            expect(batches.map((args) => parseFloat(args[args.indexOf('-ss') + 1])))
+                .toEqual(ffmpeg.filter((_, i) => i % BATCH_FRAMES === 0).map(({ time }) => time));
+        });
+
+        it('on each frame, to within one source frame', async () => {
+            const { frames: native } = await sampleNative(video, { file: file() });
+            const { frames: ffmpeg } = await sampleFFmpeg(video, file());
+
+            // The video element shows exactly the frame on screen at each time it seeks to
+            native.forEach(({ time, pixels }) => {
+                expect(colorDistance(meanColor(pixels), video.colorAt(video.frameIndexAt(time)))).toBeLessThanOrEqual(ROUNDING);
+            });
+            ffmpeg.forEach(({ time, pixels }) => {
+                const index = video.frameIndexAt(time);
+                const color = meanColor(pixels);
+                const nearest = Math.min(...[index - 1, index, index + 1]
+                    .filter((k) => k >= 0 && k < video.frameCount)
+                    .map((k) => colorDistance(color, video.colorAt(k))));
+                expect(nearest).toBeLessThanOrEqual(ROUNDING);
+            });
+        });
+
+        it('on the ribbon', async () => {
+            const native = await sampleNative(video, { file: file() });
+            const { frames: ffmpeg } = await sampleFFmpeg(video, file());
+            const nativeSlices = buildSlices(native);
+            const ffmpegSlices = buildSlices({ ...native, frames: ffmpeg });
+
+            expect(ffmpegSlices).toHaveLength(nativeSlices.length);
+            ffmpegSlices.forEach(({ start, duration }, i) => {
+                expect(Math.abs(start - nativeSlices[i].start)).toBeLessThanOrEqual(DURATION_ROUNDING);
+                expect(Math.abs(duration - nativeSlices[i].duration)).toBeLessThanOrEqual(DURATION_ROUNDING);
+            });
+            const distances = ffmpegSlices.map((slice, i) => colorDistance(slice, nativeSlices[i]));
+            // A sample one frame off is one drift step away, unless it lands across a cut
+            expect(distances.filter((d) => d > ROUNDING + 1).length).toBeLessThanOrEqual(2);
+            expect(distances.reduce((sum, d) => sum + d, 0) / distances.length).toBeLessThanOrEqual(ROUNDING);
+        });
+    });
+
+    it('on a range of the video', async () => {
+        const video = syntheticVideo(VIDEOS[1]);
+        const file = path.join(dir, 'range.y4m');
+        await video.writeY4m(file);
+
+        const options = { ...OPTIONS, frameCount: 40, range: { start: 10, end: 25 } };
+        const native = await sampleNative(video, { file }, options);
+        const ffmpeg = await sampleFFmpeg(video, file, options);
+
+        expect(ffmpeg.range).toEqual(native.range);
+        ffmpeg.frames.forEach(({ time }, i) => expect(Math.abs(time - native.frames[i].time)).toBeLessThanOrEqual(DURATION_ROUNDING));
+        ffmpeg.frames.forEach(({ pixels }, i) => {
+            const distance = colorDistance(meanColor(pixels), meanColor(native.frames[i].pixels));
+            // One frame of drift, plus rounding
+            expect(distance).toBeLessThanOrEqual(ROUNDING + 1);
+        });
+    });
+
+    it('marks samples past the end of the video as failed', async () => {
+        const video = syntheticVideo(VIDEOS[0]);
+        const file = path.join(dir, 'short.y4m');
+        await video.writeY4m(file);
+
+        // As if the container claimed ten seconds more than there is
+        const frames = await extractFFmpeg(file, video.duration + 10);
+        expect(frames).toHaveLength(OPTIONS.frameCount);
+        frames.forEach((frame) => {
+            if (frame.time < video.duration - 0.5) expect(frame.failed).toBeUndefined();
+            if (frame.time > video.duration) expect(frame.failed).toBe(true);
+        });
+    });
+});
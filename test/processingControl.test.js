@@ -0,0 +1,32 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PauseController, checkpoint } from '../src/utils/processingControl.js';
+
+describe('checkpoint', () => {
+    it('leaves no abort listener behind on the signal after a pause', async () => {
+        const controller = new AbortController();
+        const add = vi.spyOn(controller.signal, 'addEventListener');
+        const remove = vi.spyOn(controller.signal, 'removeEventListener');
+        const pause = new PauseController();
+
+        for (let i = 0; i < 5; i++) {
+            pause.pause();
+            const waiting = checkpoint(controller.signal, pause);
+            pause.resume();
+            await waiting;
+        }
+
+        const listeners = add.mock.calls.filter(([type]) => type === 'abort').map(([, listener]) => listener);
+        expect(listeners).toHaveLength(5);
+        listeners.forEach((listener) => expect(remove).toHaveBeenCalledWith('abort', listener));
+    });
+
+    it('stops waiting when aborted during a pause', async () => {
+        const controller = new AbortController();
+        const pause = new PauseController();
+        pause.pause();
+
+        const waiting = checkpoint(controller.signal, pause);
+        controller.abort();
+        await expect(waiting).rejects.toThrow(/abort/i);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { sampleTimes, failedFrame } from '../src/utils/sampling.js';
+import { buildSlices } from '../src/core/analysis.js';
+import { suggestTrim } from '../src/utils/trimDetection.js';
+import { framesAtTimes } from '../src/utils/ffmpegSampling.js';
+
+const SIZE = 2;
+
+const solid = ({ r, g, b }) => {
+    const pixels = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let i = 0; i < pixels.length; i += 4) pixels.set([r, g, b, 255], i);
+    return pixels;
+};
+
+const gray = (level) => solid({ r: level, g: level, b: level });
+
+describe('sampleTimes', () => {
+    it('returns exactly frameCount evenly spaced times across the range', () => {
+        const times = sampleTimes(100, 40, { start: 20, end: 60 });
+        expect(times).toHaveLength(40);
+        expect(times[0]).toBe(20);
+        times.slice(1).forEach((time, i) => expect(time - times[i]).toBeCloseTo(1, 9));
+    });
+
+    it('keeps clear of the very last frame', () => {
+        const times = sampleTimes(1, 20);
+        expect(Math.max(...times)).toBeLessThanOrEqual(0.9);
+    });
+});
+
+describe('buildSlices with failed frames', () => {
+    const sampling = (pixels) => {
+        const times = sampleTimes(10, pixels.length);
+        return { frames: times.map((time, i) => (pixels[i] ? { time, pixels: pixels[i] } : failedFrame(time))), duration: 10 };
+    };
+
+    const expectContiguous = (slices, start, end) => {
+        expect(slices[0].start).toBeCloseTo(start, 9);
+        slices.slice(1).forEach((slice, i) => expect(slice.start).toBeCloseTo(slices[i].start + slices[i].duration, 9));
+        const last = slices[slices.length - 1];
+        expect(last.start + last.duration).toBeCloseTo(end, 9);
+    };
+
+    it('gives failed slots to the neighboring slices instead of painting them black', () => {
+        const frames = [gray(200), null, null, gray(100), gray(50), null, gray(150), gray(120), gray(90), null];
+        const slices = buildSlices(sampling(frames));
+
+        expect(slices).toHaveLength(6);
+        expect(slices.some(({ r }) => r === 0)).toBe(false);
+        expect(slices[0]).toMatchObject({ r: 200, frame: 0, duration: 3 });
+        expect(slices[slices.length - 1]).toMatchObject({ r: 90, frame: 8, duration: 2 });
+        expectContiguous(slices, 0, 10);
+    });
+
+    it('starts the first slice at the start of the range when the first frames failed', () => {
+        const slices = buildSlices(sampling([null, null, gray(80), gray(90), gray(100), gray(110), gray(120), gray(130), gray(140), gray(150)]));
+        expect(slices[0]).toMatchObject({ r: 80, frame: 2, start: 0, duration: 3 });
+        expectContiguous(slices, 0, 10);
+    });
+
+    it('leaves failed frames out of shots and their bands', () => {
+        const red = solid({ r: 220, g: 20, b: 20 });
+        const blue = solid({ r: 20, g: 20, b: 220 });
+        const frames = [red, red, null, red, blue, null, blue, blue, null, blue];
+        const slices = buildSlices(sampling(frames), { segmentation: 'shots', bands: 2 });
+
+        expect(slices).toHaveLength(2);
+        expect(slices[0]).toMatchObject({ r: 220, b: 20, frame: 0 });
+        expect(slices[1]).toMatchObject({ r: 20, b: 220, frame: 4 });
+        slices.forEach((slice) => expect(slice.bands.length).toBeGreaterThan(0));
+    });
+});
+
+describe('suggestTrim', () => {
+    it('ignores failed frames', () => {
+        const times = sampleTimes(600, 60);
+        const frames = times.map((time, i) => {
+            if (i % 7 === 5) return failedFrame(time);
+            return { time, pixels: i < 3 ? gray(0) : solid({ r: 180, g: 90, b: 40 }) };
+        });
+        expect(suggestTrim({ frames, range: { start: 0, end: 600 } })).toMatchObject({ start: 30, opening: true, credits: false });
+    });
+});
+
+describe('framesAtTimes', () => {
+    it('picks the frame on screen at each time and keeps both timestamps', () => {
+        const decoded = [0, 1, 2, 3, 4].map((time) => ({ time, pixels: gray(time * 10) }));
+        const frames = framesAtTimes(decoded, 1, [0, 0.5, 1.99, 2, 4.5, 9]);
+
+        expect(frames.map(({ time }) => time)).toEqual([0, 0.5, 1.99, 2, 4.5, 9]);
+        expect(frames.map(({ frameTime }) => frameTime)).toEqual([0, 0, 1, 2, 4, 4]);
+    });
+});
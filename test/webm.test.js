@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawnSync } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { demuxWebm } from '../src/workers/demux/webm.js';
+import { FFMPEG, hasFfmpeg } from './helpers/ffmpeg.js';
+
+const SOURCE = ['-f', 'lavfi', '-i', 'testsrc2=size=320x180:rate=24', '-t', '1'];
+
+describe.skipIf(!hasFfmpeg)('WebM decoder config', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'palette-cut-'));
+    });
+
+    afterAll(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    const encode = async (name, args) => {
+        const file = path.join(dir, name);
+        const { status, stderr } = spawnSync(FFMPEG, ['-v', 'error', '-y', ...SOURCE, ...args, file]);
+        if (status !== 0) throw new Error(stderr.toString());
+        return demuxWebm(new File([await readFile(file)], name));
+    };
+
+    it('reads VP9 profile, bit depth and colour instead of assuming 8-bit profile 0', async () => {
+        const { decoderConfig } = await encode('hdr.webm', [
+            '-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-pix_fmt', 'yuv420p10le',
+            '-color_primaries', 'bt2020', '-color_trc', 'smpte2084', '-colorspace', 'bt2020nc', '-color_range', 'tv'
+        ]);
+        // Profile 2, level 1.1 for 320x180, 10-bit, 4:2:0, BT.2020 primaries, PQ, BT.2020 matrix, limited range
+        expect(decoderConfig.codec).toBe('vp09.02.11.10.01.09.16.09.00');
+    });
+
+    it('keeps the short VP9 form for 8-bit video without colour', async () => {
+        const { decoderConfig } = await encode('sdr.webm', ['-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-pix_fmt', 'yuv420p']);
+        expect(decoderConfig.codec).toBe('vp09.00.11.08');
+    });
+
+    // libaom is slow even at its fastest, so only a couple of frames
+    it('reads the AV1 profile, level and bit depth from CodecPrivate', async () => {
+        const { decoderConfig } = await encode('av1.mkv', ['-frames:v', '2', '-c:v', 'libaom-av1', '-cpu-used', '8', '-strict', 'experimental', '-pix_fmt', 'yuv420p']);
+        expect(decoderConfig.codec).toMatch(/^av01\.0\.\d{2}M\.08$/);
+        expect(decoderConfig.description[0]).toBe(0x81);
+    }, 30000);
+});
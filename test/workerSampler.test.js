@@ -0,0 +1,43 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { processVideoWorker } from '../src/utils/workerSampler.js';
+import { ProcessingError, ERROR_CODES, serializeError } from '../src/utils/errors.js';
+
+/**
+ * A Worker that answers 'start' by failing with `error`, posted the way sampler.worker.js
+ * posts it: as a structured clone, which keeps only plain data.
+ */
+function failingWorker(error) {
+    return class {
+        postMessage({ type }) {
+            if (type !== 'start') return;
+            const data = structuredClone({ type: 'error', ...serializeError(error) });
+            setTimeout(() => this.onmessage({ data }), 0);
+        }
+
+        terminate() {}
+    };
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('processVideoWorker', () => {
+    it('rejects with the ProcessingError the worker failed with', async () => {
+        vi.stubGlobal('Worker', failingWorker(new ProcessingError(ERROR_CODES.DURATION_UNKNOWN, "Could not determine video duration")));
+
+        const error = await processVideoWorker(new Blob(), () => {}, {}).catch((err) => err);
+        expect(error).toBeInstanceOf(ProcessingError);
+        expect(error.code).toBe(ERROR_CODES.DURATION_UNKNOWN);
+        expect(error.message).toBe("Could not determine video duration");
+    });
+
+    it('rejects with a plain Error for errors without one of our codes', async () => {
+        const decoderError = new DOMException("Decoding error", 'EncodingError');
+        vi.stubGlobal('Worker', failingWorker(decoderError));
+
+        const error = await processVideoWorker(new Blob(), () => {}, {}).catch((err) => err);
+        expect(error).not.toBeInstanceOf(ProcessingError);
+        expect(error.message).toBe("Decoding error");
+    });
+});
@@ -15,6 +15,6 @@ export default defineConfig({
   },
 
   optimizeDeps: {
-    exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util'],
+    exclude: ['@ffmpeg/ffmpeg'],
   },
 })